@@ -1,13 +1,28 @@
 import { HomebridgePluginUiServer } from '@homebridge/plugin-ui-utils';
+import { randomUUID } from 'crypto';
 import MelCloud from '../src/melcloud.js';
+import MelCloudHome from '../src/melcloudhome.js';
+import CloudSchedule from '../src/deviceata/cloud-schedule.js';
 
 class PluginUiServer extends HomebridgePluginUiServer {
   constructor() {
     super();
 
+    //connected accounts, reused by scene and schedule requests
+    this.clients = new Map();
+
     //connect
     this.onRequest('/connect', this.start.bind(this));
 
+    //melcloud home scenes
+    this.onRequest('/scenes/create', this.createScene.bind(this));
+    this.onRequest('/scenes/delete', this.deleteScene.bind(this));
+
+    //melcloud home cloud schedules
+    this.onRequest('/schedules/save', this.saveSchedule.bind(this));
+    this.onRequest('/schedules/delete', this.deleteSchedule.bind(this));
+    this.onRequest('/schedules/enable', this.enableSchedule.bind(this));
+
     //this MUST be called when you are ready to accept requests
     this.ready();
   };
@@ -16,11 +31,80 @@ class PluginUiServer extends HomebridgePluginUiServer {
     const accountName = account.name;
     const accountFile = `${this.homebridgeStoragePath}/melcloud/${accountName}_Account`;
     const buildingsFile = `${this.homebridgeStoragePath}/melcloud/${accountName}_Buildings`;
-    const melCloud = new MelCloud(account, accountFile, buildingsFile);
+    const AccountClient = account.type === 'melcloudhome' ? MelCloudHome : MelCloud;
+    const melCloud = new AccountClient(account, accountFile, buildingsFile);
 
     try {
       const accountInfo = await melCloud.connect();
       if (!accountInfo.State) return accountInfo;
+      this.clients.set(accountName, melCloud);
+
+      const devicesList = await melCloud.checkDevicesList();
+      return devicesList;
+    } catch (error) {
+      throw new Error(error);
+    }
+  }
+
+  getHomeClient(account) {
+    const melCloud = this.clients.get(account.name);
+    if (!(melCloud instanceof MelCloudHome)) throw new Error('Connect to MELCloud Home first');
+    return melCloud;
+  }
+
+  async createScene({ account, scene }) {
+    try {
+      const melCloud = this.getHomeClient(account);
+      await melCloud.createScene(scene);
+
+      const devicesList = await melCloud.checkDevicesList();
+      return devicesList;
+    } catch (error) {
+      throw new Error(error);
+    }
+  }
+
+  async deleteScene({ account, sceneId }) {
+    try {
+      const melCloud = this.getHomeClient(account);
+      await melCloud.deleteScene(sceneId);
+
+      const devicesList = await melCloud.checkDevicesList();
+      return devicesList;
+    } catch (error) {
+      throw new Error(error);
+    }
+  }
+
+  async saveSchedule({ account, deviceId, entry }) {
+    try {
+      const melCloud = this.getHomeClient(account);
+      const schedule = CloudSchedule.normalize({ ...entry, Id: entry.Id ?? randomUUID() });
+      await melCloud.saveSchedule(deviceId, schedule);
+
+      const devicesList = await melCloud.checkDevicesList();
+      return devicesList;
+    } catch (error) {
+      throw new Error(error);
+    }
+  }
+
+  async deleteSchedule({ account, deviceId, scheduleId }) {
+    try {
+      const melCloud = this.getHomeClient(account);
+      await melCloud.deleteSchedule(deviceId, scheduleId);
+
+      const devicesList = await melCloud.checkDevicesList();
+      return devicesList;
+    } catch (error) {
+      throw new Error(error);
+    }
+  }
+
+  async enableSchedule({ account, deviceId, enabled }) {
+    try {
+      const melCloud = this.getHomeClient(account);
+      await melCloud.setScheduleEnabled(deviceId, enabled === true);
 
       const devicesList = await melCloud.checkDevicesList();
       return devicesList;
@@ -1,7 +1,10 @@
 import { join } from 'path';
 import { mkdirSync } from 'fs';
 import MelCloud from './src/melcloud.js';
+import MelCloudHome from './src/melcloudhome.js';
 import DeviceAta from './src/deviceata/index.js';
+import DeviceAtw from './src/deviceatw/index.js';
+import DeviceErv from './src/deviceerv/index.js';
 import ImpulseGenerator from './src/impulsegenerator.js';
 import { PluginName, PlatformName, DeviceType } from './src/constants.js';
 
@@ -60,90 +63,216 @@ class MelCloudPlatform {
 				const buildingsFile = `${prefDir}/${name}_Buildings`;
 
 				try {
+					//melcloud or melcloud home account
+					if (!['melcloud', 'melcloudhome'].includes(account.type)) {
+						if (logLevel.warn) log.warn(`Unknown account type: ${account.type}. Only 'melcloud' and 'melcloudhome' are supported.`);
+						continue;
+					}
+					const timmers = [{ name: 'checkDevicesList', sampling: accountRefreshInterval }];
+					const AccountClient = account.type === 'melcloudhome' ? MelCloudHome : MelCloud;
+					const melcloud = new AccountClient(account, accountFile, buildingsFile, true);
+					melcloud.on('success', (msg) => log.success(`${name}, ${msg}`))
+						.on('info', (msg) => log.info(`${name}, ${msg}`))
+						.on('debug', (msg) => log.info(`${name}, debug: ${msg}`))
+						.on('warn', (msg) => log.warn(`${name}, ${msg}`))
+						.on('error', (msg) => log.error(`${name}, ${msg}`));
+
+					//configured ATA, ATW and ERV devices
+					const devices = [];
+					const configuredDevicesList = [...(account.ataDevices || []), ...(account.atwDevices || []), ...(account.ervDevices || [])];
+					for (const device of configuredDevicesList.filter(device => device.id != null && String(device.id) !== '0')) {
+						device.id = String(device.id);
+						const deviceTypeString = DeviceType[device.type];
+
+						//chack device is not disabled in config
+						if (!device.displayType) {
+							if (logLevel.warn) log.warn(`${name}, ${deviceTypeString}, ${device.name}, disabled in configuration, will not be published in the Home app.`);
+							continue;
+						}
+
+						//only ATA, ATW and ERV devices supported
+						if (![0, 1, 3].includes(device.type)) {
+							if (logLevel.warn) log.warn(`${name}, ${deviceTypeString}, ${device.name}, only ATA, ATW and ERV devices are supported.`);
+							continue;
+						}
+
+						//heat pumps and ventilation units are read from melcloud accounts only
+						if (device.type !== 0 && account.type !== 'melcloud') {
+							if (logLevel.warn) log.warn(`${name}, ${deviceTypeString}, ${device.name}, ATW and ERV devices are only supported on MELCloud accounts.`);
+							continue;
+						}
+
+						devices.push(device);
+					}
+					if (logLevel.debug) log.info(`${name}, found ${devices.length} configured devices.`);
+
+					//published devices by id, devices missing on server are reported once
+					const configuredDevices = new Map();
+					const missingDevices = new Set();
+
+					//consecutive device lists a configured device was missing from, removed after a few polls in a row
+					const missedPolls = new Map();
+					const removeAfterMissedPolls = 3;
+					let accountInfo = null;
+					let accountStarted = false;
+					let cachePublished = false;
+					let syncLock = false;
+
+					const publishDevices = async (melcloudDevicesList, offline) => {
+						for (const device of devices) {
+							if (configuredDevices.has(device.id)) continue;
+
+							const deviceName = device.name;
+							const deviceTypeString = DeviceType[device.type];
+							const defaultTempsFile = `${prefDir}/${name}_${device.id}_Temps`;
+
+							//chack device from config exist on melcloud
+							const deviceInMelCloud = melcloudDevicesList.Devices.find(d => d.DeviceID === device.id);
+							if (!deviceInMelCloud) {
+								if (logLevel.warn && !missingDevices.has(device.id)) log.warn(`${name}, ${deviceTypeString}, ${deviceName}, not exist on server, please login to MELCLoud from plugin UI to fix this issue.`);
+								missingDevices.add(device.id);
+								continue;
+							}
+							missingDevices.delete(device.id);
+
+							const DeviceClass = { 0: DeviceAta, 1: DeviceAtw, 3: DeviceErv }[device.type];
+							const configuredDevice = new DeviceClass(api, account, device, defaultTempsFile, accountInfo, accountFile, melcloud, melcloudDevicesList);
+
+							configuredDevice.on('devInfo', (info) => logLevel.devInfo && log.info(info))
+								.on('success', (msg) => log.success(`${name}, ${deviceTypeString}, ${deviceName}, ${msg}`))
+								.on('info', (msg) => log.info(`${name}, ${deviceTypeString}, ${deviceName}, ${msg}`))
+								.on('debug', (msg) => log.info(`${name}, ${deviceTypeString}, ${deviceName}, debug: ${msg}`))
+								.on('warn', (msg) => log.warn(`${name}, ${deviceTypeString}, ${deviceName}, ${msg}`))
+								.on('error', (msg) => log.error(`${name}, ${deviceTypeString}, ${deviceName}, ${msg}`));
+
+							//reuse accessory restored by homebridge
+							const cachedAccessory = this.accessories.find(accessory => accessory.UUID === configuredDevice.accessoryUUID);
+							let accessory = null;
+							try {
+								configuredDevice.setOffline(offline);
+								accessory = await configuredDevice.start(cachedAccessory);
+							} catch (error) {
+								if (logLevel.error) log.error(`${name}, ${deviceTypeString}, ${deviceName}, ${error.message ?? error}, trying again with next devices list.`);
+							}
+
+							//failed device is detached from the account client, the other devices still publish
+							if (!accessory) {
+								try {
+									await configuredDevice.stop();
+								} catch (error) {
+									if (logLevel.error) log.error(`${name}, ${deviceTypeString}, ${deviceName}, Stop error: ${error.message ?? error}.`);
+								}
+								configuredDevice.removeAllListeners();
+								continue;
+							}
+
+							if (cachedAccessory) {
+								api.updatePlatformAccessories([accessory]);
+							} else {
+								api.registerPlatformAccessories(PluginName, PlatformName, [accessory]);
+								this.accessories.push(accessory);
+							}
+							configuredDevices.set(device.id, configuredDevice);
+							if (logLevel.success) log.success(`${name}, ${deviceTypeString}, ${deviceName}, Published${offline ? ' from cache, not responding until MELCloud is reachable' : ''}.`);
+						}
+					};
+
+					const removeDevices = async (melcloudDevicesList) => {
+						//never unpublish on an empty list, the account still has the configured devices
+						if (melcloudDevicesList.Devices.length === 0) return;
+
+						//devices removed from melcloud, only after missing from several lists in a row
+						const removedDevices = new Set();
+						for (const device of devices) {
+							if (melcloudDevicesList.Devices.some(d => d.DeviceID === device.id)) {
+								missedPolls.delete(device.id);
+								continue;
+							}
+
+							const missed = (missedPolls.get(device.id) ?? 0) + 1;
+							missedPolls.set(device.id, missed);
+							if (missed < removeAfterMissedPolls) continue;
+							removedDevices.add(device.id);
+
+							const configuredDevice = configuredDevices.get(device.id);
+							if (!configuredDevice) continue;
+
+							await configuredDevice.stop();
+							configuredDevices.delete(device.id);
+							if (logLevel.warn) log.warn(`${name}, ${configuredDevice.deviceTypeString}, ${configuredDevice.deviceName}, removed from server.`);
+						}
+
+						//accessories without device, removed from melcloud or from config
+						const configuredIds = new Set(devices.map(device => device.id));
+						const staleAccessories = this.accessories.filter(accessory => accessory.context.accountName === name && !configuredDevices.has(accessory.context.deviceId)
+							&& (!configuredIds.has(accessory.context.deviceId) || removedDevices.has(accessory.context.deviceId)));
+						if (staleAccessories.length === 0) return;
+
+						api.unregisterPlatformAccessories(PluginName, PlatformName, staleAccessories);
+						this.accessories = this.accessories.filter(accessory => !staleAccessories.includes(accessory));
+						if (logLevel.success) log.success(`${name}, Unpublished ${staleAccessories.map(accessory => accessory.displayName).join(', ')}.`);
+					};
+
+					//follow devices added or removed on server
+					melcloud.on('devicesList', async (melcloudDevicesList) => {
+						if (!accountStarted || syncLock) return;
+
+						syncLock = true;
+						try {
+							await publishDevices(melcloudDevicesList, false);
+							await removeDevices(melcloudDevicesList);
+						} catch (error) {
+							if (logLevel.error) log.error(`${name}, Sync devices error: ${error.message ?? error}.`);
+						} finally {
+							syncLock = false;
+						}
+					});
+
 					//create impulse generator
 					const impulseGenerator = new ImpulseGenerator()
 						.on('start', async () => {
 							try {
-								//melcloud account
-								if (account.type !== 'melcloud') {
-									if (logLevel.warn) log.warn(`Unknown account type: ${account.type}. Only 'melcloud' is supported.`);
-									return;
+								//connect
+								let melcloudDevicesList = null;
+								try {
+									accountInfo = await melcloud.connect();
+									if (accountInfo?.State) melcloudDevicesList = await melcloud.checkDevicesList();
+								} catch (error) {
+									accountInfo = { State: false, Info: error.message ?? error };
 								}
-								const timmers = [{ name: 'checkDevicesList', sampling: accountRefreshInterval }];
-								const melcloud = new MelCloud(account, accountFile, buildingsFile, true);
-								melcloud.on('success', (msg) => log.success(`${name}, ${msg}`))
-									.on('info', (msg) => log.info(`${name}, ${msg}`))
-									.on('debug', (msg) => log.info(`${name}, debug: ${msg}`))
-									.on('warn', (msg) => log.warn(`${name}, ${msg}`))
-									.on('error', (msg) => log.error(`${name}, ${msg}`));
 
-								//connect
-								const accountInfo = await melcloud.connect();
-								if (!accountInfo?.State) {
-									if (logLevel.warn) log.warn(`${name}, ${accountInfo?.Info}`);
+								//cloud unreachable, publish cached devices once and retry on next impulse
+								if (!accountInfo?.State || !melcloudDevicesList?.State) {
+									if (logLevel.warn) log.warn(`${name}, ${accountInfo?.State ? melcloudDevicesList?.Info : accountInfo?.Info}`);
+									if (cachePublished) return;
+									cachePublished = true;
+
+									const cache = await melcloud.readCache();
+									if (!cache) return;
+
+									if (logLevel.warn) log.warn(`${name}, ${cache.devicesList.Info}, publishing devices as not responding.`);
+									accountInfo = cache.accountInfo;
+									await publishDevices(cache.devicesList, true);
 									return;
 								}
 								if (logLevel.success) log.success(`${name}, ${accountInfo.Info}`);
+								if (logLevel.debug) log.info(melcloudDevicesList.Info);
 
-								//check devices list
-								const melcloudDevicesList = await melcloud.checkDevicesList();
-								if (!melcloudDevicesList.State) {
-									if (logLevel.warn) log.warn(`${name}, ${melcloudDevicesList.Info}`);
-									return;
+								//swap cached devices to live data
+								for (const configuredDevice of configuredDevices.values()) {
+									configuredDevice.accountInfo = accountInfo;
+									configuredDevice.setOffline(false);
 								}
-								if (logLevel.debug) log.info(melcloudDevicesList.Info);
 								await new Promise(r => setTimeout(r, 1000));
 
+								//publish devices not known from cache, drop stale ones
+								await publishDevices(melcloudDevicesList, false);
+								await removeDevices(melcloudDevicesList);
+								accountStarted = true;
+
 								//start account impulse generator
 								await melcloud.impulseGenerator.state(true, timmers, false);
 
-								//configured ATA devices only
-								const devices = (account.ataDevices || []).filter(device => device.id != null && String(device.id) !== '0');
-								if (logLevel.debug) log.info(`${name}, found ${devices.length} configured ATA devices.`);
-
-								for (const [index, device] of devices.entries()) {
-									device.id = String(device.id);
-									const deviceName = device.name;
-									const deviceType = device.type;
-									const deviceTypeString = DeviceType[device.type];
-									const defaultTempsFile = `${prefDir}/${name}_${device.id}_Temps`;
-
-									//chack device is not disabled in config
-									const displayType = device.displayType;
-									if (!displayType) {
-										if (logLevel.warn) log.warn(`${name}, ${deviceTypeString}, ${deviceName}, disabled in configuration, will not be published in the Home app.`);
-										continue;
-									}
-
-									//chack device from config exist on melcloud
-									const deviceInMelCloud = melcloudDevicesList.Devices.find(d => d.DeviceID === device.id);
-									if (!deviceInMelCloud) {
-										if (logLevel.warn) log.warn(`${name}, ${deviceTypeString}, ${deviceName}, not exist on server, please login to MELCLoud from plugin UI to fix this issue.`);
-										continue;
-									}
-
-									//only ATA devices supported
-									if (deviceType !== 0) {
-										if (logLevel.warn) log.warn(`${name}, ${deviceTypeString}, ${deviceName}, only ATA devices are supported.`);
-										continue;
-									}
-
-									const configuredDevice = new DeviceAta(api, account, device, defaultTempsFile, accountInfo, accountFile, melcloud, melcloudDevicesList);
-
-									configuredDevice.on('devInfo', (info) => logLevel.devInfo && log.info(info))
-										.on('success', (msg) => log.success(`${name}, ${deviceTypeString}, ${deviceName}, ${msg}`))
-										.on('info', (msg) => log.info(`${name}, ${deviceTypeString}, ${deviceName}, ${msg}`))
-										.on('debug', (msg) => log.info(`${name}, ${deviceTypeString}, ${deviceName}, debug: ${msg}`))
-										.on('warn', (msg) => log.warn(`${name}, ${deviceTypeString}, ${deviceName}, ${msg}`))
-										.on('error', (msg) => log.error(`${name}, ${deviceTypeString}, ${deviceName}, ${msg}`));
-
-									const accessory = await configuredDevice.start();
-									if (accessory) {
-										api.publishExternalAccessories(PluginName, [accessory]);
-										if (logLevel.success) log.success(`${name}, ${deviceTypeString}, ${deviceName}, Published as external accessory.`);
-									}
-								}
-
 								//stop start impulse generator
 								await impulseGenerator.state(false);
 							} catch (error) {
@@ -159,9 +288,18 @@ class MelCloudPlatform {
 					if (logLevel.error) log.error(`${name}, Did finish launching error: ${error.message ?? error}.`);
 				}
 			}
+
+			//accessories of accounts no longer configured
+			const orphanAccessories = this.accessories.filter(accessory => !accountsName.includes(accessory.context.accountName));
+			if (orphanAccessories.length > 0) {
+				api.unregisterPlatformAccessories(PluginName, PlatformName, orphanAccessories);
+				this.accessories = this.accessories.filter(accessory => !orphanAccessories.includes(accessory));
+				log.info(`Removed ${orphanAccessories.length} accessories of accounts no longer configured.`);
+			}
 		});
 	}
 
+	//restored from homebridge cache, reused or removed once devices are known
 	configureAccessory(accessory) {
 		this.accessories.push(accessory);
 	}
@@ -2,7 +2,7 @@ export const PlatformName = "melcloudpassivehouse";
 export const PluginName = "homebridge-melcloud-passive-house";
 
 export const ApiUrls = {
-    Base: "https://app.melcloud.com/Mitsubishi.Wifi.Client",
+    Base: process.env.MELCLOUD_API_BASE || "https://app.melcloud.com/Mitsubishi.Wifi.Client", //local emulator: npm run emulator
     Get: {
         UserDetails: "/User/GetUserDetails",
         ListDevices: "/User/ListDevices",
@@ -40,7 +40,7 @@ export const ApiUrls = {
             Atw: "/api/atwunit/deviceid",
             Erv: "/api/ervunit/deviceid",
             ScheduleEnableDisable: "/api/cloudschedule/deviceid/enabled", // {"enabled": true}
-            SceneEnableDisable: "/api/scene/sceneid/enabledisable",
+            SceneEnableDisable: "/api/scene/sceneid/", //enable or disable appended
         },
         Delete: {
             Schedule: "/api/cloudschedule/deviceid/scheduleid",
@@ -84,6 +84,8 @@ export const AirConditioner = {
     AirDirectionMapEnumToString: { 0: "Auto", 1: "Swing" },
     CurrentOperationModeMapEnumToStringHeatherCooler: { 0: "Inactive", 1: "Idle", 2: "Heating", 3: "Cooling" },
     CurrentOperationModeMapEnumToStringThermostat: { 0: "Inactive", 1: "Heating", 2: "Cooling" },
+    ProtectionRange: { Frost: { MinRangeMin: 4, MaxRangeMin: 14, MinRangeMax: 6, MaxRangeMax: 16 }, Overheat: { MinRangeMin: 30, MaxRangeMin: 38, MinRangeMax: 32, MaxRangeMax: 40 } },
+    ErrorCodeMapEnumToString: { 8000: "No Error", 1102: "Discharge Temperature High", 1300: "Low Pressure", 1302: "High Pressure", 1500: "Refrigerant Overcharge", 1503: "Indoor Coil Frost Protection", 1504: "Indoor Coil Overheat Protection", 2500: "Water Leakage", 2502: "Drain Pump Fault", 2503: "Drain Sensor Fault", 4100: "Compressor Overcurrent", 4220: "Inverter Bus Voltage Fault", 4230: "Heatsink Overheat", 4250: "Power Module Fault", 5101: "Room Temperature Thermistor Fault", 5102: "Liquid Pipe Thermistor Fault", 5103: "Gas Pipe Thermistor Fault", 5105: "Outdoor Pipe Thermistor Fault", 5106: "Outdoor Air Thermistor Fault", 6600: "Duplicate Address", 6602: "Transmission Processor Fault", 6603: "Transmission Bus Busy", 6606: "Transmission Processor Communication Fault", 6607: "No Acknowledgement", 6608: "No Response", 6831: "Remote Controller Reception Fault", 6832: "Remote Controller Transmission Fault", 7100: "Total Capacity Fault", 7101: "Capacity Code Fault", 7102: "Too Many Units Connected", 7111: "Remote Controller Sensor Fault" },
     EffectiveFlags: {
         Power: 1,
         OperationMode: 2,
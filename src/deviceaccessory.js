@@ -0,0 +1,131 @@
+import EventEmitter from 'events';
+import Functions from './functions.js';
+import { DeviceType } from './constants.js';
+
+//shared by the ATA, ATW and ERV devices: account and device config, offline state and the accessory lifecycle
+class DeviceAccessory extends EventEmitter {
+    constructor(api, account, device, defaultTempsFile, accountInfo, accountFile, melcloud, melcloudDevicesList) {
+        super();
+
+        // HAP references stored in context
+        this.api = api;
+        this.Accessory = api.platformAccessory;
+        this.Characteristic = api.hap.Characteristic;
+        this.Service = api.hap.Service;
+        this.Categories = api.hap.Categories;
+        this.AccessoryUUID = api.hap.uuid;
+
+        // Account config
+        this.melcloud = melcloud;
+        this.melcloudDevicesList = melcloudDevicesList;
+        this.account = account;
+        this.accountType = account.type;
+        this.accountName = account.name;
+        this.logDeviceInfo = account.log?.deviceInfo || false;
+        this.logInfo = account.log?.info || false;
+        this.logWarn = account.log?.warn || false;
+        this.logDebug = account.log?.debug || false;
+
+        // Device config
+        this.device = device;
+        this.deviceId = device.id;
+        this.deviceName = device.name;
+        this.deviceTypeString = DeviceType[device.type];
+        this.accessoryUUID = this.AccessoryUUID.generate(this.accountName + this.deviceId.toString());
+
+        // Files
+        this.defaultTempsFile = defaultTempsFile;
+        this.accountInfo = accountInfo;
+        this.accountFile = accountFile;
+
+        // Utilities
+        this.functions = new Functions(this.logWarn, this.logError, this.logDebug)
+            .on('warn', warn => this.emit('warn', warn))
+            .on('error', error => this.emit('error', error))
+            .on('debug', debug => this.emit('debug', debug));
+
+        // State
+        this.displayDeviceInfo = true;
+        this.deviceData = {};
+        this.accessoryState = {};
+        this.offline = false; // Published from cache, MELCloud unreachable
+
+        // Service references (populated during prepareAccessory)
+        this.services = {};
+    }
+
+    /**
+     * Device client of the unit, set by the subclass on start
+     */
+    get deviceClient() {
+        return null;
+    }
+
+    /**
+     * Mark accessory as not responding while MELCloud is unreachable
+     * @param {boolean} offline - True when running from cached device list
+     */
+    setOffline(offline) {
+        if (this.offline === offline) return;
+        this.offline = offline;
+
+        if (offline) {
+            const { HapStatusError, HAPStatus } = this.api.hap;
+            this.showOffline(new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE));
+            return;
+        }
+
+        // Live data is back, push real values again
+        this.stateUpdater.update();
+        if (this.logInfo) this.emit('info', `MELCloud reachable, switched to live data`);
+    }
+
+    /**
+     * Push the communication failure to the characteristic HomeKit reads the state from
+     */
+    showOffline(error) {
+        this.services.main?.updateCharacteristic(this.Characteristic.Active, error);
+    }
+
+    /**
+     * Throw HAP communication failure while offline, so HomeKit shows No Response
+     */
+    assertOnline() {
+        if (!this.offline) return;
+        const { HapStatusError, HAPStatus } = this.api.hap;
+        throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+    }
+
+    /**
+     * Stop timers and detach from the account client when the device is removed
+     */
+    async stop() {
+        this.deviceClient?.destroy();
+    }
+
+    async prepareAccessory(cachedAccessory = null) {
+        try {
+            if (this.logDebug) this.emit('debug', `Prepare accessory`);
+
+            // Create accessory or reuse the one restored by Homebridge
+            const accessoryName = this.deviceName;
+            const accessory = cachedAccessory ?? new this.Accessory(accessoryName, this.accessoryUUID, this.accessoryCategory);
+            accessory.context.accountName = this.accountName;
+            accessory.context.deviceId = this.deviceId;
+
+            // Restored services are rebuilt from current state
+            for (const service of accessory.services.filter(service => service.UUID !== this.Service.AccessoryInformation.UUID)) {
+                accessory.removeService(service);
+            }
+
+            // Create all services using factory
+            this.services = await this.serviceFactory.createServices(accessory, accessoryName);
+
+            return accessory;
+        } catch (error) {
+            throw new Error(`Prepare accessory error: ${error}`);
+        }
+    }
+}
+
+export default DeviceAccessory;
@@ -1,4 +1,12 @@
 import { AirConditioner } from '../constants.js';
+import { States, SeasonMode } from './predictive/constants.js';
+
+// What the unit does while no room temperature source is usable (SENSOR_FAULT)
+const FailSafePolicies = {
+    hold: 'Hold the last predicted setpoint on the AC sensor',
+    fixed: 'Conservative fixed setpoint',
+    off: 'Power off with frost protection'
+};
 
 /**
  * ActionExecutor - Translates state machine decisions into MELCloud API calls
@@ -13,6 +21,14 @@ class ActionExecutor {
         this.minActionInterval = 60000; // 60 seconds minimum between actions
         this.lastSentSetpoint = null;
         this.lastSentMode = null;
+
+        const failSafe = device.device.sensorFailSafe || {};
+        this.failSafeConfig = {
+            policy: FailSafePolicies[failSafe.policy] ? failSafe.policy : 'hold',
+            heatSetpoint: failSafe.heatSetpoint ?? 19,
+            coolSetpoint: failSafe.coolSetpoint ?? 26
+        };
+        this.failSafe = null; // { policy, action, applied, frostEnabled } while in SENSOR_FAULT
     }
 
     /**
@@ -21,6 +37,26 @@ class ActionExecutor {
      */
     async executeAction(stateResult) {
         const { state, action, reason } = stateResult;
+        const d = this.device;
+
+        // Sensor usable again, undo what the fail-safe changed
+        if (this.failSafe && state !== States.SENSOR_FAULT) {
+            await this._endFailSafe();
+        }
+
+        // Issued on entering SENSOR_FAULT and re-issued every cycle until sent, never rate limited
+        const failSafeAction = action?.type === 'failSafe'
+            ? action
+            : (!action && state === States.SENSOR_FAULT && this.failSafe && !this.failSafe.applied ? this.failSafe.action : null);
+        if (failSafeAction) {
+            try {
+                await this._executeFailSafe(failSafeAction, reason);
+                this.lastActionTime = Date.now();
+            } catch (error) {
+                d.emit('warn', `Sensor fault fail-safe error: ${error.message}, retrying on next update`);
+            }
+            return;
+        }
 
         // No action needed
         if (!action) return;
@@ -32,8 +68,6 @@ class ActionExecutor {
             return;
         }
 
-        const d = this.device;
-
         try {
             switch (action.type) {
                 case 'setMode':
@@ -49,6 +83,93 @@ class ActionExecutor {
         }
     }
 
+    /**
+     * Handle a command MELCloud did not apply after retries
+     * Clears send tracking so the next cycle issues the action again
+     * @param {Object} failure - Payload of the MelCloudAta commandFailed event
+     */
+    handleCommandFailed(failure) {
+        const { Power, OperationMode } = AirConditioner.EffectiveFlags;
+        const stateMachine = this.device.predictiveController?.stateMachine;
+
+        this.lastActionTime = null;
+        this.lastSentSetpoint = null;
+        this.lastSentMode = null;
+
+        if (!stateMachine) return;
+
+        // Power or mode never applied - the AC is not in the state we think it is
+        if (failure.flags & (Power | OperationMode)) {
+            stateMachine.reset();
+        } else {
+            stateMachine.lastSentSetpoint = null;
+        }
+    }
+
+    /**
+     * Apply the configured fail-safe policy when no room temperature source is usable
+     */
+    async _executeFailSafe(action, reason) {
+        const d = this.device;
+        const { policy, heatSetpoint, coolSetpoint } = this.failSafeConfig;
+        const device = d.deviceData.Device;
+        const { SetTemperature, Power } = AirConditioner.EffectiveFlags;
+
+        this.failSafe = { policy, action, applied: false, frostEnabled: this.failSafe?.frostEnabled ?? false };
+
+        let flag;
+        let description;
+        switch (policy) {
+            case 'fixed':
+                device.SetTemperature = d.predictiveController.getSeasonMode() === SeasonMode.WINTER ? heatSetpoint : coolSetpoint;
+                flag = SetTemperature;
+                description = `AC setpoint ${device.SetTemperature}°C`;
+                break;
+            case 'off': {
+                device.Power = false;
+                flag = Power;
+                description = 'AC powered off';
+
+                // Frost protection guards the room while the unit is off, on the AC sensor if needed
+                const frost = d.temperatureProtection.protections.frost;
+                if (!frost.enabled) {
+                    this.failSafe.frostEnabled = true;
+                    await d.temperatureProtection.setEnabled('frost', true);
+                }
+                description += `, frost protection ${frost.min}-${frost.max}°C`;
+                break;
+            }
+            default:
+                device.SetTemperature = Math.round(action.setpoint * 2) / 2;
+                flag = SetTemperature;
+                description = `holding ${device.SetTemperature}°C on the AC sensor`;
+        }
+
+        await d.melCloudAta.send(d.accountType, d.displayType, d.deviceData, flag);
+
+        this.failSafe.applied = true;
+        this.lastSentSetpoint = device.SetTemperature;
+        this.lastSentMode = null;
+
+        d.emit('warn', `Sensor fault fail-safe (${policy}): ${description}`);
+        d.emit('failSafe', { policy, description, reason, setpoint: policy === 'off' ? null : device.SetTemperature });
+    }
+
+    /**
+     * Leave the fail-safe once a room temperature source is back
+     */
+    async _endFailSafe() {
+        const d = this.device;
+        const { policy, frostEnabled } = this.failSafe;
+        this.failSafe = null;
+
+        if (frostEnabled) {
+            await d.temperatureProtection.setEnabled('frost', false);
+        }
+
+        d.emit('info', `Sensor fault fail-safe (${policy}) ended, predictive control resumed`);
+    }
+
     /**
      * Execute setMode action (power on + set mode + set temperature)
      */
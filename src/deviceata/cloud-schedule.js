@@ -0,0 +1,157 @@
+import { randomUUID } from 'crypto';
+
+/**
+ * CloudSchedule - Per-day schedule entries stored in MELCloud Home
+ *
+ * Entries run in the cloud and keep working while Homebridge is down. The comfort
+ * schedule can be copied to the cloud once on start (`comfortSchedule.cloudSync`),
+ * replacing the unit's entries. MELCloud Home accounts only.
+ *
+ * Copied entries also fire while Homebridge runs. They only set the AC setpoint the
+ * plugin would send for the comfort target (compensated for the external sensor
+ * offset) and leave power and mode unchanged, so a unit turned off stays off and
+ * predictive control takes over again on the next update.
+ */
+class CloudSchedule {
+    constructor(device) {
+        this.device = device;
+        this.enabled = device.accountType === 'melcloudhome';
+        this.showSwitch = this.enabled && device.device.cloudScheduleSwitch === true;
+
+        this.synced = false;
+        this.syncing = false; // Device updates during a running sync do not start another
+    }
+
+    /**
+     * Entries of the unit ordered by day and time
+     */
+    list() {
+        const d = this.device;
+        const key = (entry) => `${Math.min(...entry.Days)}${entry.Time}`;
+        return [...(d.deviceData.Schedule ?? [])].sort((a, b) => key(a).localeCompare(key(b)));
+    }
+
+    /**
+     * Fill defaults and check days and time, also used by the plugin UI
+     * @throws {Error} When the entry is not valid
+     */
+    static normalize(entry) {
+        const normalized = {
+            Enabled: true,
+            Power: true,
+            OperationMode: null,
+            SetPoint: null,
+            VaneVerticalDirection: null,
+            VaneHorizontalDirection: null,
+            SetFanSpeed: null,
+            ...entry
+        };
+
+        const days = normalized.Days;
+        if (!Array.isArray(days) || days.length === 0 || !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+            throw new Error(`Invalid schedule days: ${JSON.stringify(days)}`);
+        }
+
+        const time = /^([01]\d|2[0-3]):([0-5]\d)(:[0-5]\d)?$/.exec(normalized.Time ?? '');
+        if (!time) throw new Error(`Invalid schedule time: ${normalized.Time}`);
+        normalized.Time = `${time[1]}:${time[2]}${time[3] ?? ':00'}`;
+
+        return normalized;
+    }
+
+    async create(entry) {
+        const d = this.device;
+        if (!this.enabled) throw new Error('Cloud schedules need a MELCloud Home account');
+
+        const created = CloudSchedule.normalize({ ...entry, Id: randomUUID() });
+        await d.melcloud.saveSchedule(d.deviceId, created);
+        d.deviceData.Schedule = [...(d.deviceData.Schedule ?? []), created];
+
+        return created;
+    }
+
+    async update(scheduleId, changes) {
+        const d = this.device;
+        const entry = d.deviceData.Schedule?.find(entry => entry.Id === scheduleId);
+        if (!entry) throw new Error(`Schedule ${scheduleId} not found`);
+
+        const updated = CloudSchedule.normalize({ ...entry, ...changes, Id: scheduleId });
+        await d.melcloud.saveSchedule(d.deviceId, updated);
+        d.deviceData.Schedule = d.deviceData.Schedule.map(entry => entry.Id === scheduleId ? updated : entry);
+
+        return updated;
+    }
+
+    async remove(scheduleId) {
+        const d = this.device;
+        await d.melcloud.deleteSchedule(d.deviceId, scheduleId);
+        d.deviceData.Schedule = (d.deviceData.Schedule ?? []).filter(entry => entry.Id !== scheduleId);
+    }
+
+    /**
+     * Turn all entries of the unit on or off
+     */
+    async setEnabled(enabled) {
+        const d = this.device;
+        d.deviceData.ScheduleEnabled = enabled;
+        await d.melCloudAta.send(d.accountType, d.displayType, d.deviceData, 'schedule');
+    }
+
+    /**
+     * Comfort schedule entries as cloud entries, power and operation mode are left unchanged
+     * @param {Function} setPoint - AC setpoint for a comfort target
+     */
+    static fromComfortSchedule(entries, setPoint = temperature => temperature) {
+        return entries.map(entry => ({
+            Days: [...entry.days].sort(),
+            Time: `${entry.time}:00`,
+            Enabled: true,
+            Power: null,
+            OperationMode: null,
+            SetPoint: setPoint(entry.temperature),
+            VaneVerticalDirection: null,
+            VaneHorizontalDirection: null,
+            SetFanSpeed: null
+        }));
+    }
+
+    /**
+     * Replace the unit's entries with the comfort schedule, once per start
+     */
+    async syncComfortSchedule() {
+        const d = this.device;
+        const comfortSchedule = d.comfortSchedule;
+        if (!this.enabled || this.synced || this.syncing || !comfortSchedule.enabled || !comfortSchedule.cloudSync) return;
+        this.syncing = true;
+
+        const key = (entry) => `${[...entry.Days].sort()}|${entry.Time}|${entry.Power}|${entry.OperationMode}|${entry.SetPoint}`;
+        const wanted = CloudSchedule.fromComfortSchedule(comfortSchedule.entries, temperature => d.externalSensor.getCompensatedTargetTemperature(temperature));
+        const wantedKeys = new Set(wanted.map(key));
+        const existingKeys = new Set();
+
+        try {
+            for (const entry of this.list()) {
+                if (wantedKeys.has(key(entry)) && entry.Enabled && !existingKeys.has(key(entry))) {
+                    existingKeys.add(key(entry));
+                    continue;
+                }
+                await this.remove(entry.Id);
+            }
+
+            const missing = wanted.filter(entry => !existingKeys.has(key(entry)));
+            for (const entry of missing) await this.create(entry);
+
+            if (!d.deviceData.ScheduleEnabled) await this.setEnabled(true);
+            this.synced = true;
+            if (d.logInfo) d.emit('info', `Comfort schedule copied to MELCloud: ${wanted.length} entries, ${missing.length} added`);
+        } catch (error) {
+            //tried again on the next device update
+            if (d.logWarn) d.emit('warn', `Cloud schedule sync error: ${error.message}`);
+        } finally {
+            this.syncing = false;
+        }
+    }
+}
+
+export { CloudSchedule };
+export default CloudSchedule;
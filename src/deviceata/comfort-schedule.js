@@ -0,0 +1,72 @@
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MINUTES_PER_WEEK = 7 * 24 * 60;
+
+/**
+ * ComfortSchedule - Weekly comfort targets from config
+ *
+ * Each entry sets the comfort target from its days and time until the next entry,
+ * the last entry of the week carries over to the first one. A target set in HomeKit
+ * is kept until the next entry starts. Days are numbered 0 (Sunday) to 6 (Saturday).
+ */
+class ComfortSchedule {
+    constructor(device) {
+        this.device = device;
+
+        const config = device.device.comfortSchedule || {};
+        this.entries = (config.entries ?? []).filter(entry => ComfortSchedule.isValid(entry));
+        this.cloudSync = config.cloudSync === true;
+        this.enabled = this.entries.length > 0;
+
+        this.current = null; // Entry in effect, null until first update
+    }
+
+    static isValid(entry) {
+        return Array.isArray(entry?.days) && entry.days.length > 0 && entry.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)
+            && /^([01]\d|2[0-3]):[0-5]\d$/.test(entry.time ?? '')
+            && Number.isFinite(entry.temperature);
+    }
+
+    /**
+     * Entry in effect at the given time
+     * @returns {Object|null} { days, time, temperature, day } - day is the start day of the period
+     */
+    getActiveEntry(now = new Date()) {
+        if (!this.enabled) return null;
+
+        const nowMinute = now.getDay() * 1440 + now.getHours() * 60 + now.getMinutes();
+        let active = null;
+        let activeAge = Infinity;
+        for (const entry of this.entries) {
+            const [hours, minutes] = entry.time.split(':').map(Number);
+            for (const day of entry.days) {
+                // Minutes since this start, wrapping over the end of the week
+                const age = (nowMinute - (day * 1440 + hours * 60 + minutes) + MINUTES_PER_WEEK) % MINUTES_PER_WEEK;
+                if (age < activeAge) {
+                    active = { ...entry, day };
+                    activeAge = age;
+                }
+            }
+        }
+
+        return active;
+    }
+
+    /**
+     * Apply the comfort target when a new entry starts
+     * @returns {boolean} True when the target was changed
+     */
+    update(now = new Date()) {
+        const d = this.device;
+        const entry = this.getActiveEntry(now);
+        if (!entry || (this.current && this.current.day === entry.day && this.current.time === entry.time)) return false;
+
+        this.current = entry;
+        d.userTargetTemperature = d.predictiveController.setUserComfortPreference(entry.temperature);
+        if (d.logInfo) d.emit('info', `Comfort schedule: ${d.userTargetTemperature}°C from ${DAY_NAMES[entry.day]} ${entry.time}`);
+
+        return true;
+    }
+}
+
+export { ComfortSchedule };
+export default ComfortSchedule;
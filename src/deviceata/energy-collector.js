@@ -0,0 +1,144 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+const COLLECT_INTERVAL_MS = 60 * 60 * 1000;
+const KEEP_DAYS = 90;
+
+// Collected categories and their EnergyCost/Report keys
+const Categories = { heating: 'Heating', cooling: 'Cooling', fan: 'Fan', auto: 'Auto' };
+
+/**
+ * EnergyCollector - Hourly and daily energy consumption from MELCloud EnergyCost/Report
+ *
+ * Today's report is fetched every hour, the previous day once more after midnight.
+ * Values go to InfluxDB (energy_data), to a local file and today's total to the
+ * Eve consumption characteristic. Classic MELCloud accounts only.
+ */
+class EnergyCollector {
+    constructor(device) {
+        this.device = device;
+
+        const config = device.device.energyReport || {};
+        this.enabled = config.enable === true && device.accountType === 'melcloud';
+
+        this.file = null;
+        this.days = {}; // 'YYYY-MM-DD' → { heating, cooling, fan, auto, total, hours }
+        this.lastDate = null;
+        this.interval = null;
+    }
+
+    async init() {
+        const d = this.device;
+        if (!this.enabled) return false;
+
+        const melcloudDir = path.join(d.api?.user?.storagePath?.() || './', 'melcloud');
+        this.file = path.join(melcloudDir, `${d.accountName}_${d.deviceId}_Energy.json`);
+        await fs.mkdir(melcloudDir, { recursive: true });
+        await this.load();
+
+        //first report loads in the background, a slow EnergyCost/Report does not hold up the start
+        this.collect();
+        this.interval = setInterval(() => this.collect(), COLLECT_INTERVAL_MS);
+        return true;
+    }
+
+    /**
+     * Fetch and store today's consumption, finish the previous day after midnight
+     */
+    async collect(now = new Date()) {
+        const d = this.device;
+        const date = this.dateKey(now);
+
+        try {
+            if (this.lastDate && this.lastDate !== date) await this.collectDay(this.lastDate);
+            await this.collectDay(date);
+            this.lastDate = date;
+
+            await this.save();
+            d.services.main?.updateCharacteristic(d.EveCharacteristic.TotalConsumption, this.getTodayKwh(now));
+        } catch (error) {
+            if (d.logWarn) d.emit('warn', `Energy report error: ${error.message}`);
+        }
+    }
+
+    async collectDay(date) {
+        const d = this.device;
+
+        const report = await d.melcloud.getEnergyReport(d.deviceId, `${date}T00:00:00`, `${date}T23:59:59`);
+        if (!report) return;
+
+        const day = this.parseReport(report);
+        this.days[date] = day;
+        if (d.logDebug) d.emit('debug', `Energy ${date}: ${day.total} kWh (heating ${day.heating}, cooling ${day.cooling}, fan ${day.fan}, auto ${day.auto})`);
+
+        // Same tags and timestamp overwrite earlier points, so revised hours are corrected
+        if (d.thermalManager) {
+            const [year, month, dayOfMonth] = date.split('-').map(Number);
+            for (const { hour, ...values } of day.hours) {
+                d.thermalManager.logEnergy({ period: 'hour', timestamp: new Date(year, month - 1, dayOfMonth, hour), ...values });
+            }
+            const { hours, ...totals } = day;
+            d.thermalManager.logEnergy({ period: 'day', timestamp: new Date(year, month - 1, dayOfMonth), ...totals });
+        }
+    }
+
+    /**
+     * Single day report into hourly values and day totals in kWh, total includes dry mode
+     */
+    parseReport(report) {
+        const round = (value) => Math.round(value * 1000) / 1000;
+        const sum = (values) => round(values.reduce((total, value) => total + value, 0));
+
+        const hours = (report.Labels ?? []).map((label, index) => {
+            const hour = { hour: Number(label) };
+            for (const [key, field] of Object.entries(Categories)) hour[key] = round(report[field]?.[index] ?? 0);
+            hour.total = sum([...Object.keys(Categories).map(key => hour[key]), report.Dry?.[index] ?? 0]);
+            return hour;
+        });
+
+        const day = {};
+        for (const [key, field] of Object.entries(Categories)) {
+            day[key] = round(report[`Total${field}Consumed`] ?? sum(hours.map(hour => hour[key])));
+        }
+        day.total = sum([...Object.keys(Categories).map(key => day[key]), report.TotalDryConsumed ?? 0]);
+        day.hours = hours;
+
+        return day;
+    }
+
+    getTodayKwh(now = new Date()) {
+        return this.days[this.dateKey(now)]?.total ?? 0;
+    }
+
+    dateKey(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    async load() {
+        try {
+            const saved = JSON.parse(await fs.readFile(this.file, 'utf8'));
+            this.days = saved.days ?? {};
+        } catch (error) {
+            // No history yet
+            this.days = {};
+        }
+    }
+
+    async save() {
+        const dates = Object.keys(this.days).sort();
+        for (const date of dates.slice(0, -KEEP_DAYS)) delete this.days[date];
+
+        await fs.writeFile(this.file, JSON.stringify({ days: this.days }, null, 2));
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+}
+
+export { EnergyCollector };
+export default EnergyCollector;
@@ -1,55 +1,232 @@
 import ShellyCloud from '../shellycloud.js';
+import ShellyLocal from '../shellylocal.js';
+import MqttSensor from '../mqttsensor.js';
 import { AirConditioner } from '../constants.js';
+import { SensorState } from './predictive/constants.js';
 
 /**
- * Handles external temperature sensor integration (Shelly)
- * and temperature compensation logic
+ * Handles external temperature sensor integration (Shelly Cloud, local Shelly RPC or MQTT),
+ * fusion of several room sensors and temperature compensation logic
  */
 export class ExternalSensor {
     constructor(device) {
         this.device = device;
+        this.lastFusion = null; // Last fused result with every individual reading
     }
 
-    async init() {
+    /**
+     * Configured sensors, the top level settings form a single sensor when no list is given
+     */
+    getSensorConfigs() {
+        const config = this.device.externalSensorConfig;
+        const sensors = config.sensors?.length ? config.sensors : [config];
+
+        return sensors.map((sensor, index) => ({
+            ...sensor,
+            type: sensor.type || 'shelly',
+            name: sensor.name || (sensors.length > 1 ? `Sensor ${index + 1}` : 'External sensor'),
+            weight: sensor.weight ?? 1
+        }));
+    }
+
+    createClient(config) {
         const d = this.device;
 
-        if (d.externalSensorType === 'shelly') {
-            try {
-                d.shellyClient = new ShellyCloud({
-                    shellyServerUri: d.externalSensorConfig.shellyServerUri,
-                    shellyAuthKey: d.externalSensorConfig.shellyAuthKey,
-                    shellyDeviceId: d.externalSensorConfig.shellyDeviceId,
+        switch (config.type) {
+            case 'shelly':
+                return new ShellyCloud({
+                    shellyServerUri: config.shellyServerUri,
+                    shellyAuthKey: config.shellyAuthKey,
+                    shellyDeviceId: config.shellyDeviceId,
+                    shellyMode: config.shellyMode,
+                    shellyAccessToken: config.shellyAccessToken,
+                    logDebug: d.logDebug,
+                    logWarn: d.logWarn
+                });
+            case 'shelly-local':
+                return new ShellyLocal({
+                    shellyHost: config.shellyHost,
+                    webhookPort: config.webhookPort,
+                    webhookToken: config.webhookToken,
+                    webhookAddress: config.webhookAddress,
+                    sleepPeriod: config.sleepPeriod,
+                    logDebug: d.logDebug,
+                    logWarn: d.logWarn
+                });
+            case 'mqtt':
+                return new MqttSensor({
+                    broker: config.broker,
+                    username: config.username,
+                    passwd: config.passwd,
+                    temperatureTopic: config.temperatureTopic,
+                    temperaturePath: config.temperaturePath,
+                    humidityTopic: config.humidityTopic,
+                    humidityPath: config.humidityPath,
+                    staleAfter: config.staleAfter,
                     logDebug: d.logDebug,
                     logWarn: d.logWarn
+                });
+            default:
+                return null;
+        }
+    }
+
+    async init() {
+        const d = this.device;
+
+        for (const config of this.getSensorConfigs()) {
+            const client = this.createClient(config);
+            if (!client) {
+                if (d.logWarn) d.emit('warn', `${config.name}: unknown sensor type ${config.type}`);
+                continue;
+            }
+
+            const sensor = { name: config.name, type: config.type, weight: config.weight, client };
+            client
+                .on('temperature', (temp, humidity) => {
+                    if (d.logDebug && d.sensors.length > 1) d.emit('debug', `${sensor.name}: ${temp}°C, humidity: ${humidity}%`);
+                    this.fuse();
+                })
+                .on('unavailable', (error) => {
+                    if (d.logWarn) d.emit('warn', `${sensor.name} unavailable: ${error.message}`);
+                    this.fuse();
                 })
-                    .on('temperature', (temp, humidity) => {
-                        d.roomCurrentTemp = temp;
-                        d.externalHumidity = humidity;
-                        this.updateTemperatureOffset();
-                        if (d.logDebug) d.emit('debug', `External sensor: ${temp}°C, humidity: ${humidity}%`);
-                    })
-                    .on('unavailable', (error) => {
-                        if (d.logWarn) d.emit('warn', `External sensor unavailable: ${error.message}`);
-                    })
-                    .on('debug', (debug) => d.emit('debug', debug))
-                    .on('warn', (warn) => d.emit('warn', warn));
-
-                // Start polling
-                d.shellyPollingInterval = setInterval(async () => {
-                    await d.shellyClient.fetchTemperature();
-                }, d.pollInterval);
-
-                // Initial fetch
-                await d.shellyClient.fetchTemperature();
-                d.emit('success', `External Shelly sensor connected (poll: ${d.pollInterval / 1000}s)`);
+                .on('debug', (debug) => d.emit('debug', debug))
+                .on('warn', (warn) => d.emit('warn', warn));
+            d.sensors.push(sensor);
+
+            try {
+                d.emit('success', await this.start(sensor, config));
             } catch (error) {
-                if (d.logWarn) d.emit('warn', `Shelly sensor init error: ${error}`);
+                if (d.logWarn) d.emit('warn', `${sensor.name} init error: ${error}`);
             }
         }
 
+        if (d.sensors.length === 0) return true;
+
+        // Start polling, MQTT only checks staleness, Shelly Cloud polls while its event stream is down
+        d.sensorPollingInterval = setInterval(async () => {
+            for (const sensor of d.sensors) await sensor.client.fetchTemperature();
+        }, d.pollInterval);
+
+        if (d.sensors.length > 1) {
+            d.emit('success', `Room temperature fused from ${d.sensors.length} sensors (${d.sensorFusion.method})`);
+        }
+
         return true;
     }
 
+    /**
+     * Start pushed readings and do the initial fetch
+     * @returns {string} Connected message
+     */
+    async start(sensor, config) {
+        const d = this.device;
+        const client = sensor.client;
+        let connected = `${sensor.name}: Shelly Cloud sensor connected (poll: ${d.pollInterval / 1000}s)`;
+
+        // Pushed readings: Shelly Cloud events, local Shelly webhooks, MQTT subscriptions
+        if (sensor.type === 'shelly' && config.shellyMode === 'events' && !config.shellyAccessToken && d.logWarn) {
+            d.emit('warn', `${sensor.name}: Shelly Cloud real-time events need an access token, polling`);
+        }
+        if (sensor.type === 'shelly' && client.connect()) {
+            connected = `${sensor.name}: Shelly Cloud sensor connected (real-time events, poll while disconnected: ${d.pollInterval / 1000}s)`;
+        } else if (sensor.type === 'shelly-local') {
+            const webhookPort = await client.startWebhook();
+            connected = `${sensor.name}: local Shelly sensor ${config.shellyHost} connected (poll: ${d.pollInterval / 1000}s${webhookPort ? `, webhook: ${client.webhookPath} on port ${webhookPort}` : ''})`;
+        } else if (sensor.type === 'mqtt') {
+            await client.connect();
+            connected = `${sensor.name}: MQTT sensor subscribed to ${config.temperatureTopic} on ${config.broker}`;
+        }
+
+        await client.fetchTemperature();
+        return connected;
+    }
+
+    /**
+     * Combine current readings into roomCurrentTemp and externalHumidity
+     * Called on every reading and device update, so readings older than maxAge are dropped in time
+     * Without any usable reading the room temperature falls back to the AC sensor
+     */
+    fuse() {
+        const d = this.device;
+
+        const readings = d.sensors.map(sensor => ({
+            name: sensor.name,
+            weight: sensor.weight,
+            temperature: sensor.client.getTemperature(),
+            humidity: sensor.client.getHumidity(),
+            online: sensor.client.isOnline(),
+            lastUpdate: sensor.client.getLastUpdate()
+        }));
+
+        const result = d.sensorFusion.fuse(readings);
+        this.lastFusion = { ...result, readings };
+
+        for (const reading of result.rejected.filter(reading => reading.reason === 'outlier')) {
+            if (d.logDebug) d.emit('debug', `${reading.name}: ${reading.temperature}°C rejected as outlier`);
+        }
+
+        if (result.temperature === null) {
+            this.fallback();
+            return null;
+        }
+
+        d.roomCurrentTemp = result.temperature;
+        d.externalHumidity = result.humidity;
+        this.setSensorState(SensorState.OK, 'room sensor readings restored');
+        this.updateTemperatureOffset();
+        if (d.logDebug) d.emit('debug', `External sensor: ${result.temperature}°C, humidity: ${result.humidity}%${d.sensors.length > 1 ? ` (${result.used.length}/${d.sensors.length} sensors)` : ''}`);
+
+        return result;
+    }
+
+    /**
+     * AC sensor corrected by the learned offset of the current mode (SENSOR_DEGRADED),
+     * no usable source without an AC reading or any offset learned (SENSOR_FAULT)
+     */
+    fallback() {
+        const d = this.device;
+        const acCurrentTemp = d.deviceData?.Device?.RoomTemperature;
+        const offset = d.offsetEstimator.getOffset(d.deviceData);
+
+        d.externalHumidity = null;
+        if (typeof acCurrentTemp !== 'number' || offset === null) {
+            d.roomCurrentTemp = null;
+            this.setSensorState(SensorState.FAULT, 'no usable room temperature source');
+            return;
+        }
+
+        d.temperatureOffset = offset;
+        d.roomCurrentTemp = Math.round((acCurrentTemp - offset) * 100) / 100;
+        this.setSensorState(SensorState.DEGRADED, `room sensor stale, using AC sensor ${acCurrentTemp}°C with learned offset ${offset.toFixed(1)}°C`);
+    }
+
+    setSensorState(state, reason) {
+        const d = this.device;
+        if (d.sensorState === state) return;
+
+        const previous = d.sensorState;
+        d.sensorState = state;
+        if (state === SensorState.OK && previous === null) return;
+
+        d.emit(state === SensorState.OK ? 'info' : 'warn', `Sensor ${state}: ${reason}`);
+    }
+
+    async stop() {
+        const d = this.device;
+
+        if (d.sensorPollingInterval) {
+            clearInterval(d.sensorPollingInterval);
+            d.sensorPollingInterval = null;
+        }
+
+        // Shelly Cloud clients have nothing to close
+        for (const sensor of d.sensors) {
+            await sensor.client.stop?.();
+        }
+    }
+
     async updateTemperatureOffset() {
         const d = this.device;
 
@@ -63,8 +240,9 @@ export class ExternalSensor {
             return;
         }
 
-        // Calculate offset: positive means AC reads higher than external
-        const newOffset = acCurrentTemp - d.roomCurrentTemp;
+        // Learned offset of the current mode, positive means AC reads higher than external
+        // Samples are fed on device updates, a new room reading alone does not move it
+        const newOffset = d.offsetEstimator.getOffset(d.deviceData) ?? acCurrentTemp - d.roomCurrentTemp;
         const offsetChanged = Math.abs(newOffset - d.temperatureOffset) > 0.3;
 
         // Update offset
@@ -72,7 +250,7 @@ export class ExternalSensor {
 
         // Log if offset changed significantly
         if (offsetChanged && d.logInfo) {
-            d.emit('info', `Temperature offset: ${d.temperatureOffset.toFixed(1)}°C (AC: ${acCurrentTemp}°C, Room: ${d.roomCurrentTemp}°C)`);
+            d.emit('info', `Temperature offset: ${d.temperatureOffset.toFixed(1)}°C, confidence ${d.offsetEstimator.getConfidence(d.deviceData)} (AC: ${acCurrentTemp}°C, Room: ${d.roomCurrentTemp}°C)`);
         }
 
         // Reapply compensation if offset changed and we have a user target
@@ -84,10 +262,14 @@ export class ExternalSensor {
     async reapplyCompensation() {
         const d = this.device;
 
-        if (!d.compensationEnabled || d.userTargetTemperature === null) {
+        // Nothing is sent while running from the device cache
+        if (!d.compensationEnabled || d.userTargetTemperature === null || d.offline) {
             return;
         }
 
+        // Frost and overheat protection own the setpoint while active, nothing is sent during a holiday or a unit fault
+        if (d.temperatureProtection.isActive() || d.holidayMode.active || d.unitFault.current !== null) return;
+
         const newCompensated = this.getCompensatedTargetTemperature(d.userTargetTemperature);
 
         // Only send if compensated value changed
@@ -0,0 +1,111 @@
+import { States, SeasonMode } from './predictive/constants.js';
+
+/**
+ * HolidayMode - Sets MELCloud holiday mode from config and suspends predictive control
+ *
+ * The configured window is sent to MELCloud once, ending `preheatHours` before the
+ * configured return so the house is back at comfort on arrival. While holiday mode
+ * is active the state machine is not run. When it ends a return pre-heat is started.
+ */
+class HolidayMode {
+    constructor(device) {
+        this.device = device;
+
+        const config = device.device.holidayMode || {};
+        this.startDate = Date.parse(config.startDate);
+        this.returnDate = Date.parse(config.endDate);
+        this.preheatHours = config.preheatHours ?? 6;
+        this.endDate = this.returnDate - this.preheatHours * 3600000;
+        this.enabled = Number.isFinite(this.startDate) && Number.isFinite(this.returnDate) && this.endDate > this.startDate;
+
+        this.requested = false;
+        this.active = false;
+    }
+
+    /**
+     * Holiday state reported by MELCloud, null when the cloud does not report it
+     */
+    getCloudState(deviceData) {
+        if (typeof deviceData.HolidayMode?.Active === 'boolean') return deviceData.HolidayMode.Active; // MELCloud Home
+        if (typeof deviceData.Device?.HolidayMode === 'boolean') return deviceData.Device.HolidayMode; // MELCloud
+        return null;
+    }
+
+    /**
+     * Evaluate holiday state on a live device update
+     * @returns {Object} { active, returning } - returning is true on the update holiday mode ended
+     */
+    async update(deviceData, now = Date.now()) {
+        const d = this.device;
+
+        if (this.enabled && !this.requested && now < this.endDate) {
+            await this.request(deviceData);
+        }
+
+        const cloudState = this.getCloudState(deviceData);
+        const inWindow = this.enabled && now >= this.startDate && now < this.endDate;
+        const active = cloudState ?? inWindow;
+
+        const returning = this.active && !active;
+        if (active !== this.active) {
+            this.active = active;
+            d.emit('info', active ? `Holiday mode active, predictive control suspended` : `Holiday mode ended, predictive control resumed`);
+        }
+
+        return { active, returning };
+    }
+
+    /**
+     * Send configured holiday window to MELCloud, sent again on the next update until it succeeds
+     */
+    async request(deviceData) {
+        const d = this.device;
+
+        deviceData.HolidayMode = {
+            ...deviceData.HolidayMode,
+            Enabled: true,
+            StartDate: this.formatDate(this.startDate),
+            EndDate: this.formatDate(this.endDate)
+        };
+
+        try {
+            await d.melCloudAta.send(d.accountType, d.displayType, deviceData, 'holidaymode');
+            this.requested = true;
+            d.emit('info', `Holiday mode set: ${deviceData.HolidayMode.StartDate} → ${deviceData.HolidayMode.EndDate}`);
+        } catch (error) {
+            d.emit('warn', `Set holiday mode error: ${error.message}, retrying on next update`);
+        }
+    }
+
+    /**
+     * Start heating back to comfort after the holiday (winter only)
+     * @returns {Object|null} State machine result with the pre-heat action
+     */
+    returnPreheat() {
+        const controller = this.device.predictiveController;
+        if (controller.getSeasonMode() !== SeasonMode.WINTER) return null;
+
+        // Unit was held off by MELCloud, lockout timers from before the holiday no longer apply
+        const setpoint = controller.calculateSetpoint().predictedRoomTarget;
+        controller.stateMachine.reset();
+        this.device.actionExecutor.lastActionTime = null;
+
+        return controller.stateMachine.forceState(States.PRE_HEAT, 'Return from holiday', {
+            type: 'setMode',
+            mode: 'heat',
+            setpoint
+        });
+    }
+
+    /**
+     * Local time as used by MELCloud, e.g. 2026-12-20T08:00:00
+     */
+    formatDate(timestamp) {
+        const date = new Date(timestamp);
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+    }
+}
+
+export { HolidayMode };
+export default HolidayMode;
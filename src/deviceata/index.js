@@ -1,50 +1,38 @@
-import EventEmitter from 'events';
+import DeviceAccessory from '../deviceaccessory.js';
 import MelCloudAta from '../melcloudata.js';
-import Functions from '../functions.js';
-import { DeviceType } from '../constants.js';
+import { SensorState } from './predictive/constants.js';
 import { ExternalSensor } from './external-sensor.js';
+import { SensorFusion } from './sensor-fusion.js';
+import { OffsetEstimator } from './offset-estimator.js';
 import { StateParser } from './state-parser.js';
 import { StateUpdater } from './state-updater.js';
 import { ServiceFactory } from './services/index.js';
 import { PredictiveController } from './predictive/index.js';
 import { ThermalManager } from './thermal/index.js';
 import { ActionExecutor } from './action-executor.js';
-
-class DeviceAta extends EventEmitter {
+import { HolidayMode } from './holiday-mode.js';
+import { UnitFault } from './unit-fault.js';
+import { EnergyCollector } from './energy-collector.js';
+import { ComfortSchedule } from './comfort-schedule.js';
+import { CloudSchedule } from './cloud-schedule.js';
+import { TemperatureProtection } from './temperature-protection.js';
+import { createEveCharacteristics } from './services/eve-characteristics.js';
+
+class DeviceAta extends DeviceAccessory {
     constructor(api, account, device, defaultTempsFile, accountInfo, accountFile, melcloud, melcloudDevicesList) {
-        super();
-
-        // HAP references stored in context
-        this.api = api;
-        this.Accessory = api.platformAccessory;
-        this.Characteristic = api.hap.Characteristic;
-        this.Service = api.hap.Service;
-        this.Categories = api.hap.Categories;
-        this.AccessoryUUID = api.hap.uuid;
-
-        // Account config
-        this.melcloud = melcloud;
-        this.melcloudDevicesList = melcloudDevicesList;
-        this.account = account;
-        this.accountType = account.type;
-        this.accountName = account.name;
-        this.logDeviceInfo = account.log?.deviceInfo || false;
-        this.logInfo = account.log?.info || false;
-        this.logWarn = account.log?.warn || false;
-        this.logDebug = account.log?.debug || false;
+        super(api, account, device, defaultTempsFile, accountInfo, accountFile, melcloud, melcloudDevicesList);
+        this.accessoryCategory = this.Categories.AIR_CONDITIONER;
+
+        // Eve characteristics
+        this.EveCharacteristic = createEveCharacteristics(api.hap);
 
         // Device config
-        this.device = device;
-        this.deviceId = device.id;
-        this.deviceName = device.name;
-        this.deviceTypeString = DeviceType[device.type];
         this.heatDryFanMode = device.heatDryFanMode || 1;
         this.coolDryFanMode = device.coolDryFanMode || 1;
         this.autoDryFanMode = device.autoDryFanMode || 1;
 
         // External sensor config (required for predictive control)
         this.externalSensorConfig = device.externalSensor || {};
-        this.externalSensorType = this.externalSensorConfig.type || 'shelly';
         this.compensationEnabled = true; // Always enabled in predictive mode
         this.hysteresis = 0.5;
         this.pollInterval = (this.externalSensorConfig.pollInterval || 60) * 1000;
@@ -53,6 +41,9 @@ class DeviceAta extends EventEmitter {
         this.targetTemperature = device.targetTemperature || 23;
         this.location = device.location || {};
 
+        // Scenes shown as switches (MELCloud Home)
+        this.scenes = this.accountType === 'melcloudhome' ? (device.scenes ?? []).filter(scene => scene.displayType > 0 && scene.id) : [];
+
         // InfluxDB config (optional)
         this.influxConfig = device.influxDb || {};
         this.influxEnabled = this.influxConfig.enabled || false;
@@ -60,44 +51,39 @@ class DeviceAta extends EventEmitter {
         // External sensor state
         this.roomCurrentTemp = null;
         this.externalHumidity = null;
+        this.sensorState = null; // SensorState once a reading or device update arrives
         this.temperatureOffset = 0;
         this.userTargetTemperature = null;
         this.lastCompensatedTarget = null;
-        this.shellyClient = null;
-        this.shellyPollingInterval = null;
-
-        // Files
-        this.defaultTempsFile = defaultTempsFile;
-        this.accountInfo = accountInfo;
-        this.accountFile = accountFile;
-
-        // Utilities
-        this.functions = new Functions(this.logWarn, this.logError, this.logDebug)
-            .on('warn', warn => this.emit('warn', warn))
-            .on('error', error => this.emit('error', error))
-            .on('debug', debug => this.emit('debug', debug));
-
-        // State
-        this.displayDeviceInfo = true;
-        this.deviceData = {};
-        this.accessoryState = {};
+        this.sensors = []; // { name, type, weight, client } per room sensor
+        this.sensorPollingInterval = null;
 
         // Sub-modules
+        this.sensorFusion = new SensorFusion(this.externalSensorConfig);
         this.externalSensor = new ExternalSensor(this);
+        this.offsetEstimator = new OffsetEstimator(this);
+        this.unitFault = new UnitFault(this);
         this.stateParser = new StateParser(this);
         this.stateUpdater = new StateUpdater(this);
         this.serviceFactory = new ServiceFactory(this);
         this.predictiveController = new PredictiveController(this);
         this.actionExecutor = new ActionExecutor(this);
+        this.holidayMode = new HolidayMode(this);
+        this.energyCollector = new EnergyCollector(this);
+        this.comfortSchedule = new ComfortSchedule(this);
+        this.cloudSchedule = new CloudSchedule(this);
+        this.temperatureProtection = new TemperatureProtection(this);
+
+        // Share night cooling requests with ventilation units of the account
+        this.predictiveController.on('ventilation', (request) => this.melcloud.emit('ventilation', { ...request, source: this.deviceId }));
+        this.ventilationSyncListener = () => this.predictiveController.resendVentilationRequest();
+        this.melcloud.on('ventilationSync', this.ventilationSyncListener);
 
         // Thermal manager (optional, created if InfluxDB enabled)
         this.thermalManager = this.influxEnabled ? new ThermalManager(this) : null;
-
-        // Service references (populated during prepareAccessory)
-        this.services = {};
     }
 
-    async start() {
+    async start(cachedAccessory = null) {
         try {
             // Create MelCloud device client
             this.melCloudAta = new MelCloudAta(this.account, this.device, this.defaultTempsFile, this.accountFile, this.melcloud)
@@ -122,20 +108,18 @@ class DeviceAta extends EventEmitter {
 
                     this.services.information?.setCharacteristic(this.Characteristic.FirmwareRevision, this.firmwareRevision);
                 })
-                .on('deviceState', async (deviceData) => {
+                .on('deviceState', async (deviceData, source) => {
                     this.deviceData = deviceData;
 
+                    // Comfort schedule moves the user target when the next entry starts
+                    this.comfortSchedule.update();
+
+                    // Drop stale room readings, fall back to the AC sensor with the learned offset
+                    this.externalSensor.fuse();
+
                     // Parse state
                     this.accessoryState = this.stateParser.parse(deviceData);
 
-                    // Update external sensor offset
-                    if (this.roomCurrentTemp !== null) {
-                        const acCurrentTemp = deviceData?.Device?.RoomTemperature;
-                        if (acCurrentTemp !== null && acCurrentTemp !== undefined) {
-                            this.temperatureOffset = acCurrentTemp - this.roomCurrentTemp;
-                        }
-                    }
-
                     // Initialize user target from config target, NOT from AC's current setpoint
                     // The AC setpoint may be stale/wrong from previous manual adjustment
                     if (this.userTargetTemperature === null) {
@@ -146,9 +130,32 @@ class DeviceAta extends EventEmitter {
                     // Update all services
                     this.stateUpdater.update();
 
+                    // Cached state only, no decisions until live data arrives
+                    if (this.offline) return;
+
+                    // Learn the external sensor offset of the current mode and fan speed, from fresh readings and live unit data only,
+                    // the echo of a sent command carries the room temperature of the previous update
+                    if (this.sensorState === SensorState.OK && source !== 'echo') {
+                        this.temperatureOffset = this.offsetEstimator.update(deviceData, this.roomCurrentTemp) ?? this.temperatureOffset;
+                    }
+
+                    // Copy comfort schedule to MELCloud Home, so it runs while Homebridge is down
+                    await this.cloudSchedule.syncComfortSchedule();
+
+                    // Unit faults pause predictive control until MELCloud reports the unit healthy
+                    const faulted = this.unitFault.update(this.accessoryState.fault);
+
+                    // Holiday mode suspends predictive control, return pre-heat once it ends
+                    const holiday = await this.holidayMode.update(deviceData);
+
+                    // Frost and overheat protection take over the unit while active
+                    const protecting = !faulted && await this.temperatureProtection.update(deviceData);
+
                     // Process through predictive controller and execute actions
-                    const stateResult = this.predictiveController.processStateUpdate(deviceData);
-                    if (stateResult.action) {
+                    if (!holiday.active && !faulted && !protecting) {
+                        const stateResult = (holiday.returning && this.holidayMode.returnPreheat()) || this.predictiveController.processStateUpdate(deviceData);
+
+                        // Also without an action, so the executor notices when SENSOR_FAULT is left
                         await this.actionExecutor.executeAction(stateResult);
                     }
 
@@ -160,51 +167,73 @@ class DeviceAta extends EventEmitter {
                     // Log current state
                     this.stateUpdater.logState();
                 })
+                .on('commandFailed', (failure) => {
+                    if (this.logWarn) this.emit('warn', `Command not applied after ${failure.attempts} retries, expected: ${JSON.stringify(failure.expected)}, actual: ${JSON.stringify(failure.actual)}`);
+
+                    // Let the controller re-issue the action on the next cycle
+                    this.actionExecutor.handleCommandFailed(failure);
+
+                    // Revert HomeKit to the real device state
+                    this.deviceData = failure.deviceData;
+                    this.accessoryState = this.stateParser.parse(failure.deviceData);
+                    this.stateUpdater.update();
+                })
                 .on('success', (success) => this.emit('success', success))
                 .on('info', (info) => this.emit('info', info))
                 .on('debug', (debug) => this.emit('debug', debug))
                 .on('warn', (warn) => this.emit('warn', warn))
                 .on('error', (error) => this.emit('error', error));
 
-            // Start external sensor (required)
+            // Load fault history
+            await this.unitFault.init();
+
+            // Load learned sensor offsets, then start external sensor (required)
+            await this.offsetEstimator.init();
             await this.externalSensor.init();
 
             // Start predictive controller (required)
             await this.predictiveController.init();
 
+            // Check frost and overheat protection thresholds
+            await this.temperatureProtection.init();
+
             // Start thermal manager (optional, if InfluxDB enabled)
             if (this.thermalManager) {
                 await this.thermalManager.init();
             }
 
+            // Start energy collector (optional, classic MELCloud accounts)
+            await this.energyCollector.init();
+
             // Check state
             await this.melCloudAta.checkState(this.melcloudDevicesList);
 
             // Prepare accessory
-            const accessory = await this.prepareAccessory();
+            const accessory = await this.prepareAccessory(cachedAccessory);
             return accessory;
         } catch (error) {
             throw new Error(`Start error: ${error}`);
         }
     }
 
-    async prepareAccessory() {
-        try {
-            if (this.logDebug) this.emit('debug', `Prepare accessory`);
-
-            // Create accessory
-            const accessoryName = this.deviceName;
-            const accessoryUUID = this.AccessoryUUID.generate(this.accountName + this.deviceId.toString());
-            const accessoryCategory = this.Categories.AIR_CONDITIONER;
-            const accessory = new this.Accessory(accessoryName, accessoryUUID, accessoryCategory);
-
-            // Create all services using factory
-            this.services = await this.serviceFactory.createServices(accessory, accessoryName);
+    get deviceClient() {
+        return this.melCloudAta;
+    }
 
-            return accessory;
-        } catch (error) {
-            throw new Error(`Prepare accessory error: ${error}`);
+    /**
+     * Stop timers before the device client is detached from the account client
+     */
+    async stop() {
+        await this.externalSensor.stop();
+        await this.offsetEstimator.save();
+        this.predictiveController.stop();
+        this.energyCollector.stop();
+        this.melcloud.off('ventilationSync', this.ventilationSyncListener);
+        this.melcloud.emit('ventilation', { source: this.deviceId, bypass: false, boost: false, reason: 'device removed' });
+        if (this.thermalManager) {
+            await this.thermalManager.stop();
         }
+        await super.stop();
     }
 }
 
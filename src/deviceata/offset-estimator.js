@@ -0,0 +1,162 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+const INITIAL_VARIANCE = 4; // Unknown offset, about ±2°C
+const PROCESS_NOISE = 0.001; // Drift of the true offset per sample
+const MEASUREMENT_NOISE = 0.25; // Sensor noise and compressor transients
+const ZERO_CONFIDENCE_VARIANCE = 0.4; // About one sample
+const GATE_SIGMA = 3;
+const MIN_SAMPLES_TO_GATE = 5; // Samples before the estimate counts as settled
+const MAX_GATED = 5; // Consecutive gated samples accepted as a real change
+const SAVE_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * OffsetEstimator - Learned AC sensor minus room temperature offset
+ *
+ * One scalar Kalman filter per operating mode (heat/cool/off) and fan speed smooths the
+ * raw difference, so noise and compressor transients do not move the compensated setpoint.
+ * Samples further than 3σ from the estimate are skipped until they persist. Confidence
+ * runs from 0 (nothing learned) to 1. Offsets are kept in `{accountName}_{deviceId}_ExternalSensor.json`.
+ */
+class OffsetEstimator {
+    constructor(device) {
+        this.device = device;
+
+        this.file = null;
+        this.offsets = {}; // 'heat:3' → { offset, variance, samples, gated, updated }
+        this.lastRaw = null;
+        this.lastSave = 0;
+    }
+
+    async init() {
+        const d = this.device;
+
+        const melcloudDir = path.join(d.api?.user?.storagePath?.() || './', 'melcloud');
+        this.file = path.join(melcloudDir, `${d.accountName}_${d.deviceId}_ExternalSensor.json`);
+        await fs.mkdir(melcloudDir, { recursive: true });
+        await this.load();
+
+        const learned = Object.keys(this.offsets).length;
+        if (learned > 0 && d.logDebug) d.emit('debug', `Sensor offsets loaded for ${learned} operating modes`);
+    }
+
+    /**
+     * Operating mode and fan speed the offset is learned for
+     */
+    getKey(deviceData) {
+        const device = deviceData?.Device;
+        if (!device?.Power) return 'off';
+
+        let mode;
+        switch (device.OperationMode) {
+            case 1:
+                mode = 'heat';
+                break;
+            case 2:
+            case 3:
+                mode = 'cool';
+                break;
+            case 8:
+                mode = device.SetTemperature > device.RoomTemperature ? 'heat' : 'cool';
+                break;
+            default:
+                return 'off'; // Fan only, no conditioning
+        }
+
+        const fanSpeed = device[this.device.accountType === 'melcloud' ? 'FanSpeed' : 'SetFanSpeed'] ?? 0;
+        return `${mode}:${fanSpeed === 0 ? 'auto' : fanSpeed}`;
+    }
+
+    /**
+     * Feed one AC minus room sample
+     * @returns {number|null} Learned offset for the current mode
+     */
+    update(deviceData, roomTemperature) {
+        const acTemperature = deviceData?.Device?.RoomTemperature;
+        if (roomTemperature === null || acTemperature === null || acTemperature === undefined) {
+            return this.getOffset(deviceData);
+        }
+
+        const raw = acTemperature - roomTemperature;
+        const key = this.getKey(deviceData);
+        this.lastRaw = raw;
+
+        const entry = this.offsets[key] ?? { offset: raw, variance: INITIAL_VARIANCE, samples: 0, gated: 0, updated: null };
+        this.offsets[key] = entry;
+
+        // Predict, the true offset drifts slowly
+        entry.variance += PROCESS_NOISE;
+
+        // Gate transients once the estimate has settled
+        const innovation = raw - entry.offset;
+        const sigma = Math.sqrt(entry.variance + MEASUREMENT_NOISE);
+        if (entry.samples >= MIN_SAMPLES_TO_GATE && Math.abs(innovation) > GATE_SIGMA * sigma && entry.gated < MAX_GATED) {
+            entry.gated++;
+            return entry.offset;
+        }
+
+        const gain = entry.variance / (entry.variance + MEASUREMENT_NOISE);
+        entry.offset += gain * innovation;
+        entry.variance *= 1 - gain;
+        entry.samples++;
+        entry.gated = 0;
+        entry.updated = new Date().toISOString();
+
+        this.saveThrottled();
+        return entry.offset;
+    }
+
+    /**
+     * Learned offset for the current mode, other fan speeds of the same mode or the last raw difference until learned
+     */
+    getOffset(deviceData) {
+        const key = this.getKey(deviceData);
+        if (this.offsets[key]?.samples > 0) return this.offsets[key].offset;
+
+        const mode = key.split(':')[0];
+        const related = Object.entries(this.offsets).filter(([other, entry]) => other.split(':')[0] === mode && entry.samples > 0);
+        if (related.length > 0) {
+            const weights = related.map(([, entry]) => 1 / entry.variance);
+            const total = weights.reduce((sum, weight) => sum + weight, 0);
+            return related.reduce((sum, [, entry], index) => sum + entry.offset * weights[index], 0) / total;
+        }
+
+        return this.lastRaw;
+    }
+
+    /**
+     * @returns {number} 0 when nothing is learned for the current mode, towards 1 as the estimate settles
+     */
+    getConfidence(deviceData) {
+        const entry = this.offsets[this.getKey(deviceData)];
+        if (!entry?.samples) return 0;
+
+        return Math.round(Math.max(0, 1 - entry.variance / ZERO_CONFIDENCE_VARIANCE) * 100) / 100;
+    }
+
+    async load() {
+        try {
+            const saved = JSON.parse(await fs.readFile(this.file, 'utf8'));
+            this.offsets = Object.fromEntries(Object.entries(saved.offsets ?? {}).map(([key, entry]) => [key, { ...entry, gated: 0 }]));
+        } catch (error) {
+            // Nothing learned yet
+            this.offsets = {};
+        }
+    }
+
+    saveThrottled() {
+        if (!this.file || Date.now() - this.lastSave < SAVE_INTERVAL_MS) return;
+        this.save().catch(error => this.device.emit('warn', `Save sensor offsets error: ${error.message}`));
+    }
+
+    async save() {
+        if (!this.file) return;
+
+        this.lastSave = Date.now();
+        const offsets = Object.fromEntries(Object.entries(this.offsets).map(([key, { gated, ...entry }]) => [key, { ...entry, offset: Math.round(entry.offset * 1000) / 1000 }]));
+        await fs.writeFile(this.file, JSON.stringify({ offsets }, null, 2));
+    }
+}
+
+export { OffsetEstimator };
+export default OffsetEstimator;
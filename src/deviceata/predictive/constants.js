@@ -11,9 +11,17 @@ export const States = {
     COOLING_ACTIVE: 'COOLING_ACTIVE',     // AC actively cooling
     HEATING_COAST: 'HEATING_COAST',       // Near target, coasting after heating
     COOLING_COAST: 'COOLING_COAST',       // Near target, coasting after cooling
+    SENSOR_DEGRADED: 'SENSOR_DEGRADED',   // Room sensor stale, AC sensor corrected by learned offset
     SENSOR_FAULT: 'SENSOR_FAULT'          // No sensor data
 };
 
+// Room temperature source quality, set by the external sensor module
+export const SensorState = {
+    OK: 'ok',               // Fresh external reading
+    DEGRADED: 'degraded',   // AC sensor corrected by learned offset
+    FAULT: 'fault'          // No usable source
+};
+
 // Season modes derived from HomeKit HeaterCooler state
 export const SeasonMode = {
     WINTER: 'winter',   // Heat mode - heating-focused prediction
@@ -2,7 +2,7 @@ import EventEmitter from 'events';
 import { WeatherClient } from './weather-client.js';
 import { SetpointCalculator } from './setpoint-calculator.js';
 import { StateMachine } from './state-machine.js';
-import { SeasonMode, HeaterCoolerState, PredictiveDefaults } from './constants.js';
+import { SeasonMode, HeaterCoolerState, PredictiveDefaults, AntiOscillation } from './constants.js';
 
 /**
  * Predictive Controller - Main orchestrator for passive house temperature control
@@ -12,6 +12,7 @@ import { SeasonMode, HeaterCoolerState, PredictiveDefaults } from './constants.j
  * - Predictive setpoint calculation
  * - State machine for AC control
  * - Integration with external temperature sensor
+ * - Night cooling requests for ventilation units ('ventilation' event)
  */
 class PredictiveController extends EventEmitter {
     constructor(device) {
@@ -31,6 +32,7 @@ class PredictiveController extends EventEmitter {
         this.lastCalculatedSetpoint = null;
         this.lastSeasonMode = null;
         this.userComfortPreference = null; // User's adjustment within comfort band
+        this.ventilationRequest = { bypass: false, boost: false };
 
         // Wire up events
         this._setupEventHandlers();
@@ -216,9 +218,13 @@ class PredictiveController extends EventEmitter {
             predictedSetpoint: setpointResult.predictedRoomTarget,
             seasonMode,
             forecast: this.weatherClient.getForecast(),
-            acPowerState
+            acPowerState,
+            sensorState: this.device.sensorState
         });
 
+        // Ask ventilation units to help with free night cooling
+        this.updateVentilationRequest(currentTemp, userComfortTarget, seasonMode);
+
         // Log action if one will be taken
         if (stateResult.action && this.device.logDebug) {
             this.device.emit('debug',
@@ -242,6 +248,36 @@ class PredictiveController extends EventEmitter {
         return stateResult;
     }
 
+    /**
+     * Emit a ventilation request when night cooling starts, changes or ends
+     * Bypass brings in cool outdoor air, boost is added while the room is clearly above target
+     */
+    updateVentilationRequest(currentTemp, userComfortTarget, seasonMode) {
+        const forecastTemps = this.weatherClient.getForecastTemperatures(24);
+        const nightCooling = seasonMode === SeasonMode.SUMMER && this.setpointCalculator.isNightCoolingTime(forecastTemps, currentTemp);
+        const request = {
+            bypass: nightCooling,
+            boost: nightCooling && currentTemp > userComfortTarget + AntiOscillation.HYSTERESIS
+        };
+
+        if (request.bypass === this.ventilationRequest.bypass && request.boost === this.ventilationRequest.boost) return;
+        this.ventilationRequest = request;
+
+        if (this.device.logInfo) {
+            this.device.emit('info', `Ventilation request: bypass=${request.bypass ? 'on' : 'off'}, boost=${request.boost ? 'on' : 'off'}`);
+        }
+        this.emit('ventilation', { ...request, reason: nightCooling ? 'night cooling' : 'night cooling ended' });
+    }
+
+    /**
+     * Emit the active ventilation request again, for ventilation units started after it was sent
+     */
+    resendVentilationRequest() {
+        const request = this.ventilationRequest;
+        if (!request.bypass && !request.boost) return;
+        this.emit('ventilation', { ...request, reason: 'night cooling' });
+    }
+
     /**
      * Get current status for logging/debugging
      */
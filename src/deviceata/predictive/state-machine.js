@@ -1,5 +1,5 @@
 import EventEmitter from 'events';
-import { States, AntiOscillation, PredictiveDefaults } from './constants.js';
+import { States, SensorState, AntiOscillation, PredictiveDefaults } from './constants.js';
 
 /**
  * AC control state machine with anti-oscillation protection
@@ -71,6 +71,7 @@ class StateMachine extends EventEmitter {
      * @param {string} params.seasonMode - 'winter' or 'summer'
      * @param {Object} params.forecast - Forecast data (for anticipatory states)
      * @param {boolean} params.acPowerState - Current AC power state
+     * @param {string} params.sensorState - Room temperature source quality (SensorState), ok when omitted
      * @returns {Object} { state, action, reason }
      */
     processUpdate(params) {
@@ -80,17 +81,31 @@ class StateMachine extends EventEmitter {
             predictedSetpoint,
             seasonMode,
             forecast,
-            acPowerState
+            acPowerState,
+            sensorState = SensorState.OK
         } = params;
 
-        // Check for sensor fault
-        if (currentTemp === null || currentTemp === undefined) {
+        // Check for sensor fault, the fail-safe action is issued once on entry
+        if (currentTemp === null || currentTemp === undefined || sensorState === SensorState.FAULT) {
+            if (this.currentState === States.SENSOR_FAULT) {
+                return {
+                    state: this.currentState,
+                    action: null,
+                    reason: 'External temperature sensor unavailable'
+                };
+            }
+
             return this._transitionTo(States.SENSOR_FAULT, {
-                action: null,
+                action: this._getActionForState(States.SENSOR_FAULT, this.lastSentSetpoint ?? predictedSetpoint),
                 reason: 'External temperature sensor unavailable'
             });
         }
 
+        // Estimated room temperature, leave power and mode to the AC and only keep its setpoint current
+        if (sensorState === SensorState.DEGRADED) {
+            return this._processDegraded(predictedSetpoint);
+        }
+
         // Calculate temperature deviation from target
         const deviation = currentTemp - targetTemp;
         const halfDeadband = this.config.deadband / 2;
@@ -110,6 +125,11 @@ class StateMachine extends EventEmitter {
             targetTemp
         );
 
+        // Sensor is back, leave the sensor states even inside the deadband
+        if (desiredState === States.SENSOR_DEGRADED || desiredState === States.SENSOR_FAULT) {
+            desiredState = States.STANDBY;
+        }
+
         // Check if transition is allowed (anti-oscillation)
         if (desiredState !== this.currentState) {
             if (!this._canTransitionTo(desiredState)) {
@@ -151,6 +171,34 @@ class StateMachine extends EventEmitter {
         };
     }
 
+    /**
+     * Hold SENSOR_DEGRADED, the AC regulates on its own sensor with the compensated predicted setpoint
+     */
+    _processDegraded(predictedSetpoint) {
+        if (this.currentState !== States.SENSOR_DEGRADED) {
+            return this._transitionTo(States.SENSOR_DEGRADED, {
+                action: this._getActionForState(States.SENSOR_DEGRADED, predictedSetpoint),
+                reason: 'Room sensor stale, AC sensor corrected by learned offset'
+            });
+        }
+
+        if (this.lastSentSetpoint === null || Math.abs(predictedSetpoint - this.lastSentSetpoint) > 0.5) {
+            const oldSetpoint = this.lastSentSetpoint;
+            this.lastSentSetpoint = predictedSetpoint;
+            return {
+                state: this.currentState,
+                action: { type: 'coast', setpoint: predictedSetpoint },
+                reason: `Sensor degraded, setpoint update: ${oldSetpoint?.toFixed(1) || 'initial'}°C → ${predictedSetpoint}°C`
+            };
+        }
+
+        return {
+            state: this.currentState,
+            action: null,
+            reason: 'Sensor degraded, AC regulating on its own sensor'
+        };
+    }
+
     /**
      * Determine the desired state based on conditions
      */
@@ -310,12 +358,16 @@ class StateMachine extends EventEmitter {
             case States.STANDBY:
             case States.HEATING_COAST:
             case States.COOLING_COAST:
+            case States.SENSOR_DEGRADED:
                 return {
                     type: 'coast',
                     setpoint: predictedSetpoint
                 };
             case States.SENSOR_FAULT:
-                return null;
+                return {
+                    type: 'failSafe',
+                    setpoint: predictedSetpoint // Last predicted setpoint, for the hold policy
+                };
             default:
                 return null;
         }
@@ -342,6 +394,8 @@ class StateMachine extends EventEmitter {
                 return `Coasting - target reached ${devStr}`;
             case States.STANDBY:
                 return `Standby - temperature in comfort band ${devStr}`;
+            case States.SENSOR_DEGRADED:
+                return 'Sensor degraded - using AC sensor with learned offset';
             case States.SENSOR_FAULT:
                 return 'Sensor fault - no temperature data';
             default:
@@ -418,10 +472,11 @@ class StateMachine extends EventEmitter {
 
     /**
      * Force transition to a specific state (for manual override)
+     * @param {Object} [action] - Action to execute on entering the state
      */
-    forceState(state, reason = 'Manual override') {
+    forceState(state, reason = 'Manual override', action = null) {
         return this._transitionTo(state, {
-            action: null,
+            action,
             reason
         });
     }
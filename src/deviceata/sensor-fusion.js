@@ -0,0 +1,85 @@
+/**
+ * SensorFusion - Combines readings of several room sensors into one temperature
+ *
+ * Readings of offline clients or older than `maxAge` are dropped. With three or more
+ * readings left, readings further than `outlierThreshold` from their median are
+ * rejected, two readings cannot outvote each other and are both kept. The rest is
+ * combined by weighted mean or weighted median, humidity by weighted mean.
+ */
+class SensorFusion {
+    constructor(config = {}) {
+        this.method = config.fusion === 'median' ? 'median' : 'mean';
+        this.outlierThreshold = config.outlierThreshold ?? 1.5;
+        this.maxAge = (config.maxAge ?? 7200) * 1000;
+    }
+
+    /**
+     * @param {Array} readings - { name, weight, temperature, humidity, online, lastUpdate }
+     * @returns {Object} { temperature, humidity, used, rejected } - temperature null without usable readings
+     */
+    fuse(readings, now = Date.now()) {
+        const rejected = [];
+
+        const current = readings.filter(reading => {
+            const usable = reading.online && reading.temperature !== null && reading.weight > 0
+                && reading.lastUpdate && now - reading.lastUpdate.getTime() <= this.maxAge;
+            if (!usable && reading.temperature !== null) rejected.push({ ...reading, reason: 'stale' });
+            return usable;
+        });
+
+        let used = current;
+        if (current.length >= 3) {
+            const median = SensorFusion.median(current.map(reading => reading.temperature));
+            used = current.filter(reading => {
+                const outlier = Math.abs(reading.temperature - median) > this.outlierThreshold;
+                if (outlier) rejected.push({ ...reading, reason: 'outlier' });
+                return !outlier;
+            });
+        }
+
+        if (used.length === 0) {
+            return { temperature: null, humidity: null, used, rejected };
+        }
+
+        const temperature = this.method === 'median' ? SensorFusion.weightedMedian(used) : SensorFusion.weightedMean(used, 'temperature');
+        const humidity = SensorFusion.weightedMean(used.filter(reading => reading.humidity !== null && reading.humidity !== undefined), 'humidity');
+
+        return {
+            temperature: Math.round(temperature * 100) / 100,
+            humidity: humidity !== null ? Math.round(humidity * 10) / 10 : null,
+            used,
+            rejected
+        };
+    }
+
+    static median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    static weightedMean(readings, key) {
+        const totalWeight = readings.reduce((sum, reading) => sum + reading.weight, 0);
+        if (totalWeight === 0) return null;
+        return readings.reduce((sum, reading) => sum + reading[key] * reading.weight, 0) / totalWeight;
+    }
+
+    /**
+     * First temperature where the cumulative weight reaches half, averaged on an exact tie
+     */
+    static weightedMedian(readings) {
+        const sorted = [...readings].sort((a, b) => a.temperature - b.temperature);
+        const half = sorted.reduce((sum, reading) => sum + reading.weight, 0) / 2;
+
+        let cumulative = 0;
+        for (let i = 0; i < sorted.length; i++) {
+            cumulative += sorted[i].weight;
+            if (Math.abs(cumulative - half) < 1e-9 && i < sorted.length - 1) return (sorted[i].temperature + sorted[i + 1].temperature) / 2;
+            if (cumulative >= half) return sorted[i].temperature;
+        }
+        return sorted[sorted.length - 1].temperature;
+    }
+}
+
+export { SensorFusion };
+export default SensorFusion;
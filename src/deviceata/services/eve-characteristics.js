@@ -0,0 +1,27 @@
+/**
+ * Eve custom characteristics, shown in the Eve app (not in Apple Home)
+ */
+export function createEveCharacteristics(hap) {
+    const { Characteristic, Formats, Perms } = hap;
+
+    /**
+     * Energy consumed, the Eve app shows it as consumption
+     */
+    class TotalConsumption extends Characteristic {
+        static UUID = 'E863F10C-079E-48FF-8F27-9C2605A29F52';
+
+        constructor() {
+            super('Total Consumption', TotalConsumption.UUID, {
+                format: Formats.FLOAT,
+                unit: 'kWh',
+                minValue: 0,
+                maxValue: 1000000,
+                minStep: 0.001,
+                perms: [Perms.PAIRED_READ, Perms.NOTIFY]
+            });
+            this.value = this.getDefaultValue();
+        }
+    }
+
+    return { TotalConsumption };
+}
@@ -47,7 +47,10 @@ export class HeaterCoolerService {
 
         // Active (power)
         service.getCharacteristic(Characteristic.Active)
-            .onGet(async () => d.accessoryState.power)
+            .onGet(async () => {
+                d.assertOnline();
+                return d.accessoryState.power;
+            })
             .onSet(async (value) => {
                 try {
                     d.deviceData.Device.Power = value ? true : false;
@@ -258,6 +261,19 @@ export class HeaterCoolerService {
                 }
             });
 
+        // Unit fault and connection reported by MELCloud
+        service.getCharacteristic(Characteristic.StatusFault)
+            .onGet(async () => d.accessoryState.fault.active ? 1 : 0);
+        service.getCharacteristic(Characteristic.StatusActive)
+            .onGet(async () => d.accessoryState.fault.connected);
+
+        // Today's energy consumption (Eve)
+        if (d.energyCollector.enabled) {
+            service.addOptionalCharacteristic(d.EveCharacteristic.TotalConsumption);
+            service.getCharacteristic(d.EveCharacteristic.TotalConsumption)
+                .onGet(async () => d.energyCollector.getTodayKwh());
+        }
+
         accessory.addService(service);
         return service;
     }
@@ -1,4 +1,9 @@
 import { HeaterCoolerService } from './heater-cooler.js';
+import { SceneSwitchService } from './scene-switch.js';
+import { ProtectionSwitchService } from './protection-switch.js';
+import { ScheduleSwitchService } from './schedule-switch.js';
+import { HumiditySensorService } from '../../services/humidity-sensor.js';
+import { TemperatureSensorService } from '../../services/temperature-sensor.js';
 
 /**
  * Service factory that creates HomeKit services for the ATA device
@@ -7,6 +12,11 @@ export class ServiceFactory {
     constructor(device) {
         this.device = device;
         this.heaterCooler = new HeaterCoolerService(device);
+        this.sceneSwitch = new SceneSwitchService(device);
+        this.protectionSwitch = new ProtectionSwitchService(device);
+        this.scheduleSwitch = new ScheduleSwitchService(device);
+        this.humiditySensor = new HumiditySensorService(device);
+        this.temperatureSensor = new TemperatureSensorService(device);
     }
 
     async createServices(accessory, accessoryName) {
@@ -32,6 +42,46 @@ export class ServiceFactory {
         // Create HeaterCooler service
         services.main = this.heaterCooler.create(accessory, serviceName, deviceId);
 
+        // Scene switches (MELCloud Home)
+        if (d.scenes.length > 0) {
+            services.scenes = {};
+            for (const scene of d.scenes) {
+                const sceneName = scene.namePrefix ? `${accessoryName} ${scene.name}` : scene.name;
+                services.scenes[scene.id] = this.sceneSwitch.create(accessory, sceneName, scene);
+            }
+        }
+
+        // Frost and overheat protection switches
+        const protections = Object.values(d.temperatureProtection.protections).filter(protection => protection.configured && protection.showSwitch);
+        if (protections.length > 0) {
+            services.protections = {};
+            for (const protection of protections) {
+                services.protections[protection.kind] = this.protectionSwitch.create(accessory, `${accessoryName} ${protection.name}`, protection);
+            }
+        }
+
+        // Cloud schedule switch (MELCloud Home)
+        if (d.cloudSchedule.showSwitch) {
+            services.schedule = this.scheduleSwitch.create(accessory, `${accessoryName} Schedule`);
+        }
+
+        // Separate temperature and humidity sensors
+        const sensorServices = d.device.sensorServices || {};
+        const sensors = [
+            { key: 'room', subtype: 'Room', name: 'Room', stateKey: 'roomSensorTemp' },
+            { key: 'ac', subtype: 'AC', name: 'AC Sensor', stateKey: 'acCurrentTemp' },
+            { key: 'outdoor', subtype: 'Outdoor', name: 'Outdoor', stateKey: 'outdoorTemp' }
+        ].filter(sensor => sensorServices[sensor.key]);
+        if (sensors.length > 0 || sensorServices.humidity) {
+            services.sensors = {};
+            for (const { key, subtype, name, stateKey } of sensors) {
+                services.sensors[key] = this.temperatureSensor.create(accessory, `${accessoryName} ${name}`, subtype, stateKey);
+            }
+            if (sensorServices.humidity) {
+                services.sensors.humidity = this.humiditySensor.create(accessory, `${accessoryName} Humidity`, 'Humidity', 'roomHumidity');
+            }
+        }
+
         return services;
     }
 }
@@ -0,0 +1,35 @@
+/**
+ * Switch service per frost or overheat protection
+ * On when the protection is enabled, thresholds come from config
+ */
+export class ProtectionSwitchService {
+    constructor(device) {
+        this.device = device;
+    }
+
+    create(accessory, serviceName, protection) {
+        const d = this.device;
+        const Service = d.Service;
+        const Characteristic = d.Characteristic;
+
+        if (d.logDebug) d.emit('debug', `Prepare ${protection.name.toLowerCase()} service`);
+
+        const service = new Service.Switch(serviceName, `${protection.name} ${d.deviceId}`);
+        service.getCharacteristic(Characteristic.On)
+            .onGet(async () => {
+                d.assertOnline();
+                return protection.enabled;
+            })
+            .onSet(async (value) => {
+                try {
+                    if (d.logInfo) d.emit('info', `Set ${protection.name.toLowerCase()}: ${value ? 'Enabled' : 'Disabled'}`);
+                    await d.temperatureProtection.setEnabled(protection.kind, value ? true : false);
+                } catch (error) {
+                    if (d.logWarn) d.emit('warn', `Set ${protection.name.toLowerCase()} error: ${error}`);
+                }
+            });
+
+        accessory.addService(service);
+        return service;
+    }
+}
@@ -0,0 +1,46 @@
+/**
+ * Switch service per configured MELCloud Home scene
+ * On when the scene is enabled, state follows scene updates of the account
+ */
+export class SceneSwitchService {
+    constructor(device) {
+        this.device = device;
+    }
+
+    getScene(sceneId) {
+        return this.device.deviceData.Scenes?.find(scene => scene.Id === sceneId) ?? null;
+    }
+
+    create(accessory, serviceName, scene) {
+        const d = this.device;
+        const Service = d.Service;
+        const Characteristic = d.Characteristic;
+
+        if (d.logDebug) d.emit('debug', `Prepare scene ${serviceName} service`);
+
+        const service = new Service.Switch(serviceName, `Scene ${scene.id}`);
+        service.getCharacteristic(Characteristic.On)
+            .onGet(async () => {
+                d.assertOnline();
+                return this.getScene(scene.id)?.Enabled ?? false;
+            })
+            .onSet(async (value) => {
+                try {
+                    const sceneData = this.getScene(scene.id);
+                    if (!sceneData) {
+                        if (d.logWarn) d.emit('warn', `Scene ${serviceName} not found on server`);
+                        return;
+                    }
+
+                    sceneData.Enabled = value ? true : false;
+                    if (d.logInfo) d.emit('info', `Set scene ${serviceName}: ${value ? 'Enabled' : 'Disabled'}`);
+                    await d.melCloudAta.send(d.accountType, d.displayType, d.deviceData, 'scene', sceneData);
+                } catch (error) {
+                    if (d.logWarn) d.emit('warn', `Set scene error: ${error}`);
+                }
+            });
+
+        accessory.addService(service);
+        return service;
+    }
+}
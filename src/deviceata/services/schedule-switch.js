@@ -0,0 +1,35 @@
+/**
+ * Switch service for the MELCloud Home cloud schedule of the unit
+ * On when the schedule entries are enabled, state follows the unit data
+ */
+export class ScheduleSwitchService {
+    constructor(device) {
+        this.device = device;
+    }
+
+    create(accessory, serviceName) {
+        const d = this.device;
+        const Service = d.Service;
+        const Characteristic = d.Characteristic;
+
+        if (d.logDebug) d.emit('debug', `Prepare cloud schedule service`);
+
+        const service = new Service.Switch(serviceName, `Schedule ${d.deviceId}`);
+        service.getCharacteristic(Characteristic.On)
+            .onGet(async () => {
+                d.assertOnline();
+                return d.deviceData.ScheduleEnabled ?? false;
+            })
+            .onSet(async (value) => {
+                try {
+                    if (d.logInfo) d.emit('info', `Set cloud schedule: ${value ? 'Enabled' : 'Disabled'}`);
+                    await d.cloudSchedule.setEnabled(value ? true : false);
+                } catch (error) {
+                    if (d.logWarn) d.emit('warn', `Set cloud schedule error: ${error}`);
+                }
+            });
+
+        accessory.addService(service);
+        return service;
+    }
+}
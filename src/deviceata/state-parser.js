@@ -1,4 +1,6 @@
 import { TemperatureDisplayUnits } from '../constants.js';
+import { UnitFault } from './unit-fault.js';
+import { SensorState } from './predictive/constants.js';
 
 /**
  * Parses MELCloud device state into normalized accessory state
@@ -44,6 +46,10 @@ export class StateParser {
 
         // Use external sensor temperature if available, fallback to AC sensor
         const roomCurrentTemp = d.roomCurrentTemp !== null ? d.roomCurrentTemp : acCurrentTemp;
+        // Room sensor service shows fresh room sensor readings only, never the AC sensor or the degraded estimate
+        const roomSensorTemp = d.sensorState === SensorState.OK ? d.roomCurrentTemp : null;
+        const roomHumidity = d.externalHumidity;
+        const outdoorTemp = d.predictiveController?.weatherClient.getCurrentOutdoorTemp() ?? null;
 
         const acSetpoint = deviceData.Device.SetTemperature;
         const defaultHeatingSetTemperature = deviceData.Device.DefaultHeatingSetTemperature;
@@ -58,6 +64,7 @@ export class StateParser {
         const prohibitOperationMode = deviceData.Device.ProhibitOperationMode ?? false;
         const prohibitPower = deviceData.Device.ProhibitPower ?? false;
         const temperatureStep = deviceData.Device[tempStepKey] ? 0.5 : 1;
+        const fault = UnitFault.parse(deviceData);
         const currentSwingMode = supportsSwingFunction
             ? (supportsWideVane
                 ? (vaneHorizontalDirection === 12 && vaneVerticalDirection === 7 ? 1 : 0)
@@ -86,7 +93,10 @@ export class StateParser {
             currentOperationMode: 0,
             targetOperationMode: 0,
             roomCurrentTemp,
+            roomSensorTemp,
+            roomHumidity,
             acCurrentTemp,
+            outdoorTemp,
             acSetpoint,
             defaultHeatingSetTemperature,
             defaultCoolingSetTemperature,
@@ -96,6 +106,7 @@ export class StateParser {
             vaneVerticalDirection,
             vaneHorizontalDirection,
             currentSwingMode,
+            fault,
             lockPhysicalControl: prohibitSetTemperature && prohibitOperationMode && prohibitPower ? 1 : 0,
             temperatureStep,
             useFahrenheit: d.accountInfo.useFahrenheit ? 1 : 0,
@@ -108,6 +119,17 @@ export class StateParser {
         // Build characteristics for main service update
         state.characteristics = this.buildCharacteristics(state, Characteristic);
 
+        // Characteristics of the optional sensor services, grouped by service
+        state.sensorCharacteristics = {
+            room: [
+                { type: Characteristic.CurrentTemperature, value: roomSensorTemp },
+                { type: Characteristic.StatusFault, value: roomSensorTemp === null ? 1 : 0 }
+            ],
+            humidity: [{ type: Characteristic.CurrentRelativeHumidity, value: roomHumidity }],
+            ac: [{ type: Characteristic.CurrentTemperature, value: acCurrentTemp }],
+            outdoor: [{ type: Characteristic.CurrentTemperature, value: outdoorTemp }]
+        };
+
         return state;
     }
 
@@ -205,7 +227,9 @@ export class StateParser {
             { type: Characteristic.CurrentTemperature, value: state.roomCurrentTemp },
             { type: Characteristic.LockPhysicalControls, value: state.lockPhysicalControl },
             { type: Characteristic.TemperatureDisplayUnits, value: state.useFahrenheit },
-            { type: Characteristic.CoolingThresholdTemperature, value: coolingTemp }
+            { type: Characteristic.CoolingThresholdTemperature, value: coolingTemp },
+            { type: Characteristic.StatusFault, value: state.fault.active ? 1 : 0 },
+            { type: Characteristic.StatusActive, value: state.fault.connected }
         );
 
         if (state.supportsHeat) {
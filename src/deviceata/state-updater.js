@@ -20,6 +20,30 @@ export class StateUpdater {
             if (!d.functions.isValidValue(value)) continue;
             services.main?.updateCharacteristic(type, value);
         }
+
+        // Scene switches follow scene state of the account
+        for (const [sceneId, service] of Object.entries(services.scenes ?? {})) {
+            const scene = d.deviceData.Scenes?.find(scene => scene.Id === sceneId);
+            service.updateCharacteristic(d.Characteristic.On, scene?.Enabled ?? false);
+        }
+
+        // Protection switches, MELCloud Home reports protection changed in its app
+        for (const [kind, service] of Object.entries(services.protections ?? {})) {
+            const protection = d.temperatureProtection.protections[kind];
+            if (d.temperatureProtection.native && d.deviceData[protection.dataKey]) protection.enabled = d.deviceData[protection.dataKey].Enabled === true;
+            service.updateCharacteristic(d.Characteristic.On, protection.enabled);
+        }
+
+        // Cloud schedule switch, entries can be turned off in the MELCloud Home app
+        services.schedule?.updateCharacteristic(d.Characteristic.On, d.deviceData.ScheduleEnabled ?? false);
+
+        // Sensor services, readings not available yet keep their last value
+        for (const [key, characteristics] of Object.entries(state.sensorCharacteristics || {})) {
+            for (const { type, value } of characteristics) {
+                if (!d.functions.isValidValue(value)) continue;
+                services.sensors?.[key]?.updateCharacteristic(type, value);
+            }
+        }
     }
 
     logState() {
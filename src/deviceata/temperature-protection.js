@@ -0,0 +1,213 @@
+import { AirConditioner } from '../constants.js';
+
+// Protection kinds and how each is stored, sent and emulated
+const Kinds = {
+    frost: { name: 'Frost protection', dataKey: 'FrostProtection', flag: 'frostprotection', range: 'Frost', mode: 1, defaults: { min: 13, max: 16 } },
+    overheat: { name: 'Overheat protection', dataKey: 'OverheatProtection', flag: 'overheatprotection', range: 'Overheat', mode: 3, defaults: { min: 32, max: 35 } }
+};
+
+/**
+ * TemperatureProtection - Frost and overheat protection with min/max thresholds
+ *
+ * MELCloud Home runs protection natively, thresholds from config are sent once on
+ * the first live update. On classic MELCloud the plugin emulates it from the external
+ * sensor: frost protection heats to `max` below `min`, overheat protection cools to
+ * `min` above `max`, then the previous unit settings are restored. Predictive control
+ * is paused while a protection is active.
+ */
+class TemperatureProtection {
+    constructor(device) {
+        this.device = device;
+        this.native = device.accountType === 'melcloudhome';
+
+        this.protections = {};
+        for (const [kind, info] of Object.entries(Kinds)) {
+            // Unconfigured kinds are still followed, MELCloud Home reports protection set in its app
+            const config = device.device[`${kind}Protection`];
+            this.protections[kind] = {
+                ...info,
+                kind,
+                configured: config !== undefined,
+                enabled: config?.enable === true,
+                showSwitch: config?.switch === true,
+                min: config?.min ?? info.defaults.min,
+                max: config?.max ?? info.defaults.max,
+                active: false,
+                previous: null // Unit settings before emulated protection started
+            };
+        }
+
+        this.requested = false;
+    }
+
+    /**
+     * Keep thresholds inside the unit range with at least 2°C between them
+     */
+    async init() {
+        const d = this.device;
+
+        for (const protection of Object.values(this.protections).filter(protection => protection.configured)) {
+            const range = AirConditioner.ProtectionRange[protection.range];
+            const limits = [range.MinRangeMin, range.MaxRangeMin, range.MinRangeMax, range.MaxRangeMax];
+            let { min, max } = await d.functions.adjustTempProtection(protection.min, protection.max, protection.min, 'min', ...limits);
+            ({ min, max } = await d.functions.adjustTempProtection(min, max, protection.max, 'max', ...limits));
+
+            if (min !== protection.min || max !== protection.max) {
+                if (d.logWarn) d.emit('warn', `${protection.name} thresholds adjusted to ${min}-${max}°C`);
+            }
+            protection.min = min;
+            protection.max = max;
+        }
+    }
+
+    /**
+     * Evaluate protections on a live device update
+     * @returns {boolean} True while a protection controls the unit
+     */
+    async update(deviceData) {
+        if (this.native) {
+            if (!this.requested) await this.request(deviceData);
+            return this.updateNative(deviceData);
+        }
+
+        return this.updateEmulated();
+    }
+
+    /**
+     * Send configured thresholds to MELCloud Home, sent again on the next update until all succeed
+     */
+    async request(deviceData) {
+        let sent = true;
+        for (const protection of Object.values(this.protections).filter(protection => protection.configured)) {
+            sent = await this.send(protection, deviceData) && sent;
+        }
+
+        this.requested = sent;
+    }
+
+    /**
+     * @returns {boolean} True when MELCloud accepted the thresholds
+     */
+    async send(protection, deviceData = this.device.deviceData) {
+        const d = this.device;
+
+        deviceData[protection.dataKey] = {
+            ...deviceData[protection.dataKey],
+            Enabled: protection.enabled,
+            Min: protection.min,
+            Max: protection.max
+        };
+
+        try {
+            await d.melCloudAta.send(d.accountType, d.displayType, deviceData, protection.flag);
+            if (d.logInfo) d.emit('info', `${protection.name} ${protection.enabled ? `set: ${protection.min}-${protection.max}°C` : 'disabled'}`);
+            return true;
+        } catch (error) {
+            if (d.logWarn) d.emit('warn', `Set ${protection.name.toLowerCase()} error: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Activation reported by MELCloud Home
+     */
+    updateNative(deviceData) {
+        for (const protection of Object.values(this.protections)) {
+            this.setActive(protection, deviceData[protection.dataKey]?.Active === true);
+        }
+
+        return this.isActive();
+    }
+
+    /**
+     * Start and end protection from the external sensor temperature
+     */
+    async updateEmulated() {
+        // Without any room source (SENSOR_FAULT) the AC sensor is close enough for the thresholds
+        const temperature = this.device.roomCurrentTemp ?? this.device.deviceData?.Device?.RoomTemperature ?? null;
+        if (temperature === null) return this.isActive();
+
+        for (const protection of Object.values(this.protections)) {
+            if (!protection.enabled) continue;
+
+            const below = protection.kind === 'frost' ? temperature < protection.min : temperature > protection.max;
+            const reached = protection.kind === 'frost' ? temperature >= protection.max : temperature <= protection.min;
+            if (!protection.active && below) {
+                await this.activate(protection, temperature);
+            } else if (protection.active && reached) {
+                await this.deactivate(protection, temperature);
+            }
+        }
+
+        return this.isActive();
+    }
+
+    async activate(protection, temperature) {
+        const d = this.device;
+        const target = protection.kind === 'frost' ? protection.max : protection.min;
+        const { Power, OperationMode, SetTemperature } = d.deviceData.Device;
+        protection.previous = { Power, OperationMode, SetTemperature };
+
+        d.deviceData.Device.Power = true;
+        d.deviceData.Device.OperationMode = protection.mode;
+        d.deviceData.Device.SetTemperature = d.externalSensor.getCompensatedTargetTemperature(target);
+        this.setActive(protection, true, `room ${temperature}°C, ${protection.mode === 1 ? 'heating' : 'cooling'} to ${target}°C`);
+
+        try {
+            await d.melCloudAta.send(d.accountType, d.displayType, d.deviceData, AirConditioner.EffectiveFlags.PowerOperationModeSetTemperature);
+        } catch (error) {
+            if (d.logWarn) d.emit('warn', `${protection.name} error: ${error.message}`);
+        }
+    }
+
+    async deactivate(protection, temperature) {
+        const d = this.device;
+        this.setActive(protection, false, temperature !== undefined ? `room ${temperature}°C` : 'disabled');
+
+        if (protection.previous) {
+            Object.assign(d.deviceData.Device, protection.previous);
+            protection.previous = null;
+
+            try {
+                await d.melCloudAta.send(d.accountType, d.displayType, d.deviceData, AirConditioner.EffectiveFlags.PowerOperationModeSetTemperature);
+            } catch (error) {
+                if (d.logWarn) d.emit('warn', `${protection.name} error: ${error.message}`);
+            }
+        }
+
+        // Unit settings changed under the controller, start over
+        d.predictiveController.stateMachine.reset();
+        d.actionExecutor.lastActionTime = null;
+    }
+
+    setActive(protection, active, reason) {
+        const d = this.device;
+        if (protection.active === active) return;
+
+        protection.active = active;
+        const message = `${protection.name} ${active ? 'activated' : 'ended'}${reason ? ` (${reason})` : ''}`;
+        d.emit(active ? 'warn' : 'info', active ? `${message}, predictive control paused` : message);
+    }
+
+    /**
+     * Turn protection on or off, from the HomeKit switch
+     */
+    async setEnabled(kind, enabled) {
+        const protection = this.protections[kind];
+        protection.enabled = enabled;
+
+        if (this.native) {
+            await this.send(protection);
+            return;
+        }
+
+        if (!enabled && protection.active) await this.deactivate(protection);
+    }
+
+    isActive() {
+        return Object.values(this.protections).some(protection => protection.active);
+    }
+}
+
+export { TemperatureProtection };
+export default TemperatureProtection;
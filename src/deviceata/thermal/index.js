@@ -1,6 +1,7 @@
 import EventEmitter from 'events';
 import { InfluxClient } from './influx-client.js';
 import { ThermalCalibrator } from './thermal-calibrator.js';
+import { SensorState } from '../predictive/constants.js';
 
 /**
  * ThermalManager - Orchestrates thermal data logging and learning
@@ -111,8 +112,8 @@ class ThermalManager extends EventEmitter {
             deviceId: device.deviceId?.toString() || 'unknown',
             timestamp: new Date(),
 
-            // Indoor temperature from external sensor
-            indoorTemp: device.roomCurrentTemp,
+            // Indoor temperature from external sensor, estimates from the AC sensor would skew calibration
+            indoorTemp: device.sensorState === SensorState.DEGRADED ? null : device.roomCurrentTemp,
 
             // AC sensor temperature (recuperator temp)
             recuperatorTemp: deviceData?.Device?.RoomTemperature,
@@ -129,6 +130,10 @@ class ThermalManager extends EventEmitter {
             // Solar radiation from forecast
             solarRadiation: device.predictiveController?.weatherClient?.getCurrentSolarRadiation() || null,
 
+            // Learned sensor offset of the current mode
+            sensorOffset: device.roomCurrentTemp !== null ? device.temperatureOffset : null,
+            offsetConfidence: device.offsetEstimator?.getConfidence(deviceData) ?? null,
+
             // HVAC state from state machine
             hvacState: device.predictiveController?.stateMachine?.getCurrentState() || 'UNKNOWN',
 
@@ -141,6 +146,47 @@ class ThermalManager extends EventEmitter {
 
         // Write to InfluxDB
         this.influxClient.writePoint(data);
+        this.logSensors(data.timestamp);
+    }
+
+    /**
+     * Log the fused room temperature and each individual sensor reading
+     */
+    logSensors(timestamp = new Date()) {
+        const fusion = this.device.externalSensor?.lastFusion;
+        if (!fusion) {
+            return;
+        }
+
+        const used = new Set(fusion.used.map(reading => reading.name));
+        this.influxClient.writeSensorPoints({
+            deviceId: this.device.deviceId?.toString() || 'unknown',
+            timestamp,
+            sensors: [
+                ...fusion.readings.map(reading => ({
+                    sensor: reading.name,
+                    temperature: reading.temperature,
+                    humidity: reading.humidity,
+                    weight: reading.weight,
+                    used: used.has(reading.name)
+                })),
+                { sensor: 'fused', temperature: fusion.temperature, humidity: fusion.humidity, used: true }
+            ]
+        });
+    }
+
+    /**
+     * Log an energy consumption point from the energy collector
+     */
+    logEnergy(data) {
+        if (!this.isInitialized || !this.influxClient) {
+            return;
+        }
+
+        this.influxClient.writeEnergyPoint({
+            deviceId: this.device.deviceId?.toString() || 'unknown',
+            ...data
+        });
     }
 
     /**
@@ -47,9 +47,32 @@ class InfluxClient extends EventEmitter {
                             user_target: FieldType.FLOAT,
                             predicted_temp: FieldType.FLOAT,
                             solar_radiation: FieldType.FLOAT,
+                            sensor_offset: FieldType.FLOAT,
+                            offset_confidence: FieldType.FLOAT,
                             power_state: FieldType.BOOLEAN
                         },
                         tags: ['device_id', 'hvac_state', 'season_mode']
+                    },
+                    {
+                        measurement: 'energy_data',
+                        fields: {
+                            heating_kwh: FieldType.FLOAT,
+                            cooling_kwh: FieldType.FLOAT,
+                            fan_kwh: FieldType.FLOAT,
+                            auto_kwh: FieldType.FLOAT,
+                            total_kwh: FieldType.FLOAT
+                        },
+                        tags: ['device_id', 'period']
+                    },
+                    {
+                        measurement: 'sensor_data',
+                        fields: {
+                            temperature: FieldType.FLOAT,
+                            humidity: FieldType.FLOAT,
+                            weight: FieldType.FLOAT,
+                            used: FieldType.BOOLEAN
+                        },
+                        tags: ['device_id', 'sensor']
                     }
                 ]
             });
@@ -146,6 +169,12 @@ class InfluxClient extends EventEmitter {
         if (typeof data.solarRadiation === 'number') {
             point.fields.solar_radiation = data.solarRadiation;
         }
+        if (typeof data.sensorOffset === 'number') {
+            point.fields.sensor_offset = data.sensorOffset;
+        }
+        if (typeof data.offsetConfidence === 'number') {
+            point.fields.offset_confidence = data.offsetConfidence;
+        }
         if (typeof data.powerState === 'boolean') {
             point.fields.power_state = data.powerState;
         }
@@ -156,6 +185,60 @@ class InfluxClient extends EventEmitter {
         }
     }
 
+    /**
+     * Write an energy consumption point
+     * @param {Object} data - { deviceId, period: 'hour'|'day', timestamp, heating, cooling, fan, auto, total } in kWh
+     */
+    writeEnergyPoint(data) {
+        if (!this.isConnected) {
+            return;
+        }
+
+        this.writeBuffer.push({
+            measurement: 'energy_data',
+            tags: {
+                device_id: data.deviceId || 'unknown',
+                period: data.period
+            },
+            fields: {
+                heating_kwh: data.heating,
+                cooling_kwh: data.cooling,
+                fan_kwh: data.fan,
+                auto_kwh: data.auto,
+                total_kwh: data.total
+            },
+            timestamp: data.timestamp
+        });
+    }
+
+    /**
+     * Write room sensor points, one per sensor plus the fused value tagged sensor=fused
+     * @param {Object} data - { deviceId, timestamp, sensors: [{ sensor, temperature, humidity, weight, used }] }
+     */
+    writeSensorPoints(data) {
+        if (!this.isConnected) {
+            return;
+        }
+
+        for (const sensor of data.sensors) {
+            if (typeof sensor.temperature !== 'number') continue;
+
+            const fields = { temperature: sensor.temperature, used: sensor.used };
+            if (typeof sensor.humidity === 'number') fields.humidity = sensor.humidity;
+            if (typeof sensor.weight === 'number') fields.weight = sensor.weight;
+
+            this.writeBuffer.push({
+                measurement: 'sensor_data',
+                tags: {
+                    device_id: data.deviceId || 'unknown',
+                    sensor: sensor.sensor
+                },
+                fields,
+                timestamp: data.timestamp
+            });
+        }
+    }
+
     /**
      * Flush write buffer to InfluxDB
      */
@@ -0,0 +1,123 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { AirConditioner } from '../constants.js';
+
+const NO_ERROR_CODE = 8000;
+const HISTORY_SIZE = 20;
+
+/**
+ * UnitFault - Decodes unit error codes and communication flags reported by MELCloud
+ *
+ * A faulted unit is shown through StatusFault/StatusActive on the main service and
+ * pauses predictive control until MELCloud reports the unit healthy again. The last
+ * fault changes are kept in a history file and published over RESTful/MQTT.
+ */
+class UnitFault {
+    constructor(device) {
+        this.device = device;
+
+        this.current = null; // Message of the active fault, null when healthy
+        this.history = []; // Newest first: { time, message, cleared }
+        this.file = null;
+    }
+
+    async init() {
+        const d = this.device;
+        const melcloudDir = path.join(d.api?.user?.storagePath?.() || './', 'melcloud');
+        this.file = path.join(melcloudDir, `${d.accountName}_${d.deviceId}_Faults.json`);
+        await fs.mkdir(melcloudDir, { recursive: true });
+
+        try {
+            const saved = JSON.parse(await fs.readFile(this.file, 'utf8'));
+            this.history = Array.isArray(saved) ? saved.slice(0, HISTORY_SIZE) : [];
+        } catch (error) {
+            if (error.code !== 'ENOENT' && this.device.logWarn) this.device.emit('warn', `Fault history load error: ${error.message}`);
+        }
+    }
+
+    async save() {
+        if (!this.file) return;
+
+        try {
+            await fs.writeFile(this.file, JSON.stringify(this.history, null, 2));
+        } catch (error) {
+            if (this.device.logWarn) this.device.emit('warn', `Fault history save error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fault history, newest first
+     */
+    getHistory() {
+        return this.history.map(entry => ({ ...entry, time: new Date(entry.time).toISOString() }));
+    }
+
+    /**
+     * Decode fault state from device data
+     * @returns {Object} { active, connected, code, message }
+     */
+    static parse(deviceData) {
+        const device = deviceData.Device ?? {};
+
+        // MELCloud reports Offline, MELCloud Home reports IsConnected
+        const connected = device.Offline !== true && device.IsConnected !== false;
+        const code = Number.isInteger(device.ErrorCode) && device.ErrorCode !== NO_ERROR_CODE ? device.ErrorCode : null;
+        const hasError = device.HasError === true || device.IsInError === true || code !== null;
+
+        let message = null;
+        if (!connected) {
+            message = 'Unit not connected to MELCloud';
+        } else if (hasError) {
+            message = device.ErrorMessage || UnitFault.describe(code);
+        }
+
+        return { active: message !== null, connected, code, message };
+    }
+
+    /**
+     * Readable message for a unit error code
+     */
+    static describe(code) {
+        if (code === null) return 'Unit error';
+        return `${AirConditioner.ErrorCodeMapEnumToString[code] ?? 'Unit error'} (${code})`;
+    }
+
+    /**
+     * Log fault changes and keep a short history
+     * @returns {boolean} True while the unit is faulted
+     */
+    update(fault, now = Date.now()) {
+        const d = this.device;
+        if (fault.message === this.current) return fault.active;
+
+        if (this.current) {
+            this.history.unshift({ time: now, message: this.current, cleared: true });
+            if (!fault.active) d.emit('info', `Unit fault cleared: ${this.current}, predictive control resumed`);
+        }
+        if (fault.active) {
+            this.history.unshift({ time: now, message: fault.message, cleared: false });
+            d.emit('warn', `Unit fault: ${fault.message}, predictive control paused`);
+        }
+
+        this.history.length = Math.min(this.history.length, HISTORY_SIZE);
+        this.current = fault.message;
+        this.publish();
+        this.save();
+        return fault.active;
+    }
+
+    /**
+     * Publish the history on the RESTful and MQTT channels of the device
+     */
+    publish() {
+        const melCloudAta = this.device.melCloudAta;
+        if (!melCloudAta) return;
+
+        const history = this.getHistory();
+        if (melCloudAta.restFulEnabled) melCloudAta.emit('restFul', 'faults', history);
+        if (melCloudAta.mqttEnabled) melCloudAta.emit('mqtt', 'Faults', history);
+    }
+}
+
+export { UnitFault };
+export default UnitFault;
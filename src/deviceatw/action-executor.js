@@ -0,0 +1,98 @@
+import { HeatPump } from '../constants.js';
+
+/**
+ * ActionExecutor - Translates state machine decisions into heat pump zone 1 commands
+ *
+ * Same rate limiting as the ATA executor, setpoints go to the zone 1 room thermostat.
+ */
+class ActionExecutor {
+    constructor(device) {
+        this.device = device;
+        this.lastActionTime = null;
+        this.minActionInterval = 60000; // 60 seconds minimum between actions
+        this.lastSentSetpoint = null;
+        this.lastSentMode = null;
+    }
+
+    /**
+     * Execute an action from the state machine
+     * @param {Object} stateResult - Result from StateMachine.processUpdate()
+     */
+    async executeAction(stateResult) {
+        const { action } = stateResult;
+
+        // No action needed
+        if (!action) return;
+
+        // Rate limiting
+        const now = Date.now();
+        if (this.lastActionTime && (now - this.lastActionTime) < this.minActionInterval) {
+            this.device.emit('debug', `ActionExecutor: Rate limited (${Math.round((now - this.lastActionTime) / 1000)}s since last)`);
+            return;
+        }
+
+        const d = this.device;
+
+        try {
+            switch (action.type) {
+                case 'setMode':
+                    await this._executeSetMode(action);
+                    break;
+                case 'coast':
+                    await this._executeCoast(action);
+                    break;
+            }
+            this.lastActionTime = now;
+        } catch (error) {
+            d.emit('warn', `ActionExecutor error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Execute setMode action (power on + zone 1 mode + zone 1 temperature)
+     */
+    async _executeSetMode(action) {
+        const d = this.device;
+
+        // Heat-only units can not follow cooling decisions
+        if (action.mode === 'cool' && !d.accessoryState.canCool) {
+            if (d.logDebug) d.emit('debug', `ActionExecutor: Cooling requested, heat pump can not cool`);
+            return;
+        }
+
+        const mode = action.mode === 'heat' ? 0 : 3; // 0=Heat Thermostat, 3=Cool Thermostat
+        const { Power, OperationModeZone1, SetTemperatureZone1 } = HeatPump.EffectiveFlags;
+
+        d.deviceData.Device.Power = true;
+        d.deviceData.Device.OperationModeZone1 = mode;
+        d.deviceData.Device.SetTemperatureZone1 = action.setpoint;
+
+        // Track what we sent
+        this.lastSentSetpoint = action.setpoint;
+        this.lastSentMode = action.mode;
+
+        d.emit('info', `Auto: Power ON, zone 1 ${action.mode}, target=${action.setpoint}°C`);
+
+        const flags = [Power, OperationModeZone1, SetTemperatureZone1].reduce((merged, flag) => d.melCloudAtw.mergeFlags(merged, flag), 0);
+        await d.melCloudAtw.send(d.deviceData, flags);
+    }
+
+    /**
+     * Execute coast action (update zone 1 setpoint only, maintain current mode)
+     */
+    async _executeCoast(action) {
+        const d = this.device;
+
+        d.deviceData.Device.SetTemperatureZone1 = action.setpoint;
+
+        // Track what we sent
+        this.lastSentSetpoint = action.setpoint;
+
+        d.emit('info', `Auto: Zone 1 setpoint update, target=${action.setpoint}°C`);
+
+        await d.melCloudAtw.send(d.deviceData, HeatPump.EffectiveFlags.SetTemperatureZone1);
+    }
+}
+
+export { ActionExecutor };
+export default ActionExecutor;
@@ -0,0 +1,129 @@
+import DeviceAccessory from '../deviceaccessory.js';
+import MelCloudAtw from '../melcloudatw.js';
+import { StateParser } from './state-parser.js';
+import { StateUpdater } from './state-updater.js';
+import { ServiceFactory } from './services/index.js';
+import { PredictiveController } from '../deviceata/predictive/index.js';
+import { ActionExecutor } from './action-executor.js';
+
+class DeviceAtw extends DeviceAccessory {
+    constructor(api, account, device, defaultTempsFile, accountInfo, accountFile, melcloud, melcloudDevicesList) {
+        super(api, account, device, defaultTempsFile, accountInfo, accountFile, melcloud, melcloudDevicesList);
+        this.accessoryCategory = this.Categories.THERMOSTAT;
+
+        // Predictive control config (optional, drives zone 1)
+        this.predictiveEnabled = device.predictive || false;
+        this.targetTemperature = device.targetTemperature || 21;
+        this.location = device.location || {};
+
+        // Zone 1 room temperature, read by the predictive controller
+        this.roomCurrentTemp = null;
+        this.userTargetTemperature = null;
+
+        // Sub-modules
+        this.stateParser = new StateParser(this);
+        this.stateUpdater = new StateUpdater(this);
+        this.serviceFactory = new ServiceFactory(this);
+        this.predictiveController = this.predictiveEnabled ? new PredictiveController(this) : null;
+        this.actionExecutor = new ActionExecutor(this);
+
+        // Share night cooling requests with ventilation units of the account
+        this.predictiveController?.on('ventilation', (request) => this.melcloud.emit('ventilation', { ...request, source: this.deviceId }));
+        this.ventilationSyncListener = () => this.predictiveController.resendVentilationRequest();
+        if (this.predictiveController) this.melcloud.on('ventilationSync', this.ventilationSyncListener);
+    }
+
+    async start(cachedAccessory = null) {
+        try {
+            // Create MelCloud device client
+            this.melCloudAtw = new MelCloudAtw(this.account, this.device, this.accountFile, this.melcloud)
+                .on('deviceInfo', (modelIndoor, modelOutdoor, serialNumber, firmwareAppVersion) => {
+                    if (this.logDeviceInfo && this.displayDeviceInfo) {
+                        this.emit('devInfo', `---- ${this.deviceTypeString}: ${this.deviceName} ----`);
+                        this.emit('devInfo', `Account: ${this.accountName}`);
+                        if (modelIndoor) this.emit('devInfo', `Indoor: ${modelIndoor}`);
+                        if (modelOutdoor) this.emit('devInfo', `Outdoor: ${modelOutdoor}`);
+                        if (serialNumber) this.emit('devInfo', `Serial: ${serialNumber}`);
+                        if (firmwareAppVersion) this.emit('devInfo', `Firmware: ${firmwareAppVersion}`);
+                        this.emit('devInfo', `Manufacturer: Mitsubishi`);
+                        this.emit('devInfo', '----------------------------------');
+                        this.displayDeviceInfo = false;
+                    }
+
+                    // Accessory info
+                    this.manufacturer = 'Mitsubishi';
+                    this.model = modelIndoor ? modelIndoor : modelOutdoor ? modelOutdoor : `${this.deviceTypeString}`;
+                    this.serialNumber = serialNumber.toString();
+                    this.firmwareRevision = firmwareAppVersion.toString();
+
+                    this.services.information?.setCharacteristic(this.Characteristic.FirmwareRevision, this.firmwareRevision);
+                })
+                .on('deviceState', async (deviceData) => {
+                    this.deviceData = deviceData;
+
+                    // Parse state
+                    this.accessoryState = this.stateParser.parse(deviceData);
+                    this.roomCurrentTemp = this.accessoryState.roomCurrentTemp ?? null;
+
+                    // Update all services
+                    this.stateUpdater.update();
+
+                    // Cached state only, no decisions until live data arrives
+                    if (this.offline) return;
+
+                    // Process zone 1 through predictive controller and execute actions
+                    if (this.predictiveController) {
+                        const stateResult = this.predictiveController.processStateUpdate(deviceData);
+                        if (stateResult.action) {
+                            await this.actionExecutor.executeAction(stateResult);
+                        }
+                    }
+
+                    // Log current state
+                    this.stateUpdater.logState();
+                })
+                .on('success', (success) => this.emit('success', success))
+                .on('info', (info) => this.emit('info', info))
+                .on('debug', (debug) => this.emit('debug', debug))
+                .on('warn', (warn) => this.emit('warn', warn))
+                .on('error', (error) => this.emit('error', error));
+
+            // Start predictive controller (optional)
+            if (this.predictiveController) {
+                await this.predictiveController.init();
+            }
+
+            // Check state
+            await this.melCloudAtw.checkState(this.melcloudDevicesList);
+
+            // Prepare accessory
+            const accessory = await this.prepareAccessory(cachedAccessory);
+            return accessory;
+        } catch (error) {
+            throw new Error(`Start error: ${error}`);
+        }
+    }
+
+    get deviceClient() {
+        return this.melCloudAtw;
+    }
+
+    /**
+     * Zone 1 carries the state of the heat pump
+     */
+    showOffline(error) {
+        this.services.zone1?.updateCharacteristic(this.Characteristic.CurrentHeatingCoolingState, error);
+    }
+
+    /**
+     * Stop timers before the device client is detached from the account client
+     */
+    async stop() {
+        this.predictiveController?.stop();
+        this.melcloud.off('ventilationSync', this.ventilationSyncListener);
+        if (this.predictiveController) this.melcloud.emit('ventilation', { source: this.deviceId, bypass: false, boost: false, reason: 'device removed' });
+        await super.stop();
+    }
+}
+
+export default DeviceAtw;
@@ -0,0 +1,89 @@
+import { HeatPump } from '../../constants.js';
+
+/**
+ * Hot water tank thermostat and boost switch
+ */
+export class HotWaterService {
+    constructor(device) {
+        this.device = device;
+    }
+
+    create(accessory, serviceName, deviceId) {
+        const d = this.device;
+        const Service = d.Service;
+        const Characteristic = d.Characteristic;
+        const state = d.accessoryState;
+
+        if (d.logDebug) d.emit('debug', `Prepare hot water service`);
+
+        const service = new Service.Thermostat(serviceName, `Hot Water ${deviceId}`);
+
+        // Current state, heating while the heat pump runs in hot water mode
+        service.getCharacteristic(Characteristic.CurrentHeatingCoolingState)
+            .onGet(async () => {
+                d.assertOnline();
+                return d.accessoryState.tank.heating ? 1 : 0;
+            });
+
+        // Target state, the tank is always kept at temperature
+        service.getCharacteristic(Characteristic.TargetHeatingCoolingState)
+            .setProps({
+                minValue: 1,
+                maxValue: 1,
+                validValues: [1]
+            })
+            .onGet(async () => 1);
+
+        // Current temperature
+        service.getCharacteristic(Characteristic.CurrentTemperature)
+            .onGet(async () => d.accessoryState.tank.currentTemp);
+
+        // Target temperature
+        service.getCharacteristic(Characteristic.TargetTemperature)
+            .setProps({
+                minValue: state.tank.minTemp,
+                maxValue: state.tank.maxTemp,
+                minStep: 1
+            })
+            .onGet(async () => d.accessoryState.tank.targetTemp)
+            .onSet(async (value) => {
+                try {
+                    d.deviceData.Device.SetTankWaterTemperature = value;
+                    if (d.logInfo) d.emit('info', `Set hot water temperature: ${value}°C`);
+                    await d.melCloudAtw.send(d.deviceData, HeatPump.EffectiveFlags.SetTankWaterTemperature);
+                } catch (error) {
+                    if (d.logWarn) d.emit('warn', `Set hot water temperature error: ${error}`);
+                }
+            });
+
+        accessory.addService(service);
+        return service;
+    }
+
+    createBoost(accessory, serviceName, deviceId) {
+        const d = this.device;
+        const Service = d.Service;
+        const Characteristic = d.Characteristic;
+
+        if (d.logDebug) d.emit('debug', `Prepare hot water boost service`);
+
+        const service = new Service.Switch(serviceName, `Hot Water Boost ${deviceId}`);
+        service.getCharacteristic(Characteristic.On)
+            .onGet(async () => {
+                d.assertOnline();
+                return d.accessoryState.tank.forced;
+            })
+            .onSet(async (value) => {
+                try {
+                    d.deviceData.Device.ForcedHotWaterMode = value ? true : false;
+                    if (d.logInfo) d.emit('info', `Set hot water mode: ${HeatPump.ForceDhwMapEnumToString[value ? 1 : 0]}`);
+                    await d.melCloudAtw.send(d.deviceData, HeatPump.EffectiveFlags.ForcedHotWaterMode);
+                } catch (error) {
+                    if (d.logWarn) d.emit('warn', `Set hot water mode error: ${error}`);
+                }
+            });
+
+        accessory.addService(service);
+        return service;
+    }
+}
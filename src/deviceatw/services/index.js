@@ -0,0 +1,58 @@
+import { ZoneThermostatService } from './zone-thermostat.js';
+import { HotWaterService } from './hot-water.js';
+import { TemperatureSensorService } from '../../services/temperature-sensor.js';
+
+/**
+ * Service factory that creates HomeKit services for the ATW device
+ */
+export class ServiceFactory {
+    constructor(device) {
+        this.device = device;
+        this.zoneThermostat = new ZoneThermostatService(device);
+        this.hotWater = new HotWaterService(device);
+        this.temperatureSensor = new TemperatureSensorService(device);
+    }
+
+    async createServices(accessory, accessoryName) {
+        const d = this.device;
+        const Service = d.Service;
+        const Characteristic = d.Characteristic;
+        const deviceId = d.deviceId;
+        const state = d.accessoryState;
+
+        const services = {};
+
+        // Create information service
+        if (d.logDebug) d.emit('debug', `Prepare information service`);
+        const informationService = accessory.getService(Service.AccessoryInformation)
+            .setCharacteristic(Characteristic.Manufacturer, d.manufacturer || 'Mitsubishi')
+            .setCharacteristic(Characteristic.Model, d.model || 'Heat Pump')
+            .setCharacteristic(Characteristic.SerialNumber, d.serialNumber || 'Unknown')
+            .setCharacteristic(Characteristic.FirmwareRevision, d.firmwareRevision || '0');
+        services.information = informationService;
+
+        // Zone thermostats
+        for (const zone of state.zones) {
+            services[`zone${zone.number}`] = this.zoneThermostat.create(accessory, `${accessoryName} Zone ${zone.number}`, deviceId, zone.number);
+        }
+
+        // Hot water tank
+        if (state.hasHotWaterTank) {
+            services.hotWater = this.hotWater.create(accessory, `${accessoryName} Hot Water`, deviceId);
+            services.hotWaterBoost = this.hotWater.createBoost(accessory, `${accessoryName} Hot Water Boost`, deviceId);
+        }
+
+        // Temperature sensors, only for readings the unit reports
+        const sensors = [
+            { key: 'flow', subtype: 'Flow', stateKey: 'flowTemp' },
+            { key: 'return', subtype: 'Return', stateKey: 'returnTemp' },
+            { key: 'outdoor', subtype: 'Outdoor', stateKey: 'outdoorTemp' }
+        ];
+        for (const { key, subtype, stateKey } of sensors) {
+            if (!d.functions.isValidValue(state[stateKey])) continue;
+            services[key] = this.temperatureSensor.create(accessory, `${accessoryName} ${subtype}`, subtype, stateKey);
+        }
+
+        return services;
+    }
+}
@@ -0,0 +1,115 @@
+import { HeatPump, TemperatureDisplayUnits } from '../../constants.js';
+
+/**
+ * Thermostat service for a heat pump heating/cooling zone
+ * Zone 1 follows the predictive controller when it is enabled
+ */
+export class ZoneThermostatService {
+    constructor(device) {
+        this.device = device;
+    }
+
+    /**
+     * Comfort band while predictive control drives the zone, else device limits
+     */
+    _getTemperatureRange(zoneNumber) {
+        const d = this.device;
+
+        if (zoneNumber === 1 && d.predictiveController) {
+            const range = d.predictiveController.getComfortRange();
+            return { minValue: range.min, maxValue: range.max, minStep: 0.5 };
+        }
+
+        return { minValue: 10, maxValue: 30, minStep: d.accessoryState.temperatureStep };
+    }
+
+    create(accessory, serviceName, deviceId, zoneNumber) {
+        const d = this.device;
+        const Service = d.Service;
+        const Characteristic = d.Characteristic;
+        const state = d.accessoryState;
+        const zone = () => d.accessoryState.zones[zoneNumber - 1];
+
+        const modeKey = `OperationModeZone${zoneNumber}`;
+        const tempKey = `SetTemperatureZone${zoneNumber}`;
+        const modeFlag = HeatPump.EffectiveFlags[modeKey];
+        const tempFlag = HeatPump.EffectiveFlags[tempKey];
+
+        if (d.logDebug) d.emit('debug', `Prepare zone ${zoneNumber} thermostat service`);
+
+        const service = new Service.Thermostat(serviceName, `Zone ${zoneNumber} ${deviceId}`);
+        if (zoneNumber === 1) service.setPrimaryService(true);
+
+        // Current state
+        service.getCharacteristic(Characteristic.CurrentHeatingCoolingState)
+            .onGet(async () => {
+                d.assertOnline();
+                return zone().currentState;
+            });
+
+        // Target state, off powers the whole heat pump down
+        const validValues = state.canCool ? [0, 1, 2] : [0, 1];
+        service.getCharacteristic(Characteristic.TargetHeatingCoolingState)
+            .setProps({
+                minValue: 0,
+                maxValue: validValues.at(-1),
+                validValues
+            })
+            .onGet(async () => zone().targetState)
+            .onSet(async (value) => {
+                try {
+                    let flag = HeatPump.EffectiveFlags.Power;
+                    d.deviceData.Device.Power = value > 0;
+                    if (value > 0) {
+                        d.deviceData.Device[modeKey] = value === 2 ? 3 : 0; // Cool Thermostat / Heat Thermostat
+                        flag = d.melCloudAtw.mergeFlags(flag, modeFlag);
+                    }
+                    if (d.logInfo) d.emit('info', `Set zone ${zoneNumber} mode: ${value > 0 ? HeatPump.OperationModeZoneMapEnumToString[d.deviceData.Device[modeKey]] : 'Off'}`);
+                    await d.melCloudAtw.send(d.deviceData, flag);
+                } catch (error) {
+                    if (d.logWarn) d.emit('warn', `Set zone ${zoneNumber} mode error: ${error}`);
+                }
+            });
+
+        // Current temperature
+        service.getCharacteristic(Characteristic.CurrentTemperature)
+            .onGet(async () => zone().currentTemp);
+
+        // Target temperature
+        service.getCharacteristic(Characteristic.TargetTemperature)
+            .setProps(this._getTemperatureRange(zoneNumber))
+            .onGet(async () => {
+                if (zoneNumber === 1 && d.predictiveController) {
+                    return d.predictiveController.getUserComfortPreference();
+                }
+                return zone().targetTemp;
+            })
+            .onSet(async (value) => {
+                try {
+                    // Calculate setpoint through predictive controller if available
+                    let setpoint = value;
+                    if (zoneNumber === 1 && d.predictiveController) {
+                        d.userTargetTemperature = value;
+                        setpoint = d.predictiveController.getPredictiveSetpoint(value);
+                        if (d.logDebug) d.emit('debug', `Predictive setpoint: ${value}°C → ${setpoint}°C`);
+                    }
+
+                    d.deviceData.Device[tempKey] = setpoint;
+                    if (d.logInfo) d.emit('info', `Set zone ${zoneNumber} temperature: ${value}°C (heat pump setpoint: ${setpoint}°C)`);
+                    await d.melCloudAtw.send(d.deviceData, tempFlag);
+                } catch (error) {
+                    if (d.logWarn) d.emit('warn', `Set zone ${zoneNumber} temperature error: ${error}`);
+                }
+            });
+
+        // Temperature display units, shown only, changed on the account
+        service.getCharacteristic(Characteristic.TemperatureDisplayUnits)
+            .onGet(async () => d.accessoryState.useFahrenheit)
+            .onSet(async (value) => {
+                if (d.logInfo) d.emit('info', `Temperature display unit ${TemperatureDisplayUnits[value]} can only be changed in MELCloud`);
+            });
+
+        accessory.addService(service);
+        return service;
+    }
+}
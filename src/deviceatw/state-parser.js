@@ -0,0 +1,123 @@
+import { TemperatureDisplayUnits } from '../constants.js';
+
+// Zone operation modes (HeatPump.OperationModeZone)
+const CoolZoneModes = [3, 4];
+
+/**
+ * Parses MELCloud heat pump state into normalized accessory state
+ */
+export class StateParser {
+    constructor(device) {
+        this.device = device;
+    }
+
+    parse(deviceData) {
+        const d = this.device;
+        const Characteristic = d.Characteristic;
+        const device = deviceData.Device;
+
+        // Device capabilities
+        const hasZone2 = device.HasZone2 ?? false;
+        const hasHotWaterTank = device.HasHotWaterTank ?? false;
+        const canCool = device.CanCool ?? false;
+        const temperatureStep = device.TemperatureIncrement ? 0.5 : 1;
+
+        // Device state
+        const power = device.Power ?? false;
+        const operationMode = device.OperationMode;
+
+        // Zones
+        const zones = [this.parseZone(device, 1, power)];
+        if (hasZone2) zones.push(this.parseZone(device, 2, power));
+
+        // Hot water tank
+        const tank = {
+            currentTemp: device.TankWaterTemperature,
+            targetTemp: device.SetTankWaterTemperature,
+            minTemp: 40,
+            maxTemp: device.MaxTankTemperature ?? 60,
+            heating: power && operationMode === 1,
+            forced: device.ForcedHotWaterMode ?? false,
+            eco: device.EcoHotWater ?? false
+        };
+
+        // Build accessory state object
+        const state = {
+            // Capabilities
+            hasZone2,
+            hasHotWaterTank,
+            canCool,
+            temperatureStep,
+
+            // State
+            power,
+            operationMode,
+            zones,
+            tank,
+            roomCurrentTemp: zones[0].currentTemp,
+            flowTemp: device.FlowTemperature,
+            returnTemp: device.ReturnTemperature,
+            outdoorTemp: device.OutdoorTemperature,
+            targetHeaterCoolerState: zones[0].cooling ? 2 : 1,
+            useFahrenheit: d.accountInfo.useFahrenheit ? 1 : 0,
+            temperatureUnit: TemperatureDisplayUnits[d.accountInfo.useFahrenheit ? 1 : 0]
+        };
+
+        // Build characteristics for service update
+        state.characteristics = this.buildCharacteristics(state, Characteristic);
+
+        return state;
+    }
+
+    parseZone(device, number, power) {
+        const mode = device[`OperationModeZone${number}`];
+        const idle = device[`IdleZone${number}`] ?? false;
+        const cooling = CoolZoneModes.includes(mode);
+
+        return {
+            number,
+            mode,
+            cooling,
+            idle,
+            currentTemp: device[`RoomTemperatureZone${number}`],
+            targetTemp: device[`SetTemperatureZone${number}`],
+            currentState: !power || idle ? 0 : (cooling ? 2 : 1),
+            targetState: !power ? 0 : (cooling ? 2 : 1)
+        };
+    }
+
+    buildCharacteristics(state, Characteristic) {
+        const d = this.device;
+        const characteristics = {};
+
+        for (const zone of state.zones) {
+            // Predictive zone shows the user comfort preference, not the sent setpoint
+            const targetTemp = zone.number === 1 && d.predictiveController ? d.predictiveController.getUserComfortPreference() : zone.targetTemp;
+
+            characteristics[`zone${zone.number}`] = [
+                { type: Characteristic.CurrentHeatingCoolingState, value: zone.currentState },
+                { type: Characteristic.TargetHeatingCoolingState, value: zone.targetState },
+                { type: Characteristic.CurrentTemperature, value: zone.currentTemp },
+                { type: Characteristic.TargetTemperature, value: targetTemp },
+                { type: Characteristic.TemperatureDisplayUnits, value: state.useFahrenheit }
+            ];
+        }
+
+        if (state.hasHotWaterTank) {
+            characteristics.hotWater = [
+                { type: Characteristic.CurrentHeatingCoolingState, value: state.tank.heating ? 1 : 0 },
+                { type: Characteristic.CurrentTemperature, value: state.tank.currentTemp },
+                { type: Characteristic.TargetTemperature, value: state.tank.targetTemp }
+            ];
+            characteristics.hotWaterBoost = [
+                { type: Characteristic.On, value: state.tank.forced }
+            ];
+        }
+
+        characteristics.flow = [{ type: Characteristic.CurrentTemperature, value: state.flowTemp }];
+        characteristics.return = [{ type: Characteristic.CurrentTemperature, value: state.returnTemp }];
+        characteristics.outdoor = [{ type: Characteristic.CurrentTemperature, value: state.outdoorTemp }];
+
+        return characteristics;
+    }
+}
@@ -0,0 +1,50 @@
+import { HeatPump } from '../constants.js';
+
+/**
+ * Updates HomeKit services from parsed heat pump state
+ */
+export class StateUpdater {
+    constructor(device) {
+        this.device = device;
+    }
+
+    update() {
+        const d = this.device;
+        const state = d.accessoryState;
+        const services = d.services;
+
+        if (!state || !services) return;
+
+        // Characteristics are grouped by the service they belong to
+        for (const [key, characteristics] of Object.entries(state.characteristics || {})) {
+            for (const { type, value } of characteristics) {
+                if (!d.functions.isValidValue(value)) continue;
+                services[key]?.updateCharacteristic(type, value);
+            }
+        }
+    }
+
+    logState() {
+        const d = this.device;
+        const state = d.accessoryState;
+
+        if (!d.logInfo || !state) return;
+
+        d.emit('info', `Power: ${state.power ? 'On' : 'Off'}`);
+        d.emit('info', `Operation mode: ${HeatPump.OperationModeMapEnumToString[state.operationMode]}`);
+        for (const zone of state.zones) {
+            d.emit('info', `Zone ${zone.number} mode: ${HeatPump.OperationModeZoneMapEnumToString[zone.mode]}${zone.idle ? ', idle' : ''}`);
+            d.emit('info', `Zone ${zone.number} target temperature: ${zone.targetTemp}${state.temperatureUnit}`);
+            d.emit('info', `Zone ${zone.number} current temperature: ${zone.currentTemp}${state.temperatureUnit}`);
+        }
+
+        if (state.hasHotWaterTank) {
+            d.emit('info', `Hot water target temperature: ${state.tank.targetTemp}${state.temperatureUnit}`);
+            d.emit('info', `Hot water current temperature: ${state.tank.currentTemp}${state.temperatureUnit}`);
+            d.emit('info', `Hot water mode: ${HeatPump.ForceDhwMapEnumToString[state.tank.forced ? 1 : 0]}, ${HeatPump.OperationModeDhwMapEnumToString[state.tank.eco ? 1 : 0]}`);
+        }
+        d.emit('info', `Flow temperature: ${state.flowTemp}${state.temperatureUnit}`);
+        d.emit('info', `Return temperature: ${state.returnTemp}${state.temperatureUnit}`);
+        d.emit('info', `Outdoor temperature: ${state.outdoorTemp}${state.temperatureUnit}`);
+    }
+}
@@ -0,0 +1,113 @@
+import DeviceAccessory from '../deviceaccessory.js';
+import MelCloudErv from '../melclouderv.js';
+import { StateParser } from './state-parser.js';
+import { StateUpdater } from './state-updater.js';
+import { ServiceFactory } from './services/index.js';
+import { NightCooling } from './night-cooling.js';
+
+class DeviceErv extends DeviceAccessory {
+    constructor(api, account, device, defaultTempsFile, accountInfo, accountFile, melcloud, melcloudDevicesList) {
+        super(api, account, device, defaultTempsFile, accountInfo, accountFile, melcloud, melcloudDevicesList);
+        this.accessoryCategory = this.Categories.FAN;
+
+        // Night cooling requests from predictive controllers of the account (optional)
+        this.nightCoolingEnabled = device.nightCooling || false;
+
+        // Sub-modules
+        this.stateParser = new StateParser(this);
+        this.stateUpdater = new StateUpdater(this);
+        this.serviceFactory = new ServiceFactory(this);
+        this.nightCooling = this.nightCoolingEnabled ? new NightCooling(this) : null;
+
+        // Listener kept to detach on stop
+        this.ventilationListener = async (request) => {
+            if (this.offline) return;
+            await this.nightCooling.handleRequest(request);
+        };
+    }
+
+    async start(cachedAccessory = null) {
+        try {
+            // Create MelCloud device client
+            this.melCloudErv = new MelCloudErv(this.account, this.device, this.accountFile, this.melcloud)
+                .on('deviceInfo', (modelIndoor, modelOutdoor, serialNumber, firmwareAppVersion) => {
+                    if (this.logDeviceInfo && this.displayDeviceInfo) {
+                        this.emit('devInfo', `---- ${this.deviceTypeString}: ${this.deviceName} ----`);
+                        this.emit('devInfo', `Account: ${this.accountName}`);
+                        if (modelIndoor) this.emit('devInfo', `Indoor: ${modelIndoor}`);
+                        if (modelOutdoor) this.emit('devInfo', `Outdoor: ${modelOutdoor}`);
+                        if (serialNumber) this.emit('devInfo', `Serial: ${serialNumber}`);
+                        if (firmwareAppVersion) this.emit('devInfo', `Firmware: ${firmwareAppVersion}`);
+                        this.emit('devInfo', `Manufacturer: Mitsubishi`);
+                        this.emit('devInfo', '----------------------------------');
+                        this.displayDeviceInfo = false;
+                    }
+
+                    // Accessory info
+                    this.manufacturer = 'Mitsubishi';
+                    this.model = modelIndoor ? modelIndoor : modelOutdoor ? modelOutdoor : `${this.deviceTypeString}`;
+                    this.serialNumber = serialNumber.toString();
+                    this.firmwareRevision = firmwareAppVersion.toString();
+
+                    this.services.information?.setCharacteristic(this.Characteristic.FirmwareRevision, this.firmwareRevision);
+                })
+                .on('deviceState', async (deviceData) => {
+                    this.deviceData = deviceData;
+
+                    // Parse state
+                    this.accessoryState = this.stateParser.parse(deviceData);
+
+                    // Update all services
+                    this.stateUpdater.update();
+
+                    // Cached state only, no decisions until live data arrives
+                    if (this.offline) return;
+
+                    // Requests received while the unit was off or not loaded yet
+                    if (this.nightCooling) await this.nightCooling.apply();
+
+                    // Log current state
+                    this.stateUpdater.logState();
+                })
+                .on('success', (success) => this.emit('success', success))
+                .on('info', (info) => this.emit('info', info))
+                .on('debug', (debug) => this.emit('debug', debug))
+                .on('warn', (warn) => this.emit('warn', warn))
+                .on('error', (error) => this.emit('error', error));
+
+            // Follow night cooling requests (optional)
+            if (this.nightCooling) this.followNightCooling();
+
+            // Check state
+            await this.melCloudErv.checkState(this.melcloudDevicesList);
+
+            // Prepare accessory
+            const accessory = await this.prepareAccessory(cachedAccessory);
+            return accessory;
+        } catch (error) {
+            throw new Error(`Start error: ${error}`);
+        }
+    }
+
+    /**
+     * Listen to night cooling requests and ask predictive devices started earlier for their active ones
+     */
+    followNightCooling() {
+        this.melcloud.on('ventilation', this.ventilationListener);
+        this.melcloud.emit('ventilationSync');
+    }
+
+    get deviceClient() {
+        return this.melCloudErv;
+    }
+
+    /**
+     * Stop timers before the device client is detached from the account client
+     */
+    async stop() {
+        this.melcloud.off('ventilation', this.ventilationListener);
+        await super.stop();
+    }
+}
+
+export default DeviceErv;
@@ -0,0 +1,81 @@
+import { Ventilation } from '../constants.js';
+
+/**
+ * NightCooling - Applies predictive night cooling requests to the ventilation unit
+ *
+ * Requests of every predictive controller on the account are combined, bypass or boost
+ * stays on while any of them asks for it. Settings in use before the first request are
+ * restored once all requests have ended. A unit switched off by the user is left off.
+ */
+class NightCooling {
+    constructor(device) {
+        this.device = device;
+        this.requests = new Map(); // source device id → { bypass, boost }
+        this.savedSettings = null;
+    }
+
+    /**
+     * Record a request from a predictive controller and apply the combined result
+     * @param {Object} request - { source, bypass, boost, reason }
+     */
+    async handleRequest(request) {
+        const d = this.device;
+
+        if (request.bypass || request.boost) {
+            this.requests.set(request.source, { bypass: request.bypass, boost: request.boost });
+        } else {
+            this.requests.delete(request.source);
+        }
+        if (d.logDebug) d.emit('debug', `NightCooling: ${request.reason} from ${request.source}, ${this.requests.size} active requests`);
+
+        await this.apply();
+    }
+
+    async apply() {
+        const d = this.device;
+        const device = d.deviceData?.Device;
+        if (!device || d.offline || !device.Power) return;
+
+        const requests = [...this.requests.values()];
+        const bypass = d.accessoryState.supportsBypass && requests.some(request => request.bypass);
+        const boost = requests.some(request => request.boost);
+
+        // Nothing requested anymore, give the unit back its own settings
+        if (!bypass && !boost) {
+            if (!this.savedSettings) return;
+
+            Object.assign(device, this.savedSettings);
+            this.savedSettings = null;
+            d.emit('info', `Night cooling ended, ventilation mode and fan speed restored`);
+            await this.send();
+            return;
+        }
+
+        if (!this.savedSettings) {
+            this.savedSettings = { VentilationMode: device.VentilationMode, SetFanSpeed: device.SetFanSpeed };
+        }
+
+        const ventilationMode = bypass ? 1 : this.savedSettings.VentilationMode;
+        const fanSpeed = boost ? d.accessoryState.numberOfFanSpeeds : this.savedSettings.SetFanSpeed;
+        if (device.VentilationMode === ventilationMode && device.SetFanSpeed === fanSpeed) return;
+
+        device.VentilationMode = ventilationMode;
+        device.SetFanSpeed = fanSpeed;
+        d.emit('info', `Night cooling: ${Ventilation.VentilationModeMapEnumToString[ventilationMode]}, fan ${Ventilation.FanSpeedMapEnumToString[fanSpeed]}`);
+        await this.send();
+    }
+
+    async send() {
+        const d = this.device;
+        const { VentilationMode, SetFanSpeed } = Ventilation.EffectiveFlags;
+
+        try {
+            await d.melCloudErv.send(d.deviceData, VentilationMode | SetFanSpeed);
+        } catch (error) {
+            d.emit('warn', `NightCooling error: ${error.message}`);
+        }
+    }
+}
+
+export { NightCooling };
+export default NightCooling;
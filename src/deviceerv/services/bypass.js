@@ -0,0 +1,37 @@
+import { Ventilation } from '../../constants.js';
+
+/**
+ * Switch for bypass (free cooling) ventilation mode
+ */
+export class BypassService {
+    constructor(device) {
+        this.device = device;
+    }
+
+    create(accessory, serviceName, deviceId) {
+        const d = this.device;
+        const Service = d.Service;
+        const Characteristic = d.Characteristic;
+
+        if (d.logDebug) d.emit('debug', `Prepare bypass service`);
+
+        const service = new Service.Switch(serviceName, `Bypass ${deviceId}`);
+        service.getCharacteristic(Characteristic.On)
+            .onGet(async () => {
+                d.assertOnline();
+                return d.accessoryState.bypass;
+            })
+            .onSet(async (value) => {
+                try {
+                    d.deviceData.Device.VentilationMode = value ? 1 : 0; // Bypass / Lossnay
+                    if (d.logInfo) d.emit('info', `Set ventilation mode: ${Ventilation.VentilationModeMapEnumToString[d.deviceData.Device.VentilationMode]}`);
+                    await d.melCloudErv.send(d.deviceData, Ventilation.EffectiveFlags.VentilationMode);
+                } catch (error) {
+                    if (d.logWarn) d.emit('warn', `Set ventilation mode error: ${error}`);
+                }
+            });
+
+        accessory.addService(service);
+        return service;
+    }
+}
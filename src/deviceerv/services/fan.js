@@ -0,0 +1,79 @@
+import { Ventilation } from '../../constants.js';
+
+/**
+ * Fanv2 service for the ventilation unit, one rotation speed step per fan level
+ */
+export class FanService {
+    constructor(device) {
+        this.device = device;
+    }
+
+    create(accessory, serviceName, deviceId) {
+        const d = this.device;
+        const Service = d.Service;
+        const Characteristic = d.Characteristic;
+        const state = d.accessoryState;
+
+        if (d.logDebug) d.emit('debug', `Prepare fan service`);
+
+        const service = new Service.Fanv2(serviceName, `Fan ${deviceId}`);
+        service.setPrimaryService(true);
+
+        // Active (power)
+        service.getCharacteristic(Characteristic.Active)
+            .onGet(async () => {
+                d.assertOnline();
+                return d.accessoryState.power ? 1 : 0;
+            })
+            .onSet(async (value) => {
+                try {
+                    d.deviceData.Device.Power = value ? true : false;
+                    if (d.logInfo) d.emit('info', `Set power: ${value ? 'On' : 'Off'}`);
+                    await d.melCloudErv.send(d.deviceData, Ventilation.EffectiveFlags.Power);
+                } catch (error) {
+                    if (d.logWarn) d.emit('warn', `Set power error: ${error}`);
+                }
+            });
+
+        // Current state
+        service.getCharacteristic(Characteristic.CurrentFanState)
+            .onGet(async () => d.accessoryState.power ? 2 : 0);
+
+        // Automatic fan speed
+        if (state.supportsAutomaticFanSpeed) {
+            service.getCharacteristic(Characteristic.TargetFanState)
+                .onGet(async () => d.accessoryState.automaticFanSpeed ? 1 : 0)
+                .onSet(async (value) => {
+                    try {
+                        d.deviceData.Device.SetFanSpeed = value ? 0 : Math.max(1, d.accessoryState.fanLevel);
+                        if (d.logInfo) d.emit('info', `Set fan speed mode: ${Ventilation.FanSpeedMapEnumToString[d.deviceData.Device.SetFanSpeed]}`);
+                        await d.melCloudErv.send(d.deviceData, Ventilation.EffectiveFlags.SetFanSpeed);
+                    } catch (error) {
+                        if (d.logWarn) d.emit('warn', `Set fan speed mode error: ${error}`);
+                    }
+                });
+        }
+
+        // Fan level, 0 is left to Active
+        service.getCharacteristic(Characteristic.RotationSpeed)
+            .setProps({
+                minValue: 0,
+                maxValue: state.numberOfFanSpeeds,
+                minStep: 1
+            })
+            .onGet(async () => d.accessoryState.fanLevel)
+            .onSet(async (value) => {
+                if (value === 0) return;
+                try {
+                    d.deviceData.Device.SetFanSpeed = value;
+                    if (d.logInfo) d.emit('info', `Set fan speed: ${Ventilation.FanSpeedMapEnumToString[value]}`);
+                    await d.melCloudErv.send(d.deviceData, Ventilation.EffectiveFlags.SetFanSpeed);
+                } catch (error) {
+                    if (d.logWarn) d.emit('warn', `Set fan speed error: ${error}`);
+                }
+            });
+
+        accessory.addService(service);
+        return service;
+    }
+}
@@ -0,0 +1,55 @@
+import { FanService } from './fan.js';
+import { BypassService } from './bypass.js';
+import { TemperatureSensorService } from '../../services/temperature-sensor.js';
+
+/**
+ * Service factory that creates HomeKit services for the ERV device
+ */
+export class ServiceFactory {
+    constructor(device) {
+        this.device = device;
+        this.fan = new FanService(device);
+        this.bypass = new BypassService(device);
+        this.temperatureSensor = new TemperatureSensorService(device);
+    }
+
+    async createServices(accessory, accessoryName) {
+        const d = this.device;
+        const Service = d.Service;
+        const Characteristic = d.Characteristic;
+        const deviceId = d.deviceId;
+        const state = d.accessoryState;
+
+        const services = {};
+
+        // Create information service
+        if (d.logDebug) d.emit('debug', `Prepare information service`);
+        const informationService = accessory.getService(Service.AccessoryInformation)
+            .setCharacteristic(Characteristic.Manufacturer, d.manufacturer || 'Mitsubishi')
+            .setCharacteristic(Characteristic.Model, d.model || 'Energy Recovery Ventilation')
+            .setCharacteristic(Characteristic.SerialNumber, d.serialNumber || 'Unknown')
+            .setCharacteristic(Characteristic.FirmwareRevision, d.firmwareRevision || '0');
+        services.information = informationService;
+
+        // Fan
+        services.main = this.fan.create(accessory, accessoryName, deviceId);
+
+        // Bypass (free cooling)
+        if (state.supportsBypass) {
+            services.bypass = this.bypass.create(accessory, `${accessoryName} Bypass`, deviceId);
+        }
+
+        // Temperature sensors, only for readings the unit reports
+        const sensors = [
+            { key: 'supply', subtype: 'Supply', stateKey: 'supplyTemp' },
+            { key: 'extract', subtype: 'Extract', stateKey: 'extractTemp' },
+            { key: 'outdoor', subtype: 'Outdoor', stateKey: 'outdoorTemp' }
+        ];
+        for (const { key, subtype, stateKey } of sensors) {
+            if (!d.functions.isValidValue(state[stateKey])) continue;
+            services[key] = this.temperatureSensor.create(accessory, `${accessoryName} ${subtype}`, subtype, stateKey);
+        }
+
+        return services;
+    }
+}
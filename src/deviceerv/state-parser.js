@@ -0,0 +1,86 @@
+import { TemperatureDisplayUnits } from '../constants.js';
+
+/**
+ * Parses MELCloud ventilation unit state into normalized accessory state
+ */
+export class StateParser {
+    constructor(device) {
+        this.device = device;
+    }
+
+    parse(deviceData) {
+        const d = this.device;
+        const Characteristic = d.Characteristic;
+        const device = deviceData.Device;
+
+        // Device capabilities
+        const numberOfFanSpeeds = device.NumberOfFanSpeeds ?? 4;
+        const supportsAutomaticFanSpeed = device.HasAutomaticFanSpeed ?? false;
+        const supportsBypass = device.HasBypassVentilationMode ?? false;
+
+        // Device state
+        const power = device.Power ?? false;
+        const setFanSpeed = device.SetFanSpeed;
+        const automaticFanSpeed = setFanSpeed === 0;
+        const actualFanSpeed = device.ActualSupplyFanSpeed;
+        const ventilationMode = device.VentilationMode;
+        const actualVentilationMode = device.ActualVentilationMode;
+
+        // Fan level shown in HomeKit, actual level while on automatic
+        const fanLevel = automaticFanSpeed ? (actualFanSpeed ?? 1) : setFanSpeed;
+
+        // Build accessory state object
+        const state = {
+            // Capabilities
+            numberOfFanSpeeds,
+            supportsAutomaticFanSpeed,
+            supportsBypass,
+
+            // State
+            power,
+            setFanSpeed,
+            automaticFanSpeed,
+            actualFanSpeed,
+            actualExtractFanSpeed: device.ActualExtractFanSpeed,
+            fanLevel: Math.max(0, Math.min(numberOfFanSpeeds, fanLevel ?? 0)),
+            ventilationMode,
+            actualVentilationMode,
+            bypass: ventilationMode === 1,
+            nightPurge: device.NightPurgeMode ?? false,
+            supplyTemp: device.SupplyTemperature,
+            extractTemp: device.RoomTemperature,
+            outdoorTemp: device.OutdoorTemperature,
+            filterMaintenance: device.FilterMaintenanceRequired ?? false,
+            useFahrenheit: d.accountInfo.useFahrenheit ? 1 : 0,
+            temperatureUnit: TemperatureDisplayUnits[d.accountInfo.useFahrenheit ? 1 : 0]
+        };
+
+        // Build characteristics for service update
+        state.characteristics = this.buildCharacteristics(state, Characteristic);
+
+        return state;
+    }
+
+    buildCharacteristics(state, Characteristic) {
+        const characteristics = {};
+
+        characteristics.main = [
+            { type: Characteristic.Active, value: state.power ? 1 : 0 },
+            { type: Characteristic.CurrentFanState, value: state.power ? 2 : 0 },
+            { type: Characteristic.RotationSpeed, value: state.fanLevel }
+        ];
+        if (state.supportsAutomaticFanSpeed) {
+            characteristics.main.push({ type: Characteristic.TargetFanState, value: state.automaticFanSpeed ? 1 : 0 });
+        }
+
+        if (state.supportsBypass) {
+            characteristics.bypass = [{ type: Characteristic.On, value: state.bypass }];
+        }
+
+        characteristics.supply = [{ type: Characteristic.CurrentTemperature, value: state.supplyTemp }];
+        characteristics.extract = [{ type: Characteristic.CurrentTemperature, value: state.extractTemp }];
+        characteristics.outdoor = [{ type: Characteristic.CurrentTemperature, value: state.outdoorTemp }];
+
+        return characteristics;
+    }
+}
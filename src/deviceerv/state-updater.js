@@ -0,0 +1,44 @@
+import { Ventilation } from '../constants.js';
+
+/**
+ * Updates HomeKit services from parsed ventilation unit state
+ */
+export class StateUpdater {
+    constructor(device) {
+        this.device = device;
+    }
+
+    update() {
+        const d = this.device;
+        const state = d.accessoryState;
+        const services = d.services;
+
+        if (!state || !services) return;
+
+        // Characteristics are grouped by the service they belong to
+        for (const [key, characteristics] of Object.entries(state.characteristics || {})) {
+            for (const { type, value } of characteristics) {
+                if (!d.functions.isValidValue(value)) continue;
+                services[key]?.updateCharacteristic(type, value);
+            }
+        }
+    }
+
+    logState() {
+        const d = this.device;
+        const state = d.accessoryState;
+
+        if (!d.logInfo || !state) return;
+
+        d.emit('info', `Power: ${state.power ? 'On' : 'Off'}`);
+        d.emit('info', `Target fan speed: ${Ventilation.FanSpeedMapEnumToString[state.setFanSpeed]}`);
+        d.emit('info', `Current supply fan speed: ${Ventilation.ActualSupplyFanSpeed[state.actualFanSpeed]}`);
+        d.emit('info', `Current extract fan speed: ${Ventilation.ActualExtractFanSpeed[state.actualExtractFanSpeed]}`);
+        d.emit('info', `Ventilation mode: ${Ventilation.VentilationModeMapEnumToString[state.ventilationMode]}`);
+        d.emit('info', `Current ventilation mode: ${Ventilation.ActualVentilationModeMapEnumToString[state.actualVentilationMode]}`);
+        d.emit('info', `Supply temperature: ${state.supplyTemp}${state.temperatureUnit}`);
+        d.emit('info', `Extract temperature: ${state.extractTemp}${state.temperatureUnit}`);
+        d.emit('info', `Outdoor temperature: ${state.outdoorTemp}${state.temperatureUnit}`);
+        d.emit('info', `Filter maintenance: ${Ventilation.FilterMaintenanceMapEnumToString[state.filterMaintenance ? 1 : 0]}`);
+    }
+}
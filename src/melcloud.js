@@ -1,55 +1,20 @@
 import axios from 'axios';
-import EventEmitter from 'events';
-import ImpulseGenerator from './impulsegenerator.js';
-import Functions from './functions.js';
+import MelCloudAccount from './melcloudaccount.js';
 import { ApiUrls } from './constants.js';
 
-class MelCloud extends EventEmitter {
+class MelCloud extends MelCloudAccount {
     constructor(account, accountFile, buildingsFile, pluginStart = false) {
-        super();
-        this.accountType = account.type;
-        this.user = account.user;
-        this.passwd = account.passwd;
-        this.language = account.language;
-        this.logWarn = account.log?.warn;
-        this.logError = account.log?.error;
-        this.logDebug = account.log?.debug;
-
-        this.accountFile = accountFile;
-        this.buildingsFile = buildingsFile;
-
-        this.client = null;
-        this.functions = new Functions(this.logWarn, this.logError, this.logDebug)
-            .on('warn', warn => this.emit('warn', warn))
-            .on('error', error => this.emit('error', error))
-            .on('debug', debug => this.emit('debug', debug));
-
-        if (pluginStart) {
-            //lock flags
-            this.locks = {
-                checkDevicesList: false
-            };
-            this.impulseGenerator = new ImpulseGenerator()
-                .on('checkDevicesList', () => this.handleWithLock('checkDevicesList', async () => {
-                    await this.checkDevicesList();
-                }))
-                .on('state', (state) => {
-                    this.emit(state ? 'success' : 'warn', `Impulse generator ${state ? 'started' : 'stopped'}`);
-                });
-        }
-    }
-
-    async handleWithLock(lockKey, fn) {
-        if (this.locks[lockKey]) return;
-
-        this.locks[lockKey] = true;
-        try {
-            await fn();
-        } catch (error) {
-            this.emit('error', `Inpulse generator error: ${error}`);
-        } finally {
-            this.locks[lockKey] = false;
-        }
+        super(account, accountFile, buildingsFile, pluginStart);
+        this.contextKey = null;
+        this.sessionHeader = 'X-MitsContextKey';
+        this.sessionName = 'Context key';
+
+        //targeted device refresh, limited by a per-account budget
+        this.deviceRefreshEnabled = account.deviceRefresh?.enable ?? false;
+        this.refreshBudget = account.deviceRefresh?.maxPerHour ?? 30;
+        this.refreshWindow = 3600000;
+        this.refreshDelay = 3000;
+        this.refreshTimestamps = [];
     }
 
     async checkDevicesList() {
@@ -97,33 +62,117 @@ class MelCloud extends EventEmitter {
                 devices.push(...allDevices);
             }
 
-            const devicesCount = devices.length;
-            if (devicesCount === 0) {
-                devicesList.Info = 'No devices found'
-                return devicesList;
+            return await this.publishDevicesList(devicesList, buildingsList, devices);
+        } catch (error) {
+            throw new Error(`Check devices list error: ${error.message}`);
+        }
+    }
+
+    takeRefreshBudget() {
+        const now = Date.now();
+        this.refreshTimestamps = this.refreshTimestamps.filter(timestamp => now - timestamp < this.refreshWindow);
+        if (this.refreshTimestamps.length >= this.refreshBudget) return false;
+
+        this.refreshTimestamps.push(now);
+        return true;
+    }
+
+    async refreshDevice(deviceId, buildingId) {
+        try {
+            if (!this.deviceRefreshEnabled || !this.client) return null;
+
+            if (!this.takeRefreshBudget()) {
+                if (this.logDebug) this.emit('debug', `Refresh budget of ${this.refreshBudget} per hour used, skipping device ${deviceId}`);
+                return null;
             }
 
-            devicesList.State = true;
-            devicesList.Info = `Found ${devicesCount} devices`;
-            devicesList.Buildings = buildingsList;
-            devicesList.Devices = devices;
+            //ask unit for a fresh report, then read only this device
+            await this.client(ApiUrls.Get.RefreshUnit.replace('deviceid', deviceId), { method: 'GET' });
+            await new Promise(resolve => setTimeout(resolve, this.refreshDelay));
+            const deviceState = await this.client(ApiUrls.Get.DeviceState.replace('DID', deviceId).replace('BID', buildingId), { method: 'GET' });
+            if (this.logDebug) this.emit('debug', `Device ${deviceId} refreshed: ${JSON.stringify(deviceState.data)}`);
+
+            return deviceState.data ?? null;
+        } catch (error) {
+            throw new Error(`Refresh device error: ${error.message}`);
+        }
+    }
+
+    async getEnergyReport(deviceId, fromDate, toDate) {
+        try {
+            if (!this.client) return null;
+
+            //single day returns hourly values, longer ranges daily values
+            const payload = { DeviceId: Number(deviceId), FromDate: fromDate, ToDate: toDate, UseCurrency: false };
+            const report = await this.client(ApiUrls.Post.EnergyCostReport, { method: 'POST', data: payload });
+            if (this.logDebug) this.emit('debug', `Device ${deviceId} energy report: ${JSON.stringify(report.data)}`);
+
+            return report.data ?? null;
+        } catch (error) {
+            throw new Error(`Energy report error: ${error.message}`);
+        }
+    }
+
+    getSession() {
+        return this.contextKey;
+    }
+
+    createClient(contextKey) {
+        return this.createSessionClient(ApiUrls.Base, {
+            'X-MitsContextKey': contextKey,
+            'Content-Type': 'application/json'
+        });
+    }
 
-            await this.functions.saveData(this.buildingsFile, devicesList);
-            if (this.logDebug) this.emit('debug', `Buildings list saved`);
+    async restoreSession() {
+        try {
+            const savedInfo = await this.functions.readData(this.accountFile, true);
+            const loginData = savedInfo?.Account?.LoginData;
+            const contextKey = loginData?.ContextKey;
+            if (!savedInfo?.State || savedInfo.User !== this.user || !contextKey) return null;
+
+            //skip keys expired or expiring within an hour
+            const expiry = Date.parse(loginData.Expiry);
+            if (!Number.isFinite(expiry) || expiry - Date.now() < 3600000) {
+                if (this.logDebug) this.emit('debug', `Saved session expired`);
+                return null;
+            }
 
-            this.emit('devicesList', devicesList);
+            //validate with a cheap request, outside of the re-authenticating client
+            await axios(ApiUrls.Get.UserDetails, {
+                method: 'GET',
+                baseURL: ApiUrls.Base,
+                timeout: 15000,
+                headers: {
+                    'X-MitsContextKey': contextKey,
+                    'Content-Type': 'application/json'
+                }
+            });
 
-            return devicesList;
+            return savedInfo;
         } catch (error) {
-            throw new Error(`Check devices list error: ${error.message}`);
+            if (this.logDebug) this.emit('debug', `Saved session rejected: ${error.message}`);
+            return null;
         }
     }
 
-    async connect() {
+    async connect(forceLogin = false) {
         if (this.logDebug) this.emit('debug', `Connecting to MELCloud`);
 
         try {
-            const accountInfo = { State: false, Info: '', Account: null, UseFahrenheit: false }
+            //reuse saved session to avoid a login on every restart
+            const savedInfo = forceLogin ? null : await this.restoreSession();
+            if (savedInfo) {
+                this.contextKey = savedInfo.Account.LoginData.ContextKey;
+                this.client = this.createClient(this.contextKey);
+                this.emit('client', this.client);
+                if (this.logDebug) this.emit('debug', `Saved session restored`);
+
+                savedInfo.Info = 'Connect Success, session restored';
+                return savedInfo;
+            }
+
+            const accountInfo = { State: false, Info: '', Account: null, UseFahrenheit: false, User: null }
 
             const payload = {
                 Email: this.user,
@@ -160,22 +209,15 @@ class MelCloud extends EventEmitter {
                 return accountInfo;
             }
 
-            const headers = {
-                'X-MitsContextKey': contextKey,
-                'Content-Type': 'application/json'
-            };
-
-            this.client = axios.create({
-                baseURL: ApiUrls.Base,
-                timeout: 30000,
-                headers: headers
-            });
+            this.contextKey = contextKey;
+            this.client = this.createClient(contextKey);
             this.emit('client', this.client);
 
             accountInfo.State = true;
             accountInfo.Info = 'Connect Success';
             accountInfo.UseFahrenheit = loginData.UseFahrenheit;
             accountInfo.Account = account;
+            accountInfo.User = this.user;
             await this.functions.saveData(this.accountFile, accountInfo);
 
             return accountInfo
@@ -0,0 +1,157 @@
+import axios from 'axios';
+import EventEmitter from 'events';
+import ImpulseGenerator from './impulsegenerator.js';
+import Functions from './functions.js';
+
+//shared by the MELCloud and MELCloud Home account clients: device list polling, cache, re-authentication
+class MelCloudAccount extends EventEmitter {
+    constructor(account, accountFile, buildingsFile, pluginStart = false) {
+        super();
+        this.accountType = account.type;
+        this.user = account.user;
+        this.passwd = account.passwd;
+        this.language = account.language;
+        this.logWarn = account.log?.warn;
+        this.logError = account.log?.error;
+        this.logDebug = account.log?.debug;
+
+        this.accountFile = accountFile;
+        this.buildingsFile = buildingsFile;
+        this.pluginStart = pluginStart;
+
+        this.client = null;
+        this.reconnectPromise = null;
+
+        //session sent with every request, set by the subclass
+        this.sessionHeader = null;
+        this.sessionName = 'Session';
+
+        this.functions = new Functions(this.logWarn, this.logError, this.logDebug)
+            .on('warn', warn => this.emit('warn', warn))
+            .on('error', error => this.emit('error', error))
+            .on('debug', debug => this.emit('debug', debug));
+
+        if (pluginStart) {
+            //lock flags
+            this.locks = {
+                checkDevicesList: false
+            };
+            this.impulseGenerator = new ImpulseGenerator()
+                .on('checkDevicesList', () => this.handleWithLock('checkDevicesList', async () => {
+                    await this.checkDevicesList();
+                }))
+                .on('state', (state) => {
+                    this.emit(state ? 'success' : 'warn', `Impulse generator ${state ? 'started' : 'stopped'}`);
+                });
+        }
+    }
+
+    async handleWithLock(lockKey, fn) {
+        if (this.locks[lockKey]) return;
+
+        this.locks[lockKey] = true;
+        try {
+            await fn();
+        } catch (error) {
+            this.emit('error', `Inpulse generator error: ${error}`);
+        } finally {
+            this.locks[lockKey] = false;
+        }
+    }
+
+    async publishDevicesList(devicesList, buildings, devices, readScenes = async () => []) {
+        const devicesCount = devices.length;
+        if (devicesCount === 0) {
+            devicesList.Info = 'No devices found'
+
+            //not emitted, an empty list is more likely a server glitch than an empty account
+            return devicesList;
+        }
+
+        devicesList.State = true;
+        devicesList.Info = `Found ${devicesCount} devices`;
+        devicesList.Buildings = buildings;
+        devicesList.Devices = devices;
+        devicesList.Scenes = await readScenes();
+
+        await this.functions.saveData(this.buildingsFile, devicesList);
+        if (this.logDebug) this.emit('debug', `Buildings list saved`);
+
+        this.emit('devicesList', devicesList);
+
+        return devicesList;
+    }
+
+    async readCache() {
+        try {
+            //last known account and devices list, used when cloud is unreachable on start
+            const devicesList = await this.functions.readData(this.buildingsFile, true);
+            if (!devicesList?.State || !Array.isArray(devicesList.Devices)) return null;
+
+            const accountInfo = await this.functions.readData(this.accountFile, true) ?? { UseFahrenheit: false };
+            devicesList.Info = `Loaded ${devicesList.Devices.length} devices from cache`;
+
+            return { accountInfo, devicesList };
+        } catch (error) {
+            throw new Error(`Read cache error: ${error.message}`);
+        }
+    }
+
+    isAuthError(error) {
+        return error.response?.status === 401;
+    }
+
+    /**
+     * Current value of the session header, compared with the one a rejected request was sent with
+     */
+    getSession() {
+        return null;
+    }
+
+    async reconnect() {
+        //single flight, concurrent auth failures share one login
+        if (!this.reconnectPromise) {
+            this.emit('warn', `${this.sessionName} rejected, logging in again`);
+            this.reconnectPromise = this.connect(true)
+                .then((accountInfo) => {
+                    if (!accountInfo.State) throw new Error(accountInfo.Info);
+                    return accountInfo;
+                })
+                .finally(() => {
+                    this.reconnectPromise = null;
+                });
+        }
+
+        return this.reconnectPromise;
+    }
+
+    createSessionClient(baseURL, headers) {
+        const client = axios.create({
+            baseURL: baseURL,
+            timeout: 30000,
+            headers: headers
+        });
+
+        client.interceptors.response.use(response => response, async (error) => {
+            const config = error.config;
+            if (!config || config.reauthenticated || !this.isAuthError(error)) throw error;
+
+            try {
+                //skip login when another request already renewed the session
+                if (config.headers.get(this.sessionHeader) === this.getSession()) await this.reconnect();
+            } catch (reconnectError) {
+                throw new Error(`Re-authentication error: ${reconnectError.message}`);
+            }
+
+            //replay failed request with the new session
+            config.reauthenticated = true;
+            config.headers.set(this.sessionHeader, this.getSession());
+            if (this.logDebug) this.emit('debug', `Replaying request: ${config.url}`);
+            return this.client(config);
+        });
+
+        return client;
+    }
+}
+
+export default MelCloudAccount;
@@ -1,135 +1,154 @@
-import EventEmitter from 'events';
-import Functions from './functions.js';
+import MelCloudDevice from './melclouddevice.js';
 import { ApiUrls, AirConditioner } from './constants.js';
 
-class MelCloudAta extends EventEmitter {
+//classic holiday mode api takes date parts instead of a timestamp
+const holidayDate = (date) => {
+    const parsed = new Date(date);
+    return { Year: parsed.getFullYear(), Month: parsed.getMonth() + 1, Day: parsed.getDate(), Hour: parsed.getHours(), Minute: parsed.getMinutes(), Second: 0 };
+};
+
+class MelCloudAta extends MelCloudDevice {
     constructor(account, device, defaultTempsFile, accountFile, melcloud) {
-        super();
-        this.accountType = account.type;
-        this.logSuccess = account.log?.success;
-        this.logWarn = account.log?.warn;
-        this.logError = account.log?.error;
-        this.logDebug = account.log?.debug;
+        super(account, device, accountFile, melcloud);
         this.restFulEnabled = account.restFul?.enable;
         this.mqttEnabled = account.mqtt?.enable;
-        this.deviceId = device.id;
         this.defaultTempsFile = defaultTempsFile;
-        this.accountFile = accountFile;
-
-        this.functions = new Functions(this.logWarn, this.logError, this.logDebug)
-            .on('warn', warn => this.emit('warn', warn))
-            .on('error', error => this.emit('error', error))
-            .on('debug', debug => this.emit('debug', debug));
-
-        //set default values
-        this.deviceData = {};
-        this.client = melcloud.client;
         this.lock = false;
 
-        //handle melcloud events
+        //command verification, sent values are checked against following polls
+        this.commandRetries = 2;
+        this.sentCommand = null;
+    }
+
+    createListeners() {
+        //list data of the device, updated in place by web socket messages
         let deviceData = null;
-        melcloud.on('client', (client) => {
-            this.client = client;
-        }).on('devicesList', async (devicesData) => {
-            try {
-                deviceData = devicesData.Devices.find(device => device.DeviceID === this.deviceId);
-                if (!deviceData) return;
-                deviceData.Scenes = devicesData.Scenes ?? [];
-
-                //update state
-                if (this.logDebug) this.emit('debug', `Request update settings: ${JSON.stringify(deviceData.Device)}`);
-                await this.updateState('request', deviceData);
-            } catch (error) {
-                if (this.logError) this.emit('error', `Request process message error: ${error}`);
-            }
-        }).on('webSocket', async (parsedMessage) => {
-            try {
-                const messageData = parsedMessage?.[0]?.Data;
-                if (!messageData || !deviceData) return;
-
-                let updateState = false;
-                const unitId = messageData?.id;
-                switch (unitId) {
-                    case this.deviceId:
-                        const messageType = parsedMessage[0].messageType;
-                        const settings = this.functions.parseArrayNameValue(messageData.settings);
-                        switch (messageType) {
-                            case 'unitStateChanged':
-
-                                //update values
-                                for (const [key, value] of Object.entries(settings)) {
-                                    if (!this.functions.isValidValue(value)) continue;
-
-                                    //update holiday mode
-                                    if (key === 'HolidayMode') {
-                                        deviceData.HolidayMode.Enabled = value;
-                                        continue;
-                                    }
+        return {
+            ...super.createListeners(),
+            devicesList: async (devicesData) => {
+                try {
+                    deviceData = devicesData.Devices.find(device => device.DeviceID === this.deviceId);
+                    if (!deviceData) return;
+                    deviceData.Scenes = devicesData.Scenes ?? [];
+
+                    //list data can be minutes old, ask the unit before state is evaluated
+                    const refreshed = await this.refreshState(deviceData);
+                    if (refreshed) deviceData = refreshed;
+
+                    //update state
+                    if (this.logDebug) this.emit('debug', `Request update settings: ${JSON.stringify(deviceData.Device)}`);
+                    await this.updateState('request', deviceData);
+                } catch (error) {
+                    if (this.logError) this.emit('error', `Request process message error: ${error}`);
+                }
+            },
+            webSocket: async (parsedMessage) => {
+                try {
+                    const messageData = parsedMessage?.[0]?.Data;
+                    if (!messageData || !deviceData) return;
+
+                    //scenes span several units, matched by scene id
+                    const scene = deviceData.Scenes?.find(scene => scene.Id === messageData.id);
+                    if (scene && parsedMessage[0].messageType === 'sceneStateChanged') {
+                        scene.Enabled = messageData.enabled;
+                        this.emit('deviceState', deviceData);
+                        return;
+                    }
 
-                                    //update device settings
-                                    if (key in deviceData.Device) {
-                                        deviceData.Device[key] = value;
+                    let updateState = false;
+                    const unitId = messageData?.id;
+                    switch (unitId) {
+                        case this.deviceId:
+                            const messageType = parsedMessage[0].messageType;
+                            const settings = this.functions.parseArrayNameValue(messageData.settings);
+                            switch (messageType) {
+                                case 'unitStateChanged':
+
+                                    //update values
+                                    for (const [key, value] of Object.entries(settings)) {
+                                        if (!this.functions.isValidValue(value)) continue;
+
+                                        //update holiday mode
+                                        if (key === 'HolidayMode') {
+                                            deviceData.HolidayMode.Enabled = value;
+                                            continue;
+                                        }
+
+                                        //update device settings
+                                        if (key in deviceData.Device) {
+                                            deviceData.Device[key] = value;
+                                        }
                                     }
-                                }
 
-                                updateState = true;
-                                break;
-                            case 'ataUnitFrostProtectionTriggered':
-                                deviceData.FrostProtection.Active = messageData.active;
+                                    updateState = true;
+                                    break;
+                                case 'ataUnitFrostProtectionTriggered':
+                                    deviceData.FrostProtection.Active = messageData.active;
 
-                                //update device settings
-                                for (const [key, value] of Object.entries(settings)) {
-                                    if (!this.functions.isValidValue(value) || key === 'SetTemperature') continue;
+                                    //update device settings
+                                    for (const [key, value] of Object.entries(settings)) {
+                                        if (!this.functions.isValidValue(value) || key === 'SetTemperature') continue;
 
-                                    if (key in deviceData.Device) {
-                                        deviceData.Device[key] = value;
+                                        if (key in deviceData.Device) {
+                                            deviceData.Device[key] = value;
+                                        }
                                     }
-                                }
 
-                                updateState = true;
-                                break;
-                            case 'ataUnitOverheatProtectionTriggered':
-                                deviceData.OverheatProtection.Active = messageData.active;
+                                    updateState = true;
+                                    break;
+                                case 'ataUnitOverheatProtectionTriggered':
+                                    deviceData.OverheatProtection.Active = messageData.active;
 
-                                //update device settings
-                                for (const [key, value] of Object.entries(settings)) {
-                                    if (!this.functions.isValidValue(value) || key === 'SetTemperature') continue;
+                                    //update device settings
+                                    for (const [key, value] of Object.entries(settings)) {
+                                        if (!this.functions.isValidValue(value) || key === 'SetTemperature') continue;
 
-                                    if (key in deviceData.Device) {
-                                        deviceData.Device[key] = value;
+                                        if (key in deviceData.Device) {
+                                            deviceData.Device[key] = value;
+                                        }
                                     }
-                                }
 
-                                updateState = true;
-                                break;
-                            case 'unitHolidayModeTriggered':
-                                deviceData.Device.Power = settings.Power;
-                                deviceData.HolidayMode.Enabled = settings.HolidayMode;
-                                deviceData.HolidayMode.Active = messageData.active;
-                                updateState = true;
-                                break;
-                            case 'unitWifiSignalChanged':
-                                deviceData.Rssi = messageData.rssi;
-                                updateState = true;
-                                break;
-                            case 'unitCommunicationRestored':
-                                deviceData.Device.IsConnected = true;
-                                break;
-                            default:
-                                if (this.logDebug) this.emit('debug', `Unit ${unitId}, received unknown message type: ${parsedMessage}`);
-                                return;
-                        }
-                        break;
-                    default:
-                        return;
-                }
+                                    updateState = true;
+                                    break;
+                                case 'unitHolidayModeTriggered':
+                                    deviceData.Device.Power = settings.Power;
+                                    deviceData.HolidayMode.Enabled = settings.HolidayMode;
+                                    deviceData.HolidayMode.Active = messageData.active;
+                                    updateState = true;
+                                    break;
+                                case 'unitWifiSignalChanged':
+                                    deviceData.Rssi = messageData.rssi;
+                                    updateState = true;
+                                    break;
+                                case 'unitCommunicationRestored':
+                                    deviceData.Device.IsConnected = true;
+                                    updateState = true;
+                                    break;
+                                case 'unitCommunicationLost':
+                                    deviceData.Device.IsConnected = false;
+                                    updateState = true;
+                                    break;
+                                default:
+                                    if (this.logDebug) this.emit('debug', `Unit ${unitId}, received unknown message type: ${parsedMessage}`);
+                                    return;
+                            }
+                            break;
+                        default:
+                            return;
+                    }
 
-                //update state
-                if (updateState) await this.updateState('ws', deviceData);
-            } catch (error) {
-                if (this.logError) this.emit('error', `Web socket process message error: ${error}`);
+                    //update state
+                    if (updateState) await this.updateState('ws', deviceData);
+                } catch (error) {
+                    if (this.logError) this.emit('error', `Web socket process message error: ${error}`);
+                }
             }
-        });
+        };
+    }
+
+    destroy() {
+        super.destroy();
+        this.sentCommand = null;
     }
 
     async updateState(type, deviceData) {
@@ -155,26 +174,8 @@ class MelCloudAta extends EventEmitter {
             }
             if (this.logDebug) this.emit('debug', `Device Data: ${JSON.stringify(deviceData)}`);
 
-            //device
-            const serialNumber = deviceData.SerialNumber || '4.0.0';
-            const firmwareAppVersion = deviceData.Device?.FirmwareAppVersion || '4.0.0';
-
-            //units
-            const units = Array.isArray(deviceData.Device?.Units) ? deviceData.Device?.Units : [];
-            const unitsCount = units.length;
-
-            const { indoor, outdoor } = units.reduce((acc, unit) => {
-                const target = unit.IsIndoor ? 'indoor' : 'outdoor';
-                acc[target] = {
-                    id: unit.ID,
-                    device: unit.Device,
-                    serialNumber: unit.SerialNumber ?? 'Undefined',
-                    modelNumber: unit.ModelNumber ?? 0,
-                    model: unit.Model ?? false,
-                    type: unit.UnitType ?? 0
-                };
-                return acc;
-            }, { indoor: {}, outdoor: {} });
+            //verify last sent command
+            await this.verifyCommand(type, deviceData);
 
             //filter info
             const { Device: _ignored, ...info } = deviceData;
@@ -191,36 +192,120 @@ class MelCloudAta extends EventEmitter {
                 this.emit('mqtt', 'State', deviceData.Device);
             }
 
-            //check state changes
-            const deviceDataNotChanged = JSON.stringify(deviceData) === JSON.stringify(this.deviceData);
-            if (deviceDataNotChanged) return;
-            this.deviceData = deviceData;
-
-            //emit info
-            this.emit('deviceInfo', indoor.model, outdoor.model, serialNumber, firmwareAppVersion);
-
-            //emit state
-            this.emit('deviceState', deviceData);
-
-            return true;
+            return this.emitState(deviceData);
         } catch (error) {
             throw new Error(`Update state error: ${error.message}`);
         };
     }
 
-    async checkState(devicesData) {
+    async send(accountType, displayType, deviceData, flag, flagData) {
+        //only device commands carry effective flags, everything else goes out immediately
+        if (typeof flag !== 'number') return await this.sendData(accountType, displayType, deviceData, flag, flagData);
+        return await this.queueCommand(deviceData, flag, { accountType, displayType });
+    }
+
+    async sendCommand(command) {
+        const result = await this.sendData(command.accountType, command.displayType, command.deviceData, command.flags);
+        this.trackCommand(command);
+        this.refreshAfterCommand();
+        return result;
+    }
+
+    async refreshState(deviceData = this.deviceData) {
         try {
-            const deviceData = devicesData.Devices.find(device => device.DeviceID === this.deviceId);
-            deviceData.Scenes = devicesData.Scenes ?? [];
-            await this.updateState('request', deviceData);
+            if (this.accountType !== 'melcloud' || !this.melcloud.deviceRefreshEnabled || !deviceData?.Device) return null;
+
+            const deviceState = await this.melcloud.refreshDevice(this.deviceId, deviceData.BuildingID);
+            if (!deviceState) return null;
 
-            return true;
+            //overlay fresh values on known device settings
+            const refreshed = structuredClone(deviceData);
+            for (const [key, value] of Object.entries(deviceState)) {
+                if (!this.functions.isValidValue(value)) continue;
+
+                if (key in refreshed.Device) {
+                    refreshed.Device[key] = value;
+                }
+            }
+
+            return refreshed;
         } catch (error) {
-            throw new Error(`Chaeck state error: ${error.message}`);
+            if (this.logWarn) this.emit('warn', `Refresh state error: ${error.message}`);
+            return null;
+        }
+    }
+
+    refreshAfterCommand() {
+        if (this.accountType !== 'melcloud' || !this.melcloud.deviceRefreshEnabled) return;
+
+        //runs in background, callers do not wait for the unit report
+        this.refreshState().then(async (refreshed) => {
+            if (!refreshed || refreshed.Device.HasPendingCommand) return;
+            await this.updateState('request', refreshed);
+        }).catch(error => {
+            if (this.logWarn) this.emit('warn', `Refresh after command error: ${error.message}`);
+        });
+    }
+
+    trackCommand(command) {
+        const { Power, OperationMode, SetTemperature } = AirConditioner.EffectiveFlags;
+        const device = command.deviceData.Device;
+        const expected = {};
+        if (command.flags & Power) expected.Power = device.Power;
+        if (command.flags & OperationMode) expected.OperationMode = device.OperationMode;
+        if (command.flags & SetTemperature) expected.SetTemperature = device.SetTemperature;
+        if (Object.keys(expected).length === 0) return;
+
+        //newer command supersedes values of a still unconfirmed one
+        const previous = this.sentCommand;
+        this.sentCommand = {
+            accountType: command.accountType,
+            displayType: command.displayType,
+            flags: (previous?.flags ?? 0) | command.flags,
+            expected: { ...previous?.expected, ...expected },
+            attempts: 0
         };
     }
 
-    async send(accountType, displayType, deviceData, flag, flagData) {
+    async verifyCommand(type, deviceData) {
+        const command = this.sentCommand;
+        if (!command || !deviceData?.Device) return;
+
+        const mismatched = Object.keys(command.expected).filter(key => {
+            const expected = command.expected[key];
+            const actual = deviceData.Device[key];
+            return key === 'SetTemperature' ? Math.abs(actual - expected) >= 0.1 || !Number.isFinite(actual) : actual !== expected;
+        });
+
+        if (mismatched.length === 0) {
+            this.sentCommand = null;
+            if (this.logDebug) this.emit('debug', `Command confirmed, flags: ${command.flags}`);
+            return;
+        }
+
+        //only polls count as attempts, skip while cloud still holds the command
+        if (type !== 'request' || deviceData.Device.HasPendingCommand) return;
+
+        if (command.attempts >= this.commandRetries) {
+            this.sentCommand = null;
+            const actual = Object.fromEntries(mismatched.map(key => [key, deviceData.Device[key]]));
+            this.emit('commandFailed', { flags: command.flags, expected: command.expected, actual: actual, attempts: command.attempts, deviceData: deviceData });
+            return;
+        }
+
+        command.attempts++;
+        if (this.logWarn) this.emit('warn', `Command not applied (${mismatched.join(', ')}), retry ${command.attempts}/${this.commandRetries}`);
+
+        try {
+            const retryData = structuredClone(deviceData);
+            Object.assign(retryData.Device, command.expected);
+            await this.sendData(command.accountType, command.displayType, retryData, command.flags);
+        } catch (error) {
+            if (this.logWarn) this.emit('warn', `Command retry error: ${error.message}`);
+        }
+    }
+
+    async sendData(accountType, displayType, deviceData, flag, flagData) {
         try {
             let method = null
             let payload = {};
@@ -235,6 +320,16 @@ class MelCloudAta extends EventEmitter {
                             path = ApiUrls.Post.UpdateApplicationOptions;
                             await this.functions.saveData(this.accountFile, flagData);
                             break;
+                        case 'holidaymode':
+                            payload = {
+                                Enabled: deviceData.HolidayMode.Enabled,
+                                StartDate: holidayDate(deviceData.HolidayMode.StartDate),
+                                EndDate: holidayDate(deviceData.HolidayMode.EndDate),
+                                HMTimeZones: [{ Buildings: null, Floors: null, Areas: null, Devices: [Number(deviceData.DeviceID)] }],
+                                SkipPage1: true
+                            };
+                            path = ApiUrls.Post.HolidayMode;
+                            break;
                         default:
                             if (displayType === 1 && deviceData.Device.OperationMode === 8) {
                                 deviceData.Device.SetTemperature = (deviceData.Device.DefaultCoolingSetTemperature + deviceData.Device.DefaultHeatingSetTemperature) / 2;
@@ -268,7 +363,7 @@ class MelCloudAta extends EventEmitter {
 
                     if (update) {
                         setTimeout(() => {
-                            this.emit('deviceState', deviceData);
+                            this.emit('deviceState', deviceData, 'echo');
                         }, 500);
                     }
                     return true;
@@ -309,7 +404,7 @@ class MelCloudAta extends EventEmitter {
                         case 'schedule':
                             payload = { enabled: deviceData.ScheduleEnabled };
                             method = 'PUT';
-                            path = ApiUrls.Home.Put.ScheduleEnableDisable.Home.replace('deviceid', deviceData.DeviceID);
+                            path = ApiUrls.Home.Put.ScheduleEnableDisable.replace('deviceid', deviceData.DeviceID);
                             update = true;
                             break;
                         case 'scene':
@@ -350,7 +445,7 @@ class MelCloudAta extends EventEmitter {
 
                     if (update) {
                         setTimeout(() => {
-                            this.emit('deviceState', deviceData);
+                            this.emit('deviceState', deviceData, 'echo');
                         }, 500);
                     }
                     return true;
@@ -0,0 +1,39 @@
+import MelCloudDevice from './melclouddevice.js';
+import { ApiUrls } from './constants.js';
+
+class MelCloudAtw extends MelCloudDevice {
+    mergeFlags(flags, flag) {
+        //zone temperature flags exceed 32 bits, plain bitwise or would truncate them
+        return Number(BigInt(flags) | BigInt(flag));
+    }
+
+    async sendData(deviceData, flag) {
+        try {
+            if (this.accountType !== 'melcloud') return;
+
+            deviceData.Device.EffectiveFlags = flag;
+            const payload = {
+                DeviceID: deviceData.Device.DeviceID,
+                EffectiveFlags: deviceData.Device.EffectiveFlags,
+                Power: deviceData.Device.Power,
+                SetTemperatureZone1: deviceData.Device.SetTemperatureZone1,
+                SetTemperatureZone2: deviceData.Device.SetTemperatureZone2,
+                OperationModeZone1: deviceData.Device.OperationModeZone1,
+                OperationModeZone2: deviceData.Device.OperationModeZone2,
+                SetTankWaterTemperature: deviceData.Device.SetTankWaterTemperature,
+                ForcedHotWaterMode: deviceData.Device.ForcedHotWaterMode,
+                EcoHotWater: deviceData.Device.EcoHotWater,
+                ProhibitZone1: deviceData.Device.ProhibitZone1,
+                ProhibitZone2: deviceData.Device.ProhibitZone2,
+                ProhibitHotWater: deviceData.Device.ProhibitHotWater,
+                HasPendingCommand: true
+            };
+
+            return await this.postData(ApiUrls.Post.Atw, deviceData, payload);
+        } catch (error) {
+            throw new Error(`Send data error: ${error.message}`);
+        }
+    }
+}
+
+export default MelCloudAtw;
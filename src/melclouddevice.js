@@ -0,0 +1,179 @@
+import EventEmitter from 'events';
+import Functions from './functions.js';
+
+//shared by the ATA, ATW and ERV device clients: account client listeners, state polling and the command queue
+class MelCloudDevice extends EventEmitter {
+    constructor(account, device, accountFile, melcloud) {
+        super();
+        this.accountType = account.type;
+        this.logSuccess = account.log?.success;
+        this.logWarn = account.log?.warn;
+        this.logError = account.log?.error;
+        this.logDebug = account.log?.debug;
+        this.deviceId = device.id;
+        this.accountFile = accountFile;
+
+        this.functions = new Functions(this.logWarn, this.logError, this.logDebug)
+            .on('warn', warn => this.emit('warn', warn))
+            .on('error', error => this.emit('error', error))
+            .on('debug', debug => this.emit('debug', debug));
+
+        //set default values
+        this.deviceData = {};
+        this.melcloud = melcloud;
+        this.client = melcloud.client;
+
+        //command queue, flags sent within the debounce window are merged into one request
+        this.commandDebounce = 250;
+        this.pendingCommand = null;
+        this.commandChain = Promise.resolve();
+
+        //handle melcloud events, listeners are kept to detach on destroy
+        this.melcloudListeners = this.createListeners();
+        for (const [event, listener] of Object.entries(this.melcloudListeners)) melcloud.on(event, listener);
+    }
+
+    createListeners() {
+        return {
+            client: (client) => {
+                this.client = client;
+            },
+            devicesList: async (devicesData) => {
+                try {
+                    const deviceData = devicesData.Devices.find(device => device.DeviceID === this.deviceId);
+                    if (!deviceData) return;
+                    deviceData.Scenes = devicesData.Scenes ?? [];
+
+                    //update state
+                    if (this.logDebug) this.emit('debug', `Request update settings: ${JSON.stringify(deviceData.Device)}`);
+                    await this.updateState('request', deviceData);
+                } catch (error) {
+                    if (this.logError) this.emit('error', `Request process message error: ${error}`);
+                }
+            }
+        };
+    }
+
+    destroy() {
+        for (const [event, listener] of Object.entries(this.melcloudListeners)) this.melcloud.off(event, listener);
+    }
+
+    async updateState(type, deviceData) {
+        try {
+            if (this.logDebug) this.emit('debug', `Device Data: ${JSON.stringify(deviceData)}`);
+            return this.emitState(deviceData);
+        } catch (error) {
+            throw new Error(`Update state error: ${error.message}`);
+        };
+    }
+
+    /**
+     * Emit device info and state when the device data changed
+     * @returns {boolean|undefined} True when emitted
+     */
+    emitState(deviceData) {
+        //device
+        const serialNumber = deviceData.SerialNumber || '4.0.0';
+        const firmwareAppVersion = deviceData.Device?.FirmwareAppVersion || '4.0.0';
+
+        //units
+        const units = Array.isArray(deviceData.Device?.Units) ? deviceData.Device?.Units : [];
+        const { indoor, outdoor } = units.reduce((acc, unit) => {
+            const target = unit.IsIndoor ? 'indoor' : 'outdoor';
+            acc[target] = {
+                id: unit.ID,
+                serialNumber: unit.SerialNumber ?? 'Undefined',
+                model: unit.Model ?? false
+            };
+            return acc;
+        }, { indoor: {}, outdoor: {} });
+
+        //check state changes
+        const deviceDataNotChanged = JSON.stringify(deviceData) === JSON.stringify(this.deviceData);
+        if (deviceDataNotChanged) return;
+        this.deviceData = deviceData;
+
+        //emit info
+        this.emit('deviceInfo', indoor.model, outdoor.model, serialNumber, firmwareAppVersion);
+
+        //emit state
+        this.emit('deviceState', deviceData);
+
+        return true;
+    }
+
+    async checkState(devicesData) {
+        try {
+            const deviceData = devicesData.Devices.find(device => device.DeviceID === this.deviceId);
+            deviceData.Scenes = devicesData.Scenes ?? [];
+            await this.updateState('request', deviceData);
+
+            return true;
+        } catch (error) {
+            throw new Error(`Check state error: ${error.message}`);
+        };
+    }
+
+    mergeFlags(flags, flag) {
+        return flags | flag;
+    }
+
+    send(deviceData, flag) {
+        return this.queueCommand(deviceData, flag);
+    }
+
+    /**
+     * Queue a device command, resolves with the merged request
+     * @param {Object} context - Extra values kept with the merged command, latest wins
+     */
+    queueCommand(deviceData, flag, context = {}) {
+        return new Promise((resolve, reject) => {
+            if (!this.pendingCommand) {
+                this.pendingCommand = { flags: 0, waiters: [] };
+                setTimeout(() => this.flushCommand(), this.commandDebounce);
+            }
+
+            //latest device data wins, flags accumulate
+            const command = Object.assign(this.pendingCommand, context);
+            command.deviceData = deviceData;
+            command.flags = this.mergeFlags(command.flags, flag);
+            command.waiters.push({ resolve, reject });
+        });
+    }
+
+    flushCommand() {
+        const command = this.pendingCommand;
+        this.pendingCommand = null;
+
+        //keep commands in order, next batch waits for the previous request
+        this.commandChain = this.commandChain.then(async () => {
+            if (this.logDebug && command.waiters.length > 1) this.emit('debug', `Merged ${command.waiters.length} commands, flags: ${command.flags}`);
+
+            try {
+                const result = await this.sendCommand(command);
+                command.waiters.forEach(waiter => waiter.resolve(result));
+            } catch (error) {
+                command.waiters.forEach(waiter => waiter.reject(error));
+            }
+        });
+    }
+
+    async sendCommand(command) {
+        return await this.sendData(command.deviceData, command.flags);
+    }
+
+    /**
+     * Post the device payload to MELCloud and emit the sent state, marked as 'echo'
+     */
+    async postData(path, deviceData, payload) {
+        if (this.logDebug) this.emit('debug', `Send data: ${JSON.stringify(payload)}`);
+        await this.client(path, { method: 'POST', data: payload });
+
+        setTimeout(() => {
+            this.emit('deviceState', deviceData, 'echo');
+        }, 500);
+        return true;
+    }
+}
+
+export default MelCloudDevice;
@@ -0,0 +1,32 @@
+import MelCloudDevice from './melclouddevice.js';
+import { ApiUrls } from './constants.js';
+
+class MelCloudErv extends MelCloudDevice {
+    async sendData(deviceData, flag) {
+        try {
+            if (this.accountType !== 'melcloud') return;
+
+            deviceData.Device.EffectiveFlags = flag;
+            const payload = {
+                DeviceID: deviceData.Device.DeviceID,
+                EffectiveFlags: deviceData.Device.EffectiveFlags,
+                Power: deviceData.Device.Power,
+                SetFanSpeed: deviceData.Device.SetFanSpeed,
+                OperationMode: deviceData.Device.OperationMode,
+                VentilationMode: deviceData.Device.VentilationMode,
+                DefaultCoolingSetTemperature: deviceData.Device.DefaultCoolingSetTemperature,
+                DefaultHeatingSetTemperature: deviceData.Device.DefaultHeatingSetTemperature,
+                HideRoomTemperature: deviceData.HideRoomTemperature,
+                HideSupplyTemperature: deviceData.HideSupplyTemperature,
+                HideOutdoorTemperature: deviceData.HideOutdoorTemperature,
+                HasPendingCommand: true
+            };
+
+            return await this.postData(ApiUrls.Post.Erv, deviceData, payload);
+        } catch (error) {
+            throw new Error(`Send data error: ${error.message}`);
+        }
+    }
+}
+
+export default MelCloudErv;
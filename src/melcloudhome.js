@@ -0,0 +1,379 @@
+import WebSocket from 'ws';
+import puppeteer from 'puppeteer';
+import MelCloudAccount from './melcloudaccount.js';
+import { ApiUrls, LanguageLocaleMap } from './constants.js';
+
+class MelCloudHome extends MelCloudAccount {
+    constructor(account, accountFile, buildingsFile, pluginStart = false) {
+        super(account, accountFile, buildingsFile, pluginStart);
+        this.headers = null;
+        this.sessionHeader = 'Cookie';
+        this.webSocketHash = null;
+        this.webSocket = null;
+        this.webSocketMinReconnectDelay = 5000;
+        this.webSocketReconnectDelay = this.webSocketMinReconnectDelay;
+        this.webSocketReconnectTimeout = null;
+    }
+
+    capitalizeKeys(data) {
+        return Object.fromEntries(Object.entries(data ?? {}).map(([key, value]) => [key.charAt(0).toUpperCase() + key.slice(1), value]));
+    }
+
+    parseProtection(protection) {
+        return {
+            Enabled: protection?.enabled ?? false,
+            Min: protection?.min ?? null,
+            Max: protection?.max ?? null,
+            Active: protection?.active ?? false
+        };
+    }
+
+    parseDevices(context) {
+        const buildings = [...(context?.buildings ?? []), ...(context?.guestBuildings ?? [])];
+
+        const devices = [];
+        for (const building of buildings) {
+            for (const unit of building.airToAirUnits ?? []) {
+                devices.push({
+                    Type: 0,
+                    DeviceID: String(unit.id),
+                    DeviceName: unit.givenDisplayName,
+                    BuildingID: building.id,
+                    SerialNumber: unit.connectedInterfaceIdentifier ?? unit.macAddress,
+                    Rssi: unit.rssi,
+                    ScheduleEnabled: unit.scheduleEnabled ?? false,
+                    Schedule: (unit.schedule ?? []).map(entry => this.capitalizeKeys(entry)),
+                    HolidayMode: {
+                        Enabled: unit.holidayMode?.enabled ?? false,
+                        StartDate: unit.holidayMode?.startDate ?? null,
+                        EndDate: unit.holidayMode?.endDate ?? null,
+                        Active: unit.holidayMode?.active ?? false
+                    },
+                    FrostProtection: this.parseProtection(unit.frostProtection),
+                    OverheatProtection: this.parseProtection(unit.overheatProtection),
+                    Device: {
+                        ...this.capitalizeKeys(unit.capabilities),
+                        ...this.functions.parseArrayNameValue(unit.settings),
+                        DeviceID: String(unit.id),
+                        IsConnected: unit.isConnected ?? true,
+                        IsInError: unit.isInError ?? false
+                    }
+                });
+            }
+        }
+
+        return { buildings, devices };
+    }
+
+    parseScenes(scenes) {
+        //unit settings are nested, capitalize the levels read by the plugin
+        return (scenes ?? []).map(scene => ({
+            ...this.capitalizeKeys(scene),
+            AtaSceneSettings: (scene.ataSceneSettings ?? []).map(setting => this.capitalizeKeys(setting)),
+            AtwSceneSettings: (scene.atwSceneSettings ?? []).map(setting => this.capitalizeKeys(setting))
+        }));
+    }
+
+    async checkScenes() {
+        try {
+            const scenesData = await this.client(ApiUrls.Home.Get.Scenes, { method: 'GET' });
+            if (this.logDebug) this.emit('debug', `Scenes: ${JSON.stringify(scenesData.data)}`);
+            return this.parseScenes(scenesData.data);
+        } catch (error) {
+            //devices stay usable without scenes
+            if (this.logWarn) this.emit('warn', `Check scenes error: ${error.message}`);
+            return [];
+        }
+    }
+
+    async createScene({ name, icon = 'AwayIcon', unitIds = [], settings = {} }) {
+        try {
+            //same settings for every unit, fan and vanes left on auto
+            const ataSettings = {
+                power: settings.power ?? true,
+                operationMode: settings.operationMode ?? 'heat',
+                setFanSpeed: 'auto',
+                vaneHorizontalDirection: 'auto',
+                vaneVerticalDirection: 'auto',
+                setTemperature: settings.setTemperature ?? 21,
+                temperatureIncrementOverride: null,
+                inStandbyMode: null
+            };
+            const payload = {
+                name,
+                enabled: false,
+                icon,
+                ataSceneSettings: unitIds.map(unitId => ({ unitId, ataSettings, previousSettings: null })),
+                atwSceneSettings: []
+            };
+            const sceneData = await this.client(ApiUrls.Home.Post.Scene, { method: 'POST', data: payload });
+            return sceneData.data;
+        } catch (error) {
+            throw new Error(`Create scene error: ${error.message}`);
+        }
+    }
+
+    async deleteScene(sceneId) {
+        try {
+            await this.client(ApiUrls.Home.Delete.Scene.replace('sceneid', sceneId), { method: 'DELETE' });
+            return true;
+        } catch (error) {
+            throw new Error(`Delete scene error: ${error.message}`);
+        }
+    }
+
+    async saveSchedule(deviceId, entry) {
+        try {
+            //same request creates and updates, entry is matched by id
+            const payload = {
+                id: entry.Id,
+                days: entry.Days,
+                time: entry.Time,
+                enabled: entry.Enabled,
+                power: entry.Power,
+                operationMode: entry.OperationMode,
+                setPoint: entry.SetPoint,
+                vaneVerticalDirection: entry.VaneVerticalDirection,
+                vaneHorizontalDirection: entry.VaneHorizontalDirection,
+                setFanSpeed: entry.SetFanSpeed
+            };
+            if (this.logDebug) this.emit('debug', `Save schedule: ${JSON.stringify(payload)}`);
+            await this.client(ApiUrls.Home.Post.Schedule.replace('deviceid', deviceId), { method: 'POST', data: payload });
+            return true;
+        } catch (error) {
+            throw new Error(`Save schedule error: ${error.message}`);
+        }
+    }
+
+    async deleteSchedule(deviceId, scheduleId) {
+        try {
+            await this.client(ApiUrls.Home.Delete.Schedule.replace('deviceid', deviceId).replace('scheduleid', scheduleId), { method: 'DELETE' });
+            return true;
+        } catch (error) {
+            throw new Error(`Delete schedule error: ${error.message}`);
+        }
+    }
+
+    async setScheduleEnabled(deviceId, enabled) {
+        try {
+            await this.client(ApiUrls.Home.Put.ScheduleEnableDisable.replace('deviceid', deviceId), { method: 'PUT', data: { enabled } });
+            return true;
+        } catch (error) {
+            throw new Error(`Set schedule enabled error: ${error.message}`);
+        }
+    }
+
+    async checkDevicesList() {
+        try {
+            const devicesList = { State: false, Info: null, Buildings: [], Devices: [], Scenes: [] }
+            if (this.logDebug) this.emit('debug', `Scanning for devices...`);
+            const contextData = await this.client(ApiUrls.Home.Get.ListDevices, { method: 'GET' });
+
+            if (!contextData || !contextData.data) {
+                devicesList.Info = 'Invalid or empty response from MELCloud Home API'
+                return devicesList;
+            }
+
+            const { buildings, devices } = this.parseDevices(contextData.data);
+            if (this.logDebug) this.emit('debug', `Buildings: ${JSON.stringify(buildings)}`);
+
+            if (buildings.length === 0) {
+                devicesList.Info = 'No building found'
+                return devicesList;
+            }
+
+            return await this.publishDevicesList(devicesList, buildings, devices, () => this.checkScenes());
+        } catch (error) {
+            throw new Error(`Check devices list error: ${error.message}`);
+        }
+    }
+
+    async login() {
+        let browser = null;
+        try {
+            const chromium = await this.functions.ensureChromiumInstalled();
+            if (this.logDebug) this.emit('debug', `Chromium: ${chromium.path ?? 'bundled'}, system: ${chromium.system}, arch: ${chromium.arch}`);
+
+            browser = await puppeteer.launch({
+                headless: true,
+                executablePath: chromium.path ?? undefined,
+                args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-gpu']
+            });
+            const page = await browser.newPage();
+            await page.setExtraHTTPHeaders({ 'Accept-Language': LanguageLocaleMap[this.language] ?? LanguageLocaleMap['0'] });
+
+            //web socket hash is only visible in the url the dashboard opens
+            let webSocketHash = null;
+            const cdp = await page.createCDPSession();
+            await cdp.send('Network.enable');
+            cdp.on('Network.webSocketCreated', ({ url }) => {
+                if (url.startsWith(ApiUrls.Home.WebSocket)) webSocketHash = url.slice(ApiUrls.Home.WebSocket.length);
+            });
+
+            await page.goto(ApiUrls.Home.Base, { waitUntil: 'networkidle2', timeout: 60000 });
+            await page.locator('a[href*="login"], button.btn--blue').click();
+            await page.locator('input[name="username"]').fill(this.user);
+            await page.locator('input[name="password"]').fill(this.passwd);
+            await Promise.all([
+                page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 60000 }),
+                page.locator('input[type="submit"], button[type="submit"]').click()
+            ]);
+
+            if (!page.url().startsWith(ApiUrls.Home.Base)) {
+                return { State: false, Info: 'Login failed, check user and password' };
+            }
+
+            //wait for the dashboard to open its web socket
+            const waitUntil = Date.now() + 15000;
+            while (!webSocketHash && Date.now() < waitUntil) await new Promise(r => setTimeout(r, 250));
+
+            const cookies = (await browser.cookies()).filter(cookie => ApiUrls.Home.Base.includes(cookie.domain.replace(/^\./, '')));
+            if (cookies.length === 0) {
+                return { State: false, Info: 'Session cookies missing' };
+            }
+
+            return {
+                State: true,
+                Info: 'Login Success',
+                Cookie: cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; '),
+                WebSocketHash: webSocketHash
+            };
+        } finally {
+            if (browser) await browser.close().catch(() => { });
+        }
+    }
+
+    getSession() {
+        return this.headers?.Cookie ?? null;
+    }
+
+    createClient(headers) {
+        return this.createSessionClient(ApiUrls.Home.Base, headers);
+    }
+
+    async connect() {
+        if (this.logDebug) this.emit('debug', `Connecting to MELCloud Home`);
+
+        try {
+            const accountInfo = { State: false, Info: '', Account: null, UseFahrenheit: false, User: null }
+
+            const loginData = await this.login();
+            if (!loginData.State) {
+                accountInfo.Info = loginData.Info;
+                return accountInfo;
+            }
+
+            this.headers = {
+                'Accept': 'application/json',
+                'Accept-Language': LanguageLocaleMap[this.language] ?? LanguageLocaleMap['0'],
+                'Content-Type': 'application/json',
+                'Cookie': loginData.Cookie,
+                'x-csrf': '1'
+            };
+            this.client = this.createClient(this.headers);
+            this.webSocketHash = loginData.WebSocketHash;
+            this.emit('client', this.client);
+
+            //account details
+            const configuration = await this.client(ApiUrls.Home.Get.Configuration, { method: 'GET' });
+            if (this.logDebug) this.emit('debug', `MELCloud Home Info: ${JSON.stringify(configuration.data)}`);
+
+            accountInfo.State = true;
+            accountInfo.Info = 'Connect Success';
+            accountInfo.Account = configuration.data;
+            accountInfo.User = this.user;
+            await this.functions.saveData(this.accountFile, accountInfo);
+
+            //web socket push updates
+            if (this.pluginStart) this.connectWebSocket();
+
+            return accountInfo
+        } catch (error) {
+            throw new Error(`Connect error: ${error.message}`);
+        }
+    }
+
+    connectWebSocket() {
+        //no hash, log in again for a new one with the reconnect backoff
+        if (!this.webSocketHash) {
+            this.emit('warn', `Web socket hash missing, logging in again for push updates`);
+            if (!this.webSocketReconnectTimeout) this.scheduleWebSocketReconnect();
+            return;
+        }
+
+        this.disconnectWebSocket();
+        const hash = this.webSocketHash;
+        const webSocket = new WebSocket(`${ApiUrls.Home.WebSocket}${hash}`, {
+            headers: {
+                'Origin': ApiUrls.Home.Base,
+                'Accept-Language': LanguageLocaleMap[this.language] ?? LanguageLocaleMap['0']
+            }
+        });
+        this.webSocket = webSocket;
+
+        webSocket.on('open', () => {
+            this.webSocketReconnectDelay = this.webSocketMinReconnectDelay;
+            if (this.logDebug) this.emit('debug', `Web socket connected`);
+
+            //detect half open connections
+            webSocket.isAlive = true;
+            webSocket.heartbeat = setInterval(() => {
+                if (!webSocket.isAlive) return webSocket.terminate();
+                webSocket.isAlive = false;
+                webSocket.ping();
+            }, 30000);
+        }).on('pong', () => {
+            webSocket.isAlive = true;
+        }).on('message', (message) => {
+            try {
+                const parsedMessage = JSON.parse(message.toString());
+                if (this.logDebug) this.emit('debug', `Web socket message: ${message}`);
+                this.emit('webSocket', parsedMessage);
+            } catch (error) {
+                if (this.logDebug) this.emit('debug', `Web socket message parse error: ${error.message}`);
+            }
+        }).on('unexpected-response', (request, response) => {
+            //hash rejected, a new one comes with the next login
+            if (response.statusCode === 401 || response.statusCode === 403) this.webSocketHash = null;
+            webSocket.terminate();
+        }).on('error', (error) => {
+            if (this.logDebug) this.emit('debug', `Web socket error: ${error.message}`);
+        }).on('close', () => {
+            clearInterval(webSocket.heartbeat);
+            if (this.webSocket !== webSocket) return;
+            this.webSocket = null;
+            this.scheduleWebSocketReconnect();
+        });
+    }
+
+    scheduleWebSocketReconnect() {
+        const delay = this.webSocketReconnectDelay;
+        this.webSocketReconnectDelay = Math.min(delay * 2, 300000);
+        if (this.logDebug) this.emit('debug', `Web socket closed, reconnecting in ${delay / 1000}s`);
+
+        this.webSocketReconnectTimeout = setTimeout(async () => {
+            this.webSocketReconnectTimeout = null;
+            try {
+                if (!this.webSocketHash) {
+                    await this.reconnect();
+                    return;
+                }
+                this.connectWebSocket();
+            } catch (error) {
+                this.emit('warn', `Web socket reconnect error: ${error.message}`);
+                this.scheduleWebSocketReconnect();
+            }
+        }, delay);
+    }
+
+    disconnectWebSocket() {
+        clearTimeout(this.webSocketReconnectTimeout);
+        this.webSocketReconnectTimeout = null;
+
+        const webSocket = this.webSocket;
+        this.webSocket = null;
+        if (webSocket) webSocket.terminate();
+    }
+}
+
+export default MelCloudHome;
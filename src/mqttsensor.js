@@ -0,0 +1,167 @@
+import mqtt from 'mqtt';
+import EventEmitter from 'events';
+
+class MqttSensor extends EventEmitter {
+    constructor(config) {
+        super();
+
+        this.broker = config.broker;
+        this.username = config.username;
+        this.passwd = config.passwd;
+        this.temperatureTopic = config.temperatureTopic;
+        this.temperaturePath = config.temperaturePath ?? '';
+        //humidity shares the temperature topic only when it has its own field in the payload
+        this.humidityTopic = config.humidityTopic || (config.humidityPath ? config.temperatureTopic : null);
+        this.humidityPath = config.humidityPath ?? '';
+        this.staleAfter = (config.staleAfter ?? 900) * 1000;
+        this.logDebug = config.logDebug;
+        this.logWarn = config.logWarn;
+
+        // State
+        this.temperature = null;
+        this.humidity = null;
+        this.lastUpdate = null; // Last temperature reading, humidity alone does not keep the sensor fresh
+        this.isAvailable = false;
+        this.stale = false;
+
+        this.client = null;
+        this.startedAt = null;
+    }
+
+    async connect() {
+        try {
+            const topics = [...new Set([this.temperatureTopic, this.humidityTopic].filter(Boolean))];
+            this.startedAt = new Date();
+
+            this.client = mqtt.connect(this.broker, {
+                username: this.username,
+                password: this.passwd,
+                reconnectPeriod: 5000,
+                connectTimeout: 15000
+            });
+            this.client
+                .on('connect', () => {
+                    if (this.logDebug) this.emit('debug', `MQTT connected to ${this.broker}`);
+                    this.client.subscribe(topics, (error) => {
+                        if (error && this.logWarn) this.emit('warn', `MQTT subscribe error: ${error.message}`);
+                    });
+                })
+                .on('message', (topic, payload) => this.handleMessage(topic, payload))
+                .on('error', (error) => {
+                    if (this.logWarn) this.emit('warn', `MQTT error: ${error.message}`);
+                });
+
+            return true;
+        } catch (error) {
+            throw new Error(`MQTT connect error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Value at a dot separated path, plain payloads (ESPHome) use an empty path
+     */
+    readValue(payload, path) {
+        const text = payload.toString().trim();
+        if (!path) return parseFloat(text);
+
+        let value;
+        try {
+            value = JSON.parse(text);
+        } catch (error) {
+            return NaN;
+        }
+
+        for (const key of path.split('.')) value = value?.[key];
+        return typeof value === 'string' ? parseFloat(value) : (typeof value === 'number' ? value : NaN);
+    }
+
+    handleMessage(topic, payload) {
+        let temperatureUpdated = false;
+        let humidityUpdated = false;
+
+        //Zigbee2MQTT sends both readings on one topic
+        if (topic === this.temperatureTopic) {
+            const temperature = this.readValue(payload, this.temperaturePath);
+            if (Number.isFinite(temperature)) {
+                this.temperature = temperature;
+                temperatureUpdated = true;
+            }
+        }
+        if (topic === this.humidityTopic) {
+            const humidity = this.readValue(payload, this.humidityPath);
+            if (Number.isFinite(humidity)) {
+                this.humidity = humidity;
+                humidityUpdated = true;
+            }
+        }
+
+        if (!temperatureUpdated && !humidityUpdated) {
+            if (this.logDebug) this.emit('debug', `MQTT ${topic}: no reading in ${payload.toString()}`);
+            return false;
+        }
+
+        //only a temperature reading marks the sensor fresh, humidity is passed on while it is
+        if (temperatureUpdated) {
+            this.lastUpdate = new Date();
+            this.isAvailable = true;
+            this.stale = false;
+        }
+        if (!this.isAvailable) return false;
+
+        if (this.logDebug) {
+            this.emit('debug', `MQTT temperature: ${this.temperature}°C, humidity: ${this.humidity}%`);
+        }
+
+        this.emit('temperature', this.temperature, this.humidity);
+        return true;
+    }
+
+    /**
+     * Readings are pushed, polling only checks they are not stale
+     */
+    async fetchTemperature() {
+        //before the first reading, staleness counts from the connection
+        const since = this.lastUpdate ?? this.startedAt;
+        const age = since ? Date.now() - since.getTime() : Infinity;
+        if (age < this.staleAfter) {
+            return this.lastUpdate ? { temperature: this.temperature, humidity: this.humidity } : null;
+        }
+
+        if (!this.stale) {
+            const error = new Error(this.lastUpdate ? `No reading for ${Math.round(age / 60000)} min` : `No reading since connecting to ${this.broker}`);
+            this.stale = true;
+            this.isAvailable = false;
+            if (this.logWarn) {
+                this.emit('warn', `MQTT sensor error: ${error.message}`);
+            }
+            this.emit('unavailable', error);
+        }
+        return null;
+    }
+
+    async stop() {
+        if (!this.client) return;
+
+        const client = this.client;
+        this.client = null;
+        await client.endAsync();
+    }
+
+    getTemperature() {
+        return this.temperature;
+    }
+
+    getHumidity() {
+        return this.humidity;
+    }
+
+    isOnline() {
+        return this.isAvailable;
+    }
+
+    getLastUpdate() {
+        return this.lastUpdate;
+    }
+}
+
+export default MqttSensor;
@@ -0,0 +1,28 @@
+/**
+ * Read-only humidity sensor for the external room sensor reading
+ * Shows one reading of the accessory state, invalid readings keep the last value
+ */
+export class HumiditySensorService {
+    constructor(device) {
+        this.device = device;
+    }
+
+    create(accessory, serviceName, subtype, stateKey) {
+        const d = this.device;
+        const Service = d.Service;
+        const Characteristic = d.Characteristic;
+
+        if (d.logDebug) d.emit('debug', `Prepare ${subtype.toLowerCase()} sensor service`);
+
+        const service = new Service.HumiditySensor(serviceName, `${subtype} ${d.deviceId}`);
+        service.getCharacteristic(Characteristic.CurrentRelativeHumidity)
+            .onGet(async () => {
+                d.assertOnline();
+                const value = d.accessoryState[stateKey];
+                return d.functions.isValidValue(value) ? value : service.getCharacteristic(Characteristic.CurrentRelativeHumidity).value;
+            });
+
+        accessory.addService(service);
+        return service;
+    }
+}
@@ -0,0 +1,33 @@
+/**
+ * Read-only temperature sensor shared by all device types
+ * Shows one reading of the accessory state, invalid readings keep the last value
+ */
+export class TemperatureSensorService {
+    constructor(device) {
+        this.device = device;
+    }
+
+    create(accessory, serviceName, subtype, stateKey) {
+        const d = this.device;
+        const Service = d.Service;
+        const Characteristic = d.Characteristic;
+
+        if (d.logDebug) d.emit('debug', `Prepare ${subtype.toLowerCase()} temperature sensor service`);
+
+        const service = new Service.TemperatureSensor(serviceName, `${subtype} ${d.deviceId}`);
+        service.getCharacteristic(Characteristic.CurrentTemperature)
+            .setProps({
+                minValue: -35,
+                maxValue: 100,
+                minStep: 0.1
+            })
+            .onGet(async () => {
+                d.assertOnline();
+                const value = d.accessoryState[stateKey];
+                return d.functions.isValidValue(value) ? value : service.getCharacteristic(Characteristic.CurrentTemperature).value;
+            });
+
+        accessory.addService(service);
+        return service;
+    }
+}
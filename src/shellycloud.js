@@ -1,4 +1,5 @@
 import EventEmitter from 'events';
+import WebSocket from 'ws';
 
 class ShellyCloud extends EventEmitter {
     constructor(config) {
@@ -7,6 +8,9 @@ class ShellyCloud extends EventEmitter {
         this.serverUri = config.shellyServerUri;
         this.authKey = config.shellyAuthKey;
         this.deviceId = config.shellyDeviceId;
+        this.accessToken = config.shellyAccessToken;
+        //real-time events need an OAuth access token, polling is kept as fallback
+        this.mode = config.shellyMode === 'events' && this.accessToken ? 'events' : 'poll';
         this.logDebug = config.logDebug;
         this.logWarn = config.logWarn;
 
@@ -19,9 +23,135 @@ class ShellyCloud extends EventEmitter {
         // Rate limiting (Shelly Cloud allows 1 req/sec)
         this.minRequestInterval = 1000;
         this.lastRequestTime = 0;
+
+        // Real-time event stream
+        this.webSocket = null;
+        this.streaming = false;
+        this.stopped = false;
+        this.reconnectTimeout = null;
+        this.minReconnectDelay = 5000;
+        this.reconnectDelay = this.minReconnectDelay;
+    }
+
+    /**
+     * Subscribe to real-time status changes, readings are polled while the stream is down
+     */
+    connect() {
+        if (this.mode !== 'events' || this.stopped) return false;
+
+        this.disconnect();
+        const webSocket = new WebSocket(`wss://${this.serverUri}:6113/shelly/wss/hk_sock?t=${this.accessToken}`);
+        this.webSocket = webSocket;
+
+        webSocket.on('open', () => {
+            this.reconnectDelay = this.minReconnectDelay;
+            this.streaming = true;
+            if (this.logDebug) this.emit('debug', `Shelly Cloud event stream connected`);
+
+            //detect half open connections
+            webSocket.isAlive = true;
+            webSocket.heartbeat = setInterval(() => {
+                if (!webSocket.isAlive) return webSocket.terminate();
+                webSocket.isAlive = false;
+                webSocket.ping();
+            }, 30000);
+        }).on('pong', () => {
+            webSocket.isAlive = true;
+        }).on('message', (message) => {
+            this.handleEvent(message);
+        }).on('unexpected-response', (request, response) => {
+            if (this.logWarn) this.emit('warn', `Shelly Cloud event stream rejected: HTTP ${response.statusCode}, polling`);
+            webSocket.terminate();
+        }).on('error', (error) => {
+            if (this.logDebug) this.emit('debug', `Shelly Cloud event stream error: ${error.message}`);
+        }).on('close', () => {
+            clearInterval(webSocket.heartbeat);
+            if (this.webSocket !== webSocket) return;
+            this.webSocket = null;
+            this.streaming = false;
+            this.scheduleReconnect();
+        });
+
+        return true;
+    }
+
+    scheduleReconnect() {
+        if (this.stopped) return;
+
+        const delay = this.reconnectDelay;
+        this.reconnectDelay = Math.min(delay * 2, 300000);
+        if (this.logDebug) this.emit('debug', `Shelly Cloud event stream closed, polling until reconnect in ${delay / 1000}s`);
+
+        this.reconnectTimeout = setTimeout(() => {
+            this.reconnectTimeout = null;
+            this.connect();
+        }, delay);
+    }
+
+    disconnect() {
+        clearTimeout(this.reconnectTimeout);
+        this.reconnectTimeout = null;
+        this.streaming = false;
+
+        const webSocket = this.webSocket;
+        this.webSocket = null;
+        if (webSocket) webSocket.terminate();
+    }
+
+    async stop() {
+        this.stopped = true;
+        this.disconnect();
+    }
+
+    /**
+     * Status change of this device pushed on the event stream
+     */
+    handleEvent(message) {
+        let event;
+        try {
+            event = JSON.parse(message.toString());
+        } catch (error) {
+            if (this.logDebug) this.emit('debug', `Shelly Cloud event parse error: ${error.message}`);
+            return false;
+        }
+
+        const deviceId = event.device?.id ?? event.deviceId;
+        if (event.event !== 'Shelly:StatusOnChange' || String(deviceId).toLowerCase() !== String(this.deviceId).toLowerCase()) {
+            return false;
+        }
+
+        return this.applyStatus(event.status);
+    }
+
+    /**
+     * Take temperature and humidity from a Gen2/Gen3 device status (temperature:0.tC, humidity:0.rh)
+     * @returns {boolean} True when a reading was found
+     */
+    applyStatus(deviceStatus) {
+        const tempComponent = deviceStatus?.['temperature:0'];
+        const humidityComponent = deviceStatus?.['humidity:0'];
+
+        if (tempComponent?.tC === undefined || tempComponent.tC === null) return false;
+
+        this.temperature = tempComponent.tC;
+        this.humidity = humidityComponent?.rh ?? null;
+        this.lastUpdate = new Date();
+        this.isAvailable = true;
+
+        if (this.logDebug) {
+            this.emit('debug', `Shelly temperature: ${this.temperature}°C, humidity: ${this.humidity}%`);
+        }
+
+        this.emit('temperature', this.temperature, this.humidity);
+        return true;
     }
 
     async fetchTemperature() {
+        //pushed readings are current while the stream is up
+        if (this.streaming && this.lastUpdate) {
+            return { temperature: this.temperature, humidity: this.humidity };
+        }
+
         try {
             // Rate limiting
             const now = Date.now();
@@ -51,25 +181,8 @@ class ShellyCloud extends EventEmitter {
             }
 
             // Parse temperature from H&T Gen3 response
-            const deviceStatus = data.data?.device_status;
-            if (deviceStatus) {
-                // Gen3 format: temperature:0.tC
-                const tempComponent = deviceStatus['temperature:0'];
-                const humidityComponent = deviceStatus['humidity:0'];
-
-                if (tempComponent?.tC !== undefined) {
-                    this.temperature = tempComponent.tC;
-                    this.humidity = humidityComponent?.rh ?? null;
-                    this.lastUpdate = new Date();
-                    this.isAvailable = true;
-
-                    if (this.logDebug) {
-                        this.emit('debug', `Shelly temperature: ${this.temperature}°C, humidity: ${this.humidity}%`);
-                    }
-
-                    this.emit('temperature', this.temperature, this.humidity);
-                    return { temperature: this.temperature, humidity: this.humidity };
-                }
+            if (this.applyStatus(data.data?.device_status)) {
+                return { temperature: this.temperature, humidity: this.humidity };
             }
 
             throw new Error('Temperature data not found in response');
@@ -0,0 +1,188 @@
+import http from 'http';
+import EventEmitter from 'events';
+import { createHash, timingSafeEqual } from 'crypto';
+
+//webhook receivers shared by local sensors, one server per port
+const receivers = new Map();
+
+class ShellyLocal extends EventEmitter {
+    constructor(config) {
+        super();
+
+        this.host = config.shellyHost;
+        this.webhookPort = config.webhookPort ?? null;
+        this.webhookToken = config.webhookToken || null;
+        this.webhookAddress = config.webhookAddress || null;
+        this.sleepPeriod = (config.sleepPeriod ?? 7200) * 1000;
+        this.logDebug = config.logDebug;
+        this.logWarn = config.logWarn;
+
+        // State
+        this.temperature = null;
+        this.humidity = null;
+        this.lastUpdate = null;
+        this.isAvailable = false;
+
+        // Sleeping sensors do not answer, fail fast
+        this.requestTimeout = 5000;
+        this.receiver = null;
+    }
+
+    get webhookPath() {
+        return `/shelly/${this.host}`;
+    }
+
+    async rpc(method) {
+        const response = await fetch(`http://${this.host}/rpc/${method}?id=0`, {
+            signal: AbortSignal.timeout(this.requestTimeout)
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        return response.json();
+    }
+
+    async fetchTemperature() {
+        try {
+            const temperature = await this.rpc('Temperature.GetStatus');
+            if (typeof temperature?.tC !== 'number') {
+                throw new Error('Temperature data not found in response');
+            }
+
+            // Humidity component is missing on temperature only sensors
+            const humidity = await this.rpc('Humidity.GetStatus').catch(() => null);
+            return this.update(temperature.tC, humidity?.rh ?? null, 'RPC');
+        } catch (error) {
+            return this.handleGap(error);
+        }
+    }
+
+    update(temperature, humidity, source) {
+        this.temperature = temperature;
+        this.humidity = humidity;
+        this.lastUpdate = new Date();
+        this.isAvailable = true;
+
+        if (this.logDebug) {
+            this.emit('debug', `Shelly ${source} temperature: ${this.temperature}°C, humidity: ${this.humidity}%`);
+        }
+
+        this.emit('temperature', this.temperature, this.humidity);
+        return { temperature: this.temperature, humidity: this.humidity };
+    }
+
+    handleGap(error) {
+        //battery sensors sleep between reports, last value stays valid for one sleep period
+        const age = this.lastUpdate ? Date.now() - this.lastUpdate.getTime() : Infinity;
+        if (age < this.sleepPeriod) {
+            if (this.logDebug) this.emit('debug', `Shelly ${this.host} asleep (${error.message}), last report ${Math.round(age / 60000)} min ago`);
+            return null;
+        }
+
+        this.isAvailable = false;
+        if (this.logWarn) {
+            this.emit('warn', `Shelly local error: ${error.message}`);
+        }
+        this.emit('unavailable', error);
+        return null;
+    }
+
+    /**
+     * Check the shared secret sent in the token query parameter
+     */
+    authorize(token) {
+        if (!this.webhookToken || typeof token !== 'string') return false;
+
+        //compare digests, equal length and constant time
+        const digest = (value) => createHash('sha256').update(value).digest();
+        return timingSafeEqual(digest(token), digest(this.webhookToken));
+    }
+
+    handleWebhook(params) {
+        const temperature = parseFloat(params.get('tC'));
+        const humidity = parseFloat(params.get('rh'));
+
+        //temperature.change and humidity.change are separate webhooks
+        const nextTemperature = Number.isFinite(temperature) ? temperature : this.temperature;
+        const nextHumidity = Number.isFinite(humidity) ? humidity : this.humidity;
+        if (nextTemperature === null) return false;
+
+        this.update(nextTemperature, nextHumidity, 'webhook');
+        return true;
+    }
+
+    async startWebhook() {
+        if (this.webhookPort === null || this.receiver) return null;
+        if (!this.webhookToken) {
+            if (this.logWarn) this.emit('warn', `Shelly ${this.host} webhook needs a webhookToken, not receiving pushes`);
+            return null;
+        }
+
+        //sensors sharing a port share its receiver, bound to the address of the first one
+        let receiver = receivers.get(this.webhookPort);
+        if (!receiver) {
+            receiver = { handlers: new Map(), server: null, ready: null };
+            receiver.server = http.createServer((req, res) => {
+                const url = new URL(req.url, 'http://localhost');
+                const handler = receiver.handlers.get(decodeURIComponent(url.pathname));
+                if (!handler || !handler.authorize(url.searchParams.get('token'))) {
+                    res.writeHead(handler ? 403 : 404, { 'Content-Type': 'text/plain' });
+                    res.end(handler ? 'Invalid token' : 'Unknown sensor');
+                    return;
+                }
+
+                const accepted = handler.handleWebhook(url.searchParams);
+                res.writeHead(accepted ? 200 : 400, { 'Content-Type': 'text/plain' });
+                res.end(accepted ? 'OK' : 'No readings');
+            });
+            receiver.ready = new Promise((resolve, reject) => {
+                receiver.server.once('error', reject);
+                receiver.server.listen(this.webhookPort, this.webhookAddress ?? undefined, resolve);
+            });
+            receivers.set(this.webhookPort, receiver);
+        }
+
+        try {
+            await receiver.ready;
+        } catch (error) {
+            receivers.delete(this.webhookPort);
+            throw new Error(`Webhook receiver error: ${error.message}`);
+        }
+
+        receiver.handlers.set(this.webhookPath, this);
+        this.receiver = receiver;
+        return receiver.server.address().port;
+    }
+
+    async stop() {
+        const receiver = this.receiver;
+        if (!receiver) return;
+
+        this.receiver = null;
+        receiver.handlers.delete(this.webhookPath);
+        if (receiver.handlers.size > 0) return;
+
+        receivers.delete(this.webhookPort);
+        await new Promise(resolve => receiver.server.close(resolve));
+    }
+
+    getTemperature() {
+        return this.temperature;
+    }
+
+    getHumidity() {
+        return this.humidity;
+    }
+
+    isOnline() {
+        return this.isAvailable;
+    }
+
+    getLastUpdate() {
+        return this.lastUpdate;
+    }
+}
+
+export default ShellyLocal;
@@ -7,41 +7,16 @@
 import { test, describe, beforeEach } from 'node:test';
 import assert from 'node:assert';
 
-// Import DeviceAta implementation
-import DeviceAta from '../src/deviceata/index.js';
-
-import { createMockApi } from './mocks/homebridge-api.js';
-import { MelCloudMock } from './mocks/melcloudata-mock.js';
+import { Characteristic, HAPStatus, PlatformAccessory, Service } from './mocks/homebridge-api.js';
+import { createDevice } from './deviceata/create-device.js';
 import {
     sampleDeviceData,
     heatingDeviceData,
     autoDeviceData,
     offDeviceData,
-    sampleAccount,
-    sampleDeviceConfig,
-    sampleAccountInfo,
-    sampleMelcloudDevicesList
+    sampleAccount
 } from './fixtures/device-data.js';
 
-// Helper to create device instance
-function createDevice(deviceConfig = sampleDeviceConfig) {
-    const api = createMockApi();
-    const melcloud = new MelCloudMock();
-
-    const device = new DeviceAta(
-        api,
-        sampleAccount,
-        deviceConfig,
-        '/tmp/temps',
-        sampleAccountInfo,
-        '/tmp/account',
-        melcloud,
-        sampleMelcloudDevicesList
-    );
-
-    return { device, api };
-}
-
 describe('DeviceAta Integration Tests', () => {
     describe('Constructor initialization', () => {
         test('initializes with correct config values', () => {
@@ -73,7 +48,7 @@ describe('DeviceAta Integration Tests', () => {
         let device;
 
         beforeEach(() => {
-            device = createDevice(sampleDeviceConfig).device;
+            device = createDevice().device;
         });
 
         test('COOL mode produces correct state', () => {
@@ -133,6 +108,90 @@ describe('DeviceAta Integration Tests', () => {
             assert.strictEqual(state.maxTempCoolDryAuto, 31);
         });
     });
+
+    describe('Command failure handling', () => {
+        test('resets state machine when power or mode was not applied', () => {
+            const { device } = createDevice();
+            const stateMachine = device.predictiveController.stateMachine;
+            stateMachine.forceState('HEATING_ACTIVE');
+            device.actionExecutor.lastActionTime = Date.now();
+            device.actionExecutor.lastSentMode = 'heat';
+
+            device.actionExecutor.handleCommandFailed({ flags: 7 });
+
+            assert.strictEqual(stateMachine.getCurrentState(), 'STANDBY');
+            assert.strictEqual(device.actionExecutor.lastActionTime, null);
+            assert.strictEqual(device.actionExecutor.lastSentMode, null);
+        });
+
+        test('only clears sent setpoint when setpoint was not applied', () => {
+            const { device } = createDevice();
+            const stateMachine = device.predictiveController.stateMachine;
+            stateMachine.forceState('HEATING_ACTIVE');
+            stateMachine.lastSentSetpoint = 22;
+
+            device.actionExecutor.handleCommandFailed({ flags: 4 });
+
+            assert.strictEqual(stateMachine.getCurrentState(), 'HEATING_ACTIVE');
+            assert.strictEqual(stateMachine.lastSentSetpoint, null);
+        });
+    });
+
+    describe('Accessory lifecycle', () => {
+        test('tags new accessory with account and device', async () => {
+            const { device } = createDevice();
+            device.accessoryState = device.stateParser.parse(heatingDeviceData);
+
+            const accessory = await device.prepareAccessory();
+
+            assert.strictEqual(accessory.UUID, device.accessoryUUID);
+            assert.deepStrictEqual(accessory.context, { accountName: sampleAccount.name, deviceId: '12345' });
+        });
+
+        test('reuses restored accessory and rebuilds its services', async () => {
+            const { device } = createDevice();
+            device.accessoryState = device.stateParser.parse(heatingDeviceData);
+            const restored = new PlatformAccessory('Living Room AC', device.accessoryUUID, 21);
+            const staleService = restored.addService(new Service.HeaterCooler('Old', 'HeaterCooler 12345'));
+
+            const accessory = await device.prepareAccessory(restored);
+
+            assert.strictEqual(accessory, restored);
+            assert.ok(!accessory.services.includes(staleService));
+            assert.ok(accessory.services.includes(device.services.main));
+            assert.ok(accessory.services.includes(device.services.information));
+        });
+    });
+
+    describe('Offline from cache', () => {
+        async function createPreparedDevice() {
+            const { device } = createDevice();
+            device.deviceData = structuredClone(heatingDeviceData);
+            device.accessoryState = device.stateParser.parse(device.deviceData);
+            await device.prepareAccessory();
+            return device;
+        }
+
+        test('reports communication failure while offline', async () => {
+            const device = await createPreparedDevice();
+            const active = device.services.main.getCharacteristic(Characteristic.Active);
+
+            device.setOffline(true);
+
+            assert.strictEqual(active._value.hapStatus, HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+            await assert.rejects(active._getHandler(), error => error.hapStatus === HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+        });
+
+        test('responds again once live data is back', async () => {
+            const device = await createPreparedDevice();
+            const active = device.services.main.getCharacteristic(Characteristic.Active);
+
+            device.setOffline(true);
+            device.setOffline(false);
+
+            assert.strictEqual(await active._getHandler(), device.accessoryState.power);
+        });
+    });
 });
 
 console.log('Running DeviceAta integration tests...\n');
@@ -0,0 +1,98 @@
+/**
+ * Tests for the ActionExecutor fail-safe applied in SENSOR_FAULT
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { AirConditioner } from '../../src/constants.js';
+import { createDevice } from './create-device.js';
+import { heatingDeviceData } from '../fixtures/device-data.js';
+
+describe('Sensor fault fail-safe', () => {
+    const fault = { state: 'SENSOR_FAULT', action: { type: 'failSafe', setpoint: 23.7 }, reason: 'External temperature sensor unavailable' };
+
+    // Heating unit with fail-safe notices collected and warnings silenced
+    function createFailSafeDevice(sensorFailSafe) {
+        const { device, sent } = createDevice({
+            config: { sensorFailSafe },
+            deviceData: heatingDeviceData,
+            record: (accountType, displayType, data, flag) => ({ device: { ...data.Device }, flag })
+        });
+        const notices = [];
+        device.on('failSafe', notice => notices.push(notice));
+        device.on('warn', () => {});
+        return { device, sent, notices };
+    }
+
+    test('holds the last predicted setpoint on the AC sensor', async () => {
+        const { device, sent, notices } = createFailSafeDevice(undefined);
+
+        await device.actionExecutor.executeAction(fault);
+
+        assert.strictEqual(sent.length, 1);
+        assert.strictEqual(sent[0].flag, AirConditioner.EffectiveFlags.SetTemperature);
+        assert.strictEqual(sent[0].device.SetTemperature, 23.5);
+        assert.strictEqual(sent[0].device.Power, heatingDeviceData.Device.Power);
+        assert.deepStrictEqual([notices[0].policy, notices[0].setpoint], ['hold', 23.5]);
+    });
+
+    test('switches to a conservative fixed setpoint', async () => {
+        const { device, sent } = createFailSafeDevice({ policy: 'fixed', heatSetpoint: 18.5, coolSetpoint: 27 });
+
+        // Not rate limited right after another action
+        device.actionExecutor.lastActionTime = Date.now();
+        await device.actionExecutor.executeAction(fault);
+
+        assert.strictEqual(sent[0].device.SetTemperature, 18.5);
+    });
+
+    test('re-issues the fail-safe until the send succeeds', async () => {
+        const { device, sent, notices } = createFailSafeDevice({ policy: 'fixed' });
+        const messages = [];
+        device.removeAllListeners('warn');
+        device.on('warn', message => messages.push(message));
+        const send = device.melCloudAta.send;
+        device.melCloudAta.send = async () => { throw new Error('Network error'); };
+
+        await device.actionExecutor.executeAction(fault);
+        assert.strictEqual(device.actionExecutor.failSafe.applied, false);
+        assert.strictEqual(notices.length, 0);
+        assert.match(messages[0], /fail-safe error: Network error/);
+
+        // Later cycles in SENSOR_FAULT come without an action
+        device.melCloudAta.send = send;
+        await device.actionExecutor.executeAction({ state: 'SENSOR_FAULT', action: null });
+        assert.strictEqual(sent.length, 1);
+        assert.strictEqual(sent[0].device.SetTemperature, 19);
+        assert.strictEqual(device.actionExecutor.failSafe.applied, true);
+
+        // Applied, nothing more sent
+        await device.actionExecutor.executeAction({ state: 'SENSOR_FAULT', action: null });
+        assert.strictEqual(sent.length, 1);
+        assert.strictEqual(notices.length, 1);
+    });
+
+    test('powers off with frost protection until the sensor is back', async () => {
+        const { device, sent, notices } = createFailSafeDevice({ policy: 'off' });
+        const messages = [];
+        device.on('info', message => messages.push(message));
+
+        await device.actionExecutor.executeAction(fault);
+        assert.strictEqual(sent[0].flag, AirConditioner.EffectiveFlags.Power);
+        assert.strictEqual(sent[0].device.Power, false);
+        assert.strictEqual(device.temperatureProtection.protections.frost.enabled, true);
+        assert.strictEqual(notices[0].setpoint, null);
+
+        // Emulated frost protection runs on the AC sensor without a room source
+        device.deviceData.Device.Power = false;
+        device.deviceData.Device.RoomTemperature = 12;
+        assert.strictEqual(await device.temperatureProtection.update(device.deviceData), true);
+
+        // Sensor back, frost protection returns to its configured state
+        await device.actionExecutor.executeAction({ state: 'STANDBY', action: null });
+        assert.strictEqual(device.temperatureProtection.protections.frost.enabled, false);
+        assert.strictEqual(device.actionExecutor.failSafe, null);
+        assert.ok(messages.some(message => /fail-safe \(off\) ended/.test(message)));
+    });
+});
+
+console.log('Running ActionExecutor tests...\n');
@@ -0,0 +1,151 @@
+/**
+ * Tests for CloudSchedule - MELCloud Home schedule entries and comfort schedule copy
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { CloudSchedule } from '../../src/deviceata/cloud-schedule.js';
+import { Characteristic } from '../mocks/homebridge-api.js';
+import { MelCloudMock } from '../mocks/melcloudata-mock.js';
+import { createDevice, homeAccount } from './create-device.js';
+import { heatingDeviceData } from '../fixtures/device-data.js';
+
+describe('Cloud schedules', () => {
+    const existing = { Id: 'schedule-1', Days: [1], Time: '07:00:00', Enabled: true, Power: false, OperationMode: null, SetPoint: null };
+
+    // Requests to the account client and sent device data, in order
+    function createScheduleDevice(comfortSchedule = {}, config = {}) {
+        const melcloud = new MelCloudMock();
+        const { device, sent: requests } = createDevice({
+            account: homeAccount,
+            config: { comfortSchedule, ...config },
+            deviceData: { ...heatingDeviceData, ScheduleEnabled: false, Schedule: [{ ...existing }] },
+            melcloud,
+            record: (accountType, displayType, data, flag) => ({ type: 'send', flag, enabled: data.ScheduleEnabled })
+        });
+        melcloud.saveSchedule = async (deviceId, entry) => requests.push({ type: 'save', deviceId, entry });
+        melcloud.deleteSchedule = async (deviceId, scheduleId) => requests.push({ type: 'delete', deviceId, scheduleId });
+        return { device, requests };
+    }
+
+    test('creates, updates and removes entries', async () => {
+        const { device, requests } = createScheduleDevice();
+        const schedule = device.cloudSchedule;
+
+        const created = await schedule.create({ Days: [6, 0], Time: '09:15', SetPoint: 21 });
+        assert.strictEqual(created.Time, '09:15:00');
+        assert.strictEqual(created.Power, true);
+        assert.deepStrictEqual(schedule.list().map(entry => entry.Id), [created.Id, 'schedule-1']);
+
+        const updated = await schedule.update('schedule-1', { Enabled: false });
+        assert.strictEqual(updated.Time, '07:00:00');
+        assert.strictEqual(device.deviceData.Schedule.find(entry => entry.Id === 'schedule-1').Enabled, false);
+
+        await schedule.remove(created.Id);
+        assert.deepStrictEqual(device.deviceData.Schedule.map(entry => entry.Id), ['schedule-1']);
+        assert.deepStrictEqual(requests.map(request => request.type), ['save', 'save', 'delete']);
+        assert.strictEqual(requests[0].deviceId, '12345');
+    });
+
+    test('rejects invalid days and time', async () => {
+        const { device, requests } = createScheduleDevice();
+
+        await assert.rejects(device.cloudSchedule.create({ Days: [7], Time: '09:15' }), /Invalid schedule days/);
+        await assert.rejects(device.cloudSchedule.create({ Days: [1], Time: '25:00' }), /Invalid schedule time/);
+        assert.strictEqual(requests.length, 0);
+    });
+
+    test('converts comfort schedule to cloud entries', () => {
+        const [entry] = CloudSchedule.fromComfortSchedule([{ days: [5, 1], time: '06:30', temperature: 22 }]);
+
+        assert.deepStrictEqual(entry.Days, [1, 5]);
+        assert.strictEqual(entry.Time, '06:30:00');
+        assert.strictEqual(entry.SetPoint, 22);
+        assert.strictEqual(entry.Power, null);
+        assert.strictEqual(entry.OperationMode, null);
+    });
+
+    test('replaces cloud entries with comfort schedule once', async () => {
+        const { device, requests } = createScheduleDevice({ entries: [{ days: [1], time: '06:30', temperature: 22 }], cloudSync: true });
+
+        await device.cloudSchedule.syncComfortSchedule();
+        await device.cloudSchedule.syncComfortSchedule();
+
+        assert.deepStrictEqual(requests.map(request => request.type), ['delete', 'save', 'send']);
+        assert.strictEqual(requests[1].entry.SetPoint, 22);
+        assert.strictEqual(requests[2].enabled, true);
+    });
+
+    test('syncs comfort schedule again after a failed attempt', async () => {
+        const { device, requests } = createScheduleDevice({ entries: [{ days: [1], time: '06:30', temperature: 22 }], cloudSync: true });
+        const saveSchedule = device.melcloud.saveSchedule;
+        device.melcloud.saveSchedule = async () => { throw new Error('Request failed with status code 500'); };
+
+        await device.cloudSchedule.syncComfortSchedule();
+        assert.strictEqual(device.cloudSchedule.synced, false);
+
+        device.melcloud.saveSchedule = saveSchedule;
+        await device.cloudSchedule.syncComfortSchedule();
+
+        assert.strictEqual(device.cloudSchedule.synced, true);
+        assert.deepStrictEqual(requests.map(request => request.type), ['delete', 'save', 'send']);
+    });
+
+    test('runs one comfort schedule sync at a time', async () => {
+        const { device, requests } = createScheduleDevice({ entries: [{ days: [1], time: '06:30', temperature: 22 }], cloudSync: true });
+
+        await Promise.all([device.cloudSchedule.syncComfortSchedule(), device.cloudSchedule.syncComfortSchedule()]);
+
+        assert.deepStrictEqual(requests.map(request => request.type), ['delete', 'save', 'send']);
+    });
+
+    test('copies comfort targets as compensated setpoints without power', async () => {
+        const { device, requests } = createScheduleDevice({ entries: [{ days: [1], time: '06:30', temperature: 22 }], cloudSync: true });
+        device.roomCurrentTemp = 20;
+        device.temperatureOffset = 1.5;
+
+        await device.cloudSchedule.syncComfortSchedule();
+
+        const saved = requests.find(request => request.type === 'save').entry;
+        assert.strictEqual(saved.SetPoint, 23.5);
+        assert.strictEqual(saved.Power, null);
+        assert.strictEqual(saved.OperationMode, null);
+    });
+
+    test('keeps matching cloud entries', async () => {
+        const { device, requests } = createScheduleDevice({ entries: [{ days: [1], time: '07:00', temperature: 22 }], cloudSync: true });
+        device.deviceData.Schedule = CloudSchedule.fromComfortSchedule(device.comfortSchedule.entries).map(entry => ({ ...entry, Id: 'schedule-1' }));
+        device.deviceData.ScheduleEnabled = true;
+
+        await device.cloudSchedule.syncComfortSchedule();
+
+        assert.strictEqual(requests.length, 0);
+    });
+
+    test('is not available on classic MELCloud accounts', async () => {
+        const { device } = createDevice();
+
+        await assert.rejects(device.cloudSchedule.create({ Days: [1], Time: '07:00' }), /MELCloud Home/);
+    });
+
+    test('switch turns the cloud schedule on and off', async () => {
+        const { device, requests } = createScheduleDevice({}, { cloudScheduleSwitch: true });
+        await device.prepareAccessory();
+        const on = device.services.schedule.getCharacteristic(Characteristic.On);
+
+        await on._setHandler(true);
+        assert.deepStrictEqual(requests, [{ type: 'send', flag: 'schedule', enabled: true }]);
+
+        device.deviceData.ScheduleEnabled = false;
+        device.stateUpdater.update();
+        assert.strictEqual(on._value, false);
+    });
+
+    test('switch is not created by default', async () => {
+        const { device } = createScheduleDevice();
+        await device.prepareAccessory();
+
+        assert.strictEqual(device.services.schedule, undefined);
+    });
+});
+
+console.log('Running CloudSchedule tests...\n');
@@ -0,0 +1,47 @@
+/**
+ * Tests for ComfortSchedule - weekly comfort targets
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { createDevice } from './create-device.js';
+
+describe('Comfort schedule', () => {
+    const comfortSchedule = {
+        entries: [
+            { days: [1, 2, 3, 4, 5], time: '06:30', temperature: 22 },
+            { days: [1, 2, 3, 4, 5], time: '22:00', temperature: 20 },
+            { days: [0, 6], time: '08:00', temperature: 22.5 }
+        ]
+    };
+
+    test('finds entry in effect, carrying over the week end', () => {
+        const { device } = createDevice({ config: { comfortSchedule } });
+        const schedule = device.comfortSchedule;
+
+        // Wednesday 12:00, Monday 05:00 and Saturday 07:00
+        assert.strictEqual(schedule.getActiveEntry(new Date(2026, 10, 4, 12, 0)).temperature, 22);
+        assert.strictEqual(schedule.getActiveEntry(new Date(2026, 10, 2, 5, 0)).day, 0);
+        assert.strictEqual(schedule.getActiveEntry(new Date(2026, 10, 7, 7, 0)).time, '22:00');
+    });
+
+    test('sets user target when the next entry starts', () => {
+        const { device } = createDevice({ config: { targetTemperature: 21, comfortSchedule } });
+
+        assert.strictEqual(device.comfortSchedule.update(new Date(2026, 10, 4, 21, 0)), true);
+        device.userTargetTemperature = 21;
+        assert.strictEqual(device.comfortSchedule.update(new Date(2026, 10, 4, 21, 30)), false);
+        assert.strictEqual(device.userTargetTemperature, 21);
+
+        assert.strictEqual(device.comfortSchedule.update(new Date(2026, 10, 4, 22, 0)), true);
+        assert.strictEqual(device.userTargetTemperature, 20);
+        assert.strictEqual(device.predictiveController.getUserComfortPreference(), 20);
+    });
+
+    test('ignores invalid entries', () => {
+        const { device } = createDevice({ config: { comfortSchedule: { entries: [{ days: [7], time: '06:30', temperature: 22 }, { days: [1], time: '6:30', temperature: 22 }] } } });
+
+        assert.strictEqual(device.comfortSchedule.enabled, false);
+    });
+});
+
+console.log('Running ComfortSchedule tests...\n');
@@ -0,0 +1,57 @@
+/**
+ * Shared DeviceAta factory for the DeviceAta test files
+ */
+import DeviceAta from '../../src/deviceata/index.js';
+import { createMockApi } from '../mocks/homebridge-api.js';
+import { MelCloudMock } from '../mocks/melcloudata-mock.js';
+import {
+    sampleAccount,
+    sampleDeviceConfig,
+    sampleAccountInfo,
+    sampleMelcloudDevicesList
+} from '../fixtures/device-data.js';
+
+export const homeAccount = { ...sampleAccount, type: 'melcloudhome' };
+
+/**
+ * Create a DeviceAta with mocked HAP and account client
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Device config merged over sampleDeviceConfig
+ * @param {Object} [options.account] - Account config, classic MELCloud by default
+ * @param {Object} [options.deviceData] - Device data copied to the device and parsed into accessoryState
+ * @param {Object} [options.melcloud] - Account client, MelCloudMock by default
+ * @param {Function} [options.record] - Replaces melCloudAta.send, its result for the send arguments is kept in `sent`
+ * @returns {{ device: DeviceAta, api: Object, melcloud: Object, sent: Array }}
+ */
+export function createDevice({ config = {}, account = sampleAccount, deviceData = null, melcloud = new MelCloudMock(), record = null } = {}) {
+    const api = createMockApi();
+    const device = new DeviceAta(
+        api,
+        account,
+        { ...sampleDeviceConfig, ...config },
+        '/tmp/temps',
+        sampleAccountInfo,
+        '/tmp/account',
+        melcloud,
+        sampleMelcloudDevicesList
+    );
+
+    const sent = [];
+    if (record) device.melCloudAta = { send: async (...args) => sent.push(record(...args)) };
+
+    if (deviceData) {
+        device.deviceData = structuredClone(deviceData);
+        device.accessoryState = device.stateParser.parse(device.deviceData);
+    }
+
+    return { device, api, melcloud, sent };
+}
+
+/**
+ * Create a DeviceAta with its accessory and services prepared
+ */
+export async function createPreparedDevice(options) {
+    const created = createDevice(options);
+    await created.device.prepareAccessory();
+    return created;
+}
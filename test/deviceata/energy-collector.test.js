@@ -0,0 +1,129 @@
+/**
+ * Tests for EnergyCollector - hourly and daily EnergyCost/Report consumption
+ */
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { createDevice, createPreparedDevice, homeAccount } from './create-device.js';
+import { heatingDeviceData } from '../fixtures/device-data.js';
+
+describe('Energy report', () => {
+    const now = new Date(2026, 10, 3, 14, 30);
+    let tempDir;
+
+    before(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'energy-test-'));
+    });
+
+    after(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    function report(heating) {
+        return {
+            Labels: [0, 1, 2],
+            Heating: heating,
+            Cooling: [0, 0, 0],
+            Fan: [0.01, 0.01, 0],
+            Auto: [0, 0, 0],
+            Dry: [0, 0.1, 0],
+            TotalHeatingConsumed: heating.reduce((total, value) => total + value, 0),
+            TotalCoolingConsumed: 0,
+            TotalFanConsumed: 0.02,
+            TotalAutoConsumed: 0,
+            TotalDryConsumed: 0.1
+        };
+    }
+
+    // Prepared device with stubbed reports, the previous day reads 1 kWh per hour
+    async function createEnergyDevice() {
+        const { device } = await createPreparedDevice({ config: { energyReport: { enable: true } }, deviceData: heatingDeviceData });
+        const requests = [];
+        const points = [];
+        device.melcloud.getEnergyReport = async (deviceId, fromDate, toDate) => {
+            requests.push({ deviceId, fromDate, toDate });
+            return report(fromDate.startsWith('2026-11-02') ? [1, 1, 1] : [0.5, 1.25, 0]);
+        };
+        device.thermalManager = { logEnergy: point => points.push(point) };
+        device.energyCollector.file = path.join(tempDir, `${device.accountName}_${device.deviceId}_Energy.json`);
+        return { device, requests, points };
+    }
+
+    test('collects hourly values and day totals', async () => {
+        const { device, requests } = await createEnergyDevice();
+
+        await device.energyCollector.collect(now);
+
+        const day = device.energyCollector.days['2026-11-03'];
+        assert.deepStrictEqual(requests[0], { deviceId: '12345', fromDate: '2026-11-03T00:00:00', toDate: '2026-11-03T23:59:59' });
+        assert.strictEqual(day.heating, 1.75);
+        assert.strictEqual(day.total, 1.87);
+        assert.deepStrictEqual(day.hours[1], { hour: 1, heating: 1.25, cooling: 0, fan: 0.01, auto: 0, total: 1.36 });
+    });
+
+    test('shows today in Eve and keeps history in a file', async () => {
+        const { device } = await createEnergyDevice();
+
+        await device.energyCollector.collect(now);
+
+        const consumption = device.services.main.getCharacteristic(device.EveCharacteristic.TotalConsumption);
+        assert.strictEqual(consumption._value, 1.87);
+        const saved = JSON.parse(await fs.readFile(device.energyCollector.file, 'utf8'));
+        assert.strictEqual(saved.days['2026-11-03'].total, 1.87);
+    });
+
+    test('writes hourly and daily points to InfluxDB', async () => {
+        const { device, points } = await createEnergyDevice();
+
+        await device.energyCollector.collect(now);
+
+        assert.strictEqual(points.filter(point => point.period === 'hour').length, 3);
+        const day = points.find(point => point.period === 'day');
+        assert.strictEqual(day.timestamp.getTime(), new Date(2026, 10, 3).getTime());
+        assert.strictEqual(day.total, 1.87);
+    });
+
+    test('finishes previous day after midnight', async () => {
+        const { device, requests } = await createEnergyDevice();
+        device.energyCollector.lastDate = '2026-11-02';
+
+        await device.energyCollector.collect(now);
+
+        assert.deepStrictEqual(requests.map(request => request.fromDate), ['2026-11-02T00:00:00', '2026-11-03T00:00:00']);
+        assert.strictEqual(device.energyCollector.days['2026-11-02'].heating, 3);
+    });
+
+    test('loads the first report in the background on start', async () => {
+        const { device, requests } = await createEnergyDevice();
+        device.api.user.storagePath = () => tempDir;
+        let release;
+        const pending = new Promise(resolve => release = resolve);
+        const getEnergyReport = device.melcloud.getEnergyReport;
+        device.melcloud.getEnergyReport = async (...args) => {
+            await pending;
+            return getEnergyReport(...args);
+        };
+
+        try {
+            assert.strictEqual(await device.energyCollector.init(), true);
+            assert.strictEqual(device.energyCollector.getTodayKwh(), 0);
+
+            release();
+            while (!device.energyCollector.lastDate) await new Promise(resolve => setTimeout(resolve, 10));
+            assert.strictEqual(requests.length, 1);
+            assert.ok(device.energyCollector.getTodayKwh() > 0);
+        } finally {
+            device.energyCollector.stop();
+        }
+    });
+
+    test('stays disabled on MELCloud Home accounts', () => {
+        const { device } = createDevice({ account: homeAccount, config: { energyReport: { enable: true } } });
+
+        assert.strictEqual(device.energyCollector.enabled, false);
+    });
+});
+
+console.log('Running EnergyCollector tests...\n');
@@ -0,0 +1,70 @@
+/**
+ * Tests for ExternalSensor staleness - fallback to the AC sensor with the learned offset
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { createDevice } from './create-device.js';
+
+describe('Sensor staleness', () => {
+    const unit = (RoomTemperature) => ({ Device: { Power: true, OperationMode: 1, FanSpeed: 3, SetTemperature: 22, RoomTemperature } });
+    const client = (temperature, ageSeconds) => ({
+        getTemperature: () => temperature,
+        getHumidity: () => 45,
+        isOnline: () => true,
+        getLastUpdate: () => new Date(Date.now() - ageSeconds * 1000)
+    });
+
+    // Shelly sensor read a minute ago, warnings collected
+    function createShellyDevice() {
+        const { device } = createDevice({ config: { externalSensor: { type: 'shelly', maxAge: 900 } } });
+        device.sensors = [{ name: 'External sensor', weight: 1, client: client(21, 60) }];
+        device.deviceData = unit(19);
+        const messages = [];
+        device.on('warn', message => messages.push(message));
+        return { device, messages };
+    }
+
+    test('falls back to the AC sensor with the learned offset', () => {
+        const { device, messages } = createShellyDevice();
+        device.externalSensor.fuse();
+        for (let i = 0; i < 10; i++) device.offsetEstimator.update(device.deviceData, 21);
+        assert.strictEqual(device.sensorState, 'ok');
+
+        device.sensors[0].client = client(21, 1000);
+        device.deviceData = unit(19.5);
+        device.externalSensor.fuse();
+
+        assert.strictEqual(device.sensorState, 'degraded');
+        assert.strictEqual(Math.round(device.roomCurrentTemp * 10) / 10, 21.5);
+        assert.strictEqual(device.externalHumidity, null);
+        assert.match(messages[0], /Sensor degraded/);
+    });
+
+    test('reports a fault without a learned offset', () => {
+        const { device } = createShellyDevice();
+        device.sensors[0].client = client(21, 1000);
+
+        device.externalSensor.fuse();
+
+        assert.strictEqual(device.sensorState, 'fault');
+        assert.strictEqual(device.roomCurrentTemp, null);
+    });
+
+    test('recovers on a fresh reading', () => {
+        const { device } = createShellyDevice();
+        device.externalSensor.fuse();
+        for (let i = 0; i < 10; i++) device.offsetEstimator.update(device.deviceData, 21);
+        device.sensors[0].client = client(21, 1000);
+        device.externalSensor.fuse();
+        assert.strictEqual(device.sensorState, 'degraded');
+
+        device.sensors[0].client = client(21.2, 10);
+        device.externalSensor.fuse();
+
+        assert.strictEqual(device.sensorState, 'ok');
+        assert.strictEqual(device.roomCurrentTemp, 21.2);
+        assert.strictEqual(device.externalHumidity, 45);
+    });
+});
+
+console.log('Running ExternalSensor tests...\n');
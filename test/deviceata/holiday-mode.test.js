@@ -0,0 +1,103 @@
+/**
+ * Tests for HolidayMode - holiday window, suspension and return pre-heat
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { createDevice } from './create-device.js';
+import { sampleDeviceData, heatingDeviceData } from '../fixtures/device-data.js';
+
+describe('Holiday mode', () => {
+    const hour = 3600000;
+    const now = Date.parse('2026-12-22T12:00:00');
+    const holidayMode = { startDate: '2026-12-20T08:00:00', endDate: '2027-01-05T18:00:00', preheatHours: 12 };
+
+    const record = (accountType, displayType, data, flag) => ({ data: structuredClone(data), flag });
+    const createHolidayDevice = (options = {}) => createDevice({ config: { holidayMode }, deviceData: heatingDeviceData, record, ...options });
+
+    test('sends holiday window ending before the return', async () => {
+        const { device, sent } = createHolidayDevice();
+
+        const holiday = await device.holidayMode.update(device.deviceData, now);
+        await device.holidayMode.update(device.deviceData, now + hour);
+
+        assert.strictEqual(holiday.active, true);
+        assert.strictEqual(sent.length, 1);
+        assert.strictEqual(sent[0].flag, 'holidaymode');
+        assert.strictEqual(sent[0].data.HolidayMode.StartDate, '2026-12-20T08:00:00');
+        assert.strictEqual(sent[0].data.HolidayMode.EndDate, '2027-01-05T06:00:00');
+    });
+
+    test('sends holiday window again after a failed send', async () => {
+        const { device, sent } = createHolidayDevice();
+        let fail = true;
+        device.melCloudAta = {
+            send: async (accountType, displayType, data, flag) => {
+                if (fail) throw new Error('Request failed with status code 500');
+                sent.push({ data: structuredClone(data), flag });
+            }
+        };
+
+        await device.holidayMode.update(device.deviceData, now);
+        assert.strictEqual(device.holidayMode.requested, false);
+
+        fail = false;
+        await device.holidayMode.update(device.deviceData, now + hour);
+        await device.holidayMode.update(device.deviceData, now + 2 * hour);
+        assert.strictEqual(sent.length, 1);
+        assert.strictEqual(device.holidayMode.requested, true);
+    });
+
+    test('sends no compensation while holiday mode is active', async () => {
+        const { device, sent } = createHolidayDevice();
+        await device.holidayMode.update(device.deviceData, now);
+        sent.length = 0;
+
+        device.roomCurrentTemp = 19;
+        device.userTargetTemperature = 22;
+        for (let i = 0; i < 10; i++) device.offsetEstimator.update(device.deviceData, 19);
+        await device.externalSensor.updateTemperatureOffset();
+
+        assert.ok(Math.abs(device.temperatureOffset) > 0.3);
+        assert.strictEqual(sent.length, 0);
+    });
+
+    test('follows holiday state reported by MELCloud', async () => {
+        const { device } = createHolidayDevice();
+        device.deviceData.Device.HolidayMode = false;
+
+        const holiday = await device.holidayMode.update(device.deviceData, now);
+
+        assert.strictEqual(holiday.active, false);
+    });
+
+    test('starts return pre-heat when holiday mode ends', async () => {
+        const { device } = createHolidayDevice();
+        await device.holidayMode.update(device.deviceData, now);
+
+        const holiday = await device.holidayMode.update(device.deviceData, Date.parse('2027-01-05T06:00:00'));
+        const stateResult = device.holidayMode.returnPreheat();
+
+        assert.strictEqual(holiday.returning, true);
+        assert.strictEqual(stateResult.state, 'PRE_HEAT');
+        assert.strictEqual(stateResult.action.type, 'setMode');
+        assert.strictEqual(stateResult.action.mode, 'heat');
+    });
+
+    test('skips pre-heat outside heating season', () => {
+        const { device } = createHolidayDevice({ deviceData: sampleDeviceData });
+        device.accessoryState.targetHeaterCoolerState = 2; // COOL
+
+        assert.strictEqual(device.holidayMode.returnPreheat(), null);
+    });
+
+    test('stays disabled without a valid window', async () => {
+        const { device, sent } = createHolidayDevice({ config: { holidayMode: { startDate: '2026-12-20T08:00:00' } } });
+
+        const holiday = await device.holidayMode.update(device.deviceData, now);
+
+        assert.strictEqual(holiday.active, false);
+        assert.strictEqual(sent.length, 0);
+    });
+});
+
+console.log('Running HolidayMode tests...\n');
@@ -0,0 +1,145 @@
+/**
+ * Tests for OffsetEstimator - learned AC sensor offset and setpoint compensation
+ */
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { createDevice } from './create-device.js';
+
+describe('Sensor offset', () => {
+    let tempDir;
+
+    before(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'offset-test-'));
+    });
+
+    after(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    // Unit reading the given temperature in the given mode and fan speed
+    const unit = (RoomTemperature, OperationMode = 1, FanSpeed = 3) => ({ Device: { Power: true, OperationMode, FanSpeed, SetTemperature: 22, RoomTemperature } });
+
+    test('smooths noise and skips transients', () => {
+        const { device } = createDevice();
+        const estimator = device.offsetEstimator;
+
+        for (let i = 0; i < 30; i++) estimator.update(unit(i % 2 ? 19.4 : 18.6), 21);
+        assert.ok(Math.abs(estimator.getOffset(unit(19)) + 2) < 0.15);
+
+        // Compressor start, one sample far off
+        const offset = estimator.update(unit(23), 21);
+        assert.ok(Math.abs(offset + 2) < 0.15);
+    });
+
+    test('follows a lasting change', () => {
+        const { device } = createDevice();
+        const estimator = device.offsetEstimator;
+
+        for (let i = 0; i < 20; i++) estimator.update(unit(19), 21);
+        for (let i = 0; i < 30; i++) estimator.update(unit(21), 21);
+
+        assert.ok(estimator.getOffset(unit(21)) > -1);
+    });
+
+    test('learns separate offsets per mode and fan speed', () => {
+        const { device } = createDevice();
+        const estimator = device.offsetEstimator;
+
+        for (let i = 0; i < 10; i++) {
+            estimator.update(unit(19, 1, 3), 21);
+            estimator.update(unit(22.5, 3, 3), 21);
+            estimator.update({ Device: { Power: false, RoomTemperature: 21.2 } }, 21);
+        }
+
+        assert.strictEqual(Math.round(estimator.getOffset(unit(0, 1, 3)) * 10) / 10, -2);
+        assert.strictEqual(Math.round(estimator.getOffset(unit(0, 3, 3)) * 10) / 10, 1.5);
+        assert.strictEqual(Math.round(estimator.getOffset({ Device: { Power: false } }) * 10) / 10, 0.2);
+
+        // Unlearned fan speed borrows from the same mode
+        assert.strictEqual(Math.round(estimator.getOffset(unit(0, 1, 5)) * 10) / 10, -2);
+        assert.strictEqual(estimator.getConfidence(unit(0, 1, 5)), 0);
+    });
+
+    test('reports growing confidence', () => {
+        const { device } = createDevice();
+        const estimator = device.offsetEstimator;
+
+        assert.strictEqual(estimator.getConfidence(unit(19)), 0);
+        estimator.update(unit(19), 21);
+        const first = estimator.getConfidence(unit(19));
+        for (let i = 0; i < 20; i++) estimator.update(unit(19), 21);
+
+        assert.ok(first > 0 && first < 0.5);
+        assert.ok(estimator.getConfidence(unit(19)) > 0.9);
+    });
+
+    test('persists learned offsets', async () => {
+        const { device } = createDevice();
+        device.api.user = { storagePath: () => tempDir };
+        await device.offsetEstimator.init();
+        for (let i = 0; i < 10; i++) device.offsetEstimator.update(unit(19), 21);
+        await device.offsetEstimator.save();
+
+        const saved = JSON.parse(await fs.readFile(path.join(tempDir, 'melcloud', `${device.accountName}_${device.deviceId}_ExternalSensor.json`), 'utf8'));
+        assert.strictEqual(saved.offsets['heat:3'].samples, 10);
+
+        const { device: restarted } = createDevice();
+        restarted.api.user = { storagePath: () => tempDir };
+        await restarted.offsetEstimator.init();
+        assert.strictEqual(Math.round(restarted.offsetEstimator.getOffset(unit(19)) * 10) / 10, -2);
+    });
+
+    test('sends no compensation while running from the device cache', async () => {
+        const { device, sent } = createDevice({ record: (...args) => args });
+        device.deviceData = unit(19);
+        device.roomCurrentTemp = 21;
+        device.userTargetTemperature = 22;
+        device.offline = true;
+
+        await device.externalSensor.updateTemperatureOffset();
+        assert.strictEqual(sent.length, 0);
+        assert.strictEqual(device.lastCompensatedTarget, null);
+
+        device.offline = false;
+        await device.externalSensor.reapplyCompensation();
+        assert.strictEqual(sent.length, 1);
+    });
+
+    test('sends no compensation while frost protection controls the unit', async () => {
+        const { device, sent } = createDevice({
+            config: { frostProtection: { enable: true, min: 13, max: 16 } },
+            record: (accountType, displayType, data, flag) => ({ flag, setTemperature: data.Device.SetTemperature })
+        });
+        device.deviceData = { Device: { Power: false, OperationMode: 1, FanSpeed: 3, SetTemperature: 22, RoomTemperature: 12 } };
+        device.roomCurrentTemp = 12.5;
+        device.userTargetTemperature = 22;
+
+        // Protection heats the unit, the heat:3 offset differs from the off one
+        await device.temperatureProtection.update(device.deviceData);
+        assert.strictEqual(device.temperatureProtection.isActive(), true);
+        for (let i = 0; i < 10; i++) device.offsetEstimator.update(unit(15.5), 12.5);
+        device.deviceData.Device.Power = true;
+        await device.externalSensor.updateTemperatureOffset();
+
+        assert.strictEqual(Math.round(device.temperatureOffset), 3);
+        assert.deepStrictEqual(sent.map(request => request.setTemperature), [16]);
+        assert.strictEqual(device.deviceData.Device.SetTemperature, 16);
+    });
+
+    test('compensation uses the learned offset, not the latest difference', async () => {
+        const { device } = createDevice();
+        device.deviceData = unit(19);
+        device.roomCurrentTemp = 21;
+        for (let i = 0; i < 10; i++) device.offsetEstimator.update(device.deviceData, 21);
+
+        device.deviceData.Device.RoomTemperature = 17;
+        await device.externalSensor.updateTemperatureOffset();
+
+        assert.strictEqual(Math.round(device.temperatureOffset * 10) / 10, -2);
+    });
+});
+
+console.log('Running OffsetEstimator tests...\n');
@@ -0,0 +1,51 @@
+/**
+ * Tests for MELCloud Home scenes shown as switches
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { Characteristic } from '../mocks/homebridge-api.js';
+import { createDevice, createPreparedDevice, homeAccount } from './create-device.js';
+import { heatingDeviceData } from '../fixtures/device-data.js';
+
+describe('Scenes', () => {
+    const scenes = [
+        { id: 'scene-1', displayType: 1, name: 'Away', namePrefix: false },
+        { id: 'scene-2', displayType: 0, name: 'Hidden', namePrefix: false }
+    ];
+
+    const sceneDeviceData = { ...heatingDeviceData, Scenes: [{ Id: 'scene-1', Name: 'Away', Enabled: false }] };
+    const record = (accountType, displayType, data, flag, flagData) => ({ flag, flagData: structuredClone(flagData) });
+    const createSceneDevice = () => createPreparedDevice({ account: homeAccount, config: { scenes }, deviceData: sceneDeviceData, record });
+
+    test('creates switch only for scenes with display type', async () => {
+        const { device } = await createSceneDevice();
+
+        assert.deepStrictEqual(Object.keys(device.services.scenes), ['scene-1']);
+    });
+
+    test('enables scene from switch', async () => {
+        const { device, sent } = await createSceneDevice();
+
+        await device.services.scenes['scene-1'].getCharacteristic(Characteristic.On)._setHandler(true);
+
+        assert.strictEqual(sent[0].flag, 'scene');
+        assert.deepStrictEqual(sent[0].flagData, { Id: 'scene-1', Name: 'Away', Enabled: true });
+    });
+
+    test('switch follows scene state of the account', async () => {
+        const { device } = await createSceneDevice();
+        device.deviceData.Scenes[0].Enabled = true;
+
+        device.stateUpdater.update();
+
+        assert.strictEqual(device.services.scenes['scene-1'].getCharacteristic(Characteristic.On)._value, true);
+    });
+
+    test('ignores scenes on classic MELCloud accounts', () => {
+        const { device } = createDevice({ config: { scenes } });
+
+        assert.deepStrictEqual(device.scenes, []);
+    });
+});
+
+console.log('Running scene switch tests...\n');
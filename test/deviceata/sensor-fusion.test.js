@@ -0,0 +1,108 @@
+/**
+ * Tests for SensorFusion - weighted, outlier-free room temperature from several sensors
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { SensorFusion } from '../../src/deviceata/sensor-fusion.js';
+import { ThermalManager } from '../../src/deviceata/thermal/index.js';
+import { createDevice } from './create-device.js';
+
+describe('Sensor fusion', () => {
+    const now = Date.now();
+    const reading = (name, temperature, weight = 1, extra = {}) => ({ name, temperature, weight, humidity: null, online: true, lastUpdate: new Date(now - 60000), ...extra });
+
+    // Client stub with the getters every sensor client provides
+    const client = (temperature, humidity = null, online = true) => ({
+        getTemperature: () => temperature,
+        getHumidity: () => humidity,
+        isOnline: () => online,
+        getLastUpdate: () => new Date()
+    });
+
+    test('combines readings by weighted mean', () => {
+        const fusion = new SensorFusion();
+        const result = fusion.fuse([reading('Window', 20, 1, { humidity: 50 }), reading('Sofa', 22, 3, { humidity: 40 })], now);
+
+        assert.strictEqual(result.temperature, 21.5);
+        assert.strictEqual(result.humidity, 42.5);
+    });
+
+    test('rejects outliers against the median', () => {
+        const fusion = new SensorFusion({ fusion: 'median', outlierThreshold: 1 });
+        const result = fusion.fuse([reading('Window', 17.5), reading('Sofa', 21.2), reading('Desk', 21.6), reading('Hall', 21.4, 2)], now);
+
+        assert.strictEqual(result.temperature, 21.4);
+        assert.deepStrictEqual(result.rejected.map(rejected => [rejected.name, rejected.reason]), [['Window', 'outlier']]);
+    });
+
+    test('drops stale and offline readings and works with the rest', () => {
+        const fusion = new SensorFusion({ maxAge: 1800 });
+        const result = fusion.fuse([
+            reading('Window', 19, 1, { lastUpdate: new Date(now - 3600000) }),
+            reading('Sofa', 21.5, 1, { online: false }),
+            reading('Desk', 21, 1),
+            reading('Hall', null, 1, { lastUpdate: null })
+        ], now);
+
+        assert.strictEqual(result.temperature, 21);
+        assert.deepStrictEqual(result.used.map(used => used.name), ['Desk']);
+        assert.deepStrictEqual(result.rejected.map(rejected => rejected.name), ['Window', 'Sofa']);
+
+        assert.strictEqual(fusion.fuse([reading('Window', 19, 1, { online: false })], now).temperature, null);
+    });
+
+    test('reads the single top level sensor when no list is given', () => {
+        const { device } = createDevice({ config: { externalSensor: { type: 'mqtt', broker: 'mqtt://localhost', temperatureTopic: 'room/temperature' } } });
+
+        const configs = device.externalSensor.getSensorConfigs();
+        assert.strictEqual(configs.length, 1);
+        assert.deepStrictEqual([configs[0].type, configs[0].name, configs[0].weight], ['mqtt', 'External sensor', 1]);
+    });
+
+    test('sets the room temperature from the fused readings', () => {
+        const { device } = createDevice({
+            config: { externalSensor: { sensors: [{ name: 'Window', type: 'shelly', weight: 1 }, { name: 'Sofa', type: 'shelly-local', weight: 1 }] } }
+        });
+        device.sensors = [
+            { name: 'Window', weight: 1, client: client(20.5, 48) },
+            { name: 'Sofa', weight: 1, client: client(21.5, 44) }
+        ];
+
+        device.externalSensor.fuse();
+        assert.strictEqual(device.roomCurrentTemp, 21);
+        assert.strictEqual(device.externalHumidity, 46);
+
+        // One sensor drops out, the other keeps the room temperature going
+        device.sensors[1].client = client(21.5, 44, false);
+        device.externalSensor.fuse();
+        assert.strictEqual(device.roomCurrentTemp, 20.5);
+
+        // No usable reading and no AC reading to fall back on
+        device.sensors[0].client = client(20.5, 48, false);
+        assert.strictEqual(device.externalSensor.fuse(), null);
+        assert.strictEqual(device.roomCurrentTemp, null);
+        assert.strictEqual(device.sensorState, 'fault');
+    });
+
+    test('logs each reading and the fused value to InfluxDB', () => {
+        const { device } = createDevice();
+        device.sensors = [
+            { name: 'Window', weight: 1, client: client(20, 50) },
+            { name: 'Sofa', weight: 3, client: client(22, 40) }
+        ];
+        device.externalSensor.fuse();
+
+        const written = [];
+        const manager = new ThermalManager(device);
+        manager.influxClient = { writeSensorPoints: (data) => written.push(data) };
+        manager.logSensors();
+
+        assert.deepStrictEqual(written[0].sensors.map(sensor => [sensor.sensor, sensor.temperature, sensor.used]), [
+            ['Window', 20, true],
+            ['Sofa', 22, true],
+            ['fused', 21.5, true]
+        ]);
+    });
+});
+
+console.log('Running SensorFusion tests...\n');
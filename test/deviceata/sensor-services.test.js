@@ -0,0 +1,78 @@
+/**
+ * Tests for the optional room, humidity, AC and outdoor sensor services
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { SensorState } from '../../src/deviceata/predictive/constants.js';
+import { Characteristic } from '../mocks/homebridge-api.js';
+import { createPreparedDevice } from './create-device.js';
+import { heatingDeviceData } from '../fixtures/device-data.js';
+
+describe('Sensor services', () => {
+    const createSensorDevice = async (sensorServices) => (await createPreparedDevice({ config: { sensorServices }, deviceData: heatingDeviceData })).device;
+
+    test('are not created by default', async () => {
+        const device = await createSensorDevice(undefined);
+
+        assert.strictEqual(device.services.sensors, undefined);
+    });
+
+    test('show room, humidity, AC and outdoor readings', async () => {
+        const device = await createSensorDevice({ room: true, humidity: true, ac: true, outdoor: true });
+        assert.deepStrictEqual(Object.keys(device.services.sensors), ['room', 'ac', 'outdoor', 'humidity']);
+
+        device.roomCurrentTemp = 21.3;
+        device.sensorState = SensorState.OK;
+        device.externalHumidity = 46.5;
+        device.deviceData.Device.RoomTemperature = 24;
+        device.predictiveController.weatherClient.forecast = { hourly: [{ time: new Date(), temperature: -2.5 }] };
+        device.accessoryState = device.stateParser.parse(device.deviceData);
+        device.stateUpdater.update();
+
+        const { room, humidity, ac, outdoor } = device.services.sensors;
+        assert.strictEqual(room.getCharacteristic(Characteristic.CurrentTemperature)._value, 21.3);
+        assert.strictEqual(humidity.getCharacteristic(Characteristic.CurrentRelativeHumidity)._value, 46.5);
+        assert.strictEqual(ac.getCharacteristic(Characteristic.CurrentTemperature)._value, 24);
+        assert.strictEqual(outdoor.getCharacteristic(Characteristic.CurrentTemperature)._value, -2.5);
+    });
+
+    test('keep the last value while a reading is missing', async () => {
+        const device = await createSensorDevice({ humidity: true });
+        const humidity = device.services.sensors.humidity.getCharacteristic(Characteristic.CurrentRelativeHumidity);
+
+        device.externalHumidity = 50;
+        device.accessoryState = device.stateParser.parse(device.deviceData);
+        device.stateUpdater.update();
+
+        device.externalHumidity = null;
+        device.accessoryState = device.stateParser.parse(device.deviceData);
+        device.stateUpdater.update();
+
+        assert.strictEqual(humidity._value, 50);
+        assert.strictEqual(await humidity._getHandler(), 50);
+    });
+
+    test('room sensor shows only room sensor readings', async () => {
+        const device = await createSensorDevice({ room: true });
+        const room = device.services.sensors.room;
+
+        device.roomCurrentTemp = 21.3;
+        device.sensorState = SensorState.OK;
+        device.accessoryState = device.stateParser.parse(device.deviceData);
+        device.stateUpdater.update();
+        assert.strictEqual(room.getCharacteristic(Characteristic.CurrentTemperature)._value, 21.3);
+        assert.strictEqual(room.getCharacteristic(Characteristic.StatusFault)._value, 0);
+
+        // Degraded estimate from the AC sensor keeps the last reading and marks the sensor faulted
+        device.roomCurrentTemp = 22.8;
+        device.sensorState = SensorState.DEGRADED;
+        device.accessoryState = device.stateParser.parse(device.deviceData);
+        device.stateUpdater.update();
+        assert.strictEqual(device.accessoryState.roomCurrentTemp, 22.8);
+        assert.strictEqual(room.getCharacteristic(Characteristic.CurrentTemperature)._value, 21.3);
+        assert.strictEqual(await room.getCharacteristic(Characteristic.CurrentTemperature)._getHandler(), 21.3);
+        assert.strictEqual(room.getCharacteristic(Characteristic.StatusFault)._value, 1);
+    });
+});
+
+console.log('Running sensor service tests...\n');
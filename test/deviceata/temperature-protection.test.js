@@ -0,0 +1,103 @@
+/**
+ * Tests for TemperatureProtection - frost and overheat protection, native or emulated
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { AirConditioner } from '../../src/constants.js';
+import { Characteristic } from '../mocks/homebridge-api.js';
+import { createDevice, homeAccount } from './create-device.js';
+import { offDeviceData } from '../fixtures/device-data.js';
+
+describe('Frost and overheat protection', () => {
+    const { PowerOperationModeSetTemperature } = AirConditioner.EffectiveFlags;
+
+    const record = (accountType, displayType, data, flag) => ({ device: { ...data.Device }, flag, data: structuredClone(data) });
+    const createProtectionDevice = (config, account) => createDevice({ config, account, deviceData: offDeviceData, record });
+
+    test('emulates frost protection from the external sensor', async () => {
+        const { device, sent } = createProtectionDevice({ frostProtection: { enable: true, min: 13, max: 16 } });
+        const protection = device.temperatureProtection;
+
+        device.roomCurrentTemp = 12.5;
+        assert.strictEqual(await protection.update(device.deviceData), true);
+        assert.strictEqual(sent[0].flag, PowerOperationModeSetTemperature);
+        assert.deepStrictEqual([sent[0].device.Power, sent[0].device.OperationMode, sent[0].device.SetTemperature], [true, 1, 16]);
+
+        device.roomCurrentTemp = 15;
+        assert.strictEqual(await protection.update(device.deviceData), true);
+        device.roomCurrentTemp = 16;
+        assert.strictEqual(await protection.update(device.deviceData), false);
+        assert.strictEqual(sent.length, 2);
+        assert.strictEqual(sent[1].device.Power, offDeviceData.Device.Power);
+        assert.strictEqual(sent[1].device.OperationMode, offDeviceData.Device.OperationMode);
+    });
+
+    test('emulates overheat protection above max', async () => {
+        const { device, sent } = createProtectionDevice({ overheatProtection: { enable: true, min: 32, max: 35 } });
+
+        device.roomCurrentTemp = 35;
+        assert.strictEqual(await device.temperatureProtection.update(device.deviceData), false);
+        device.roomCurrentTemp = 35.5;
+        assert.strictEqual(await device.temperatureProtection.update(device.deviceData), true);
+        assert.deepStrictEqual([sent[0].device.OperationMode, sent[0].device.SetTemperature], [3, 32]);
+    });
+
+    test('keeps thresholds inside the unit range', async () => {
+        const { device } = createProtectionDevice({ frostProtection: { enable: true, min: 15, max: 16 } });
+
+        await device.temperatureProtection.init();
+
+        const { min, max } = device.temperatureProtection.protections.frost;
+        assert.deepStrictEqual({ min, max }, { min: 14, max: 16 });
+    });
+
+    test('sends thresholds to MELCloud Home and follows its activation', async () => {
+        const { device, sent } = createProtectionDevice({ frostProtection: { enable: true, min: 10, max: 14 } }, homeAccount);
+        const messages = [];
+        device.on('warn', message => messages.push(message));
+
+        assert.strictEqual(await device.temperatureProtection.update(device.deviceData), false);
+        assert.strictEqual(sent.length, 1);
+        assert.strictEqual(sent[0].flag, 'frostprotection');
+        assert.deepStrictEqual(sent[0].data.FrostProtection, { Enabled: true, Min: 10, Max: 14 });
+
+        device.deviceData.FrostProtection.Active = true;
+        assert.strictEqual(await device.temperatureProtection.update(device.deviceData), true);
+        assert.strictEqual(sent.length, 1);
+        assert.match(messages[0], /Frost protection activated/);
+    });
+
+    test('sends thresholds to MELCloud Home again after a failed send', async () => {
+        const { device, sent } = createProtectionDevice({ frostProtection: { enable: true, min: 10, max: 14 } }, homeAccount);
+        let fail = true;
+        device.melCloudAta = {
+            send: async (accountType, displayType, data, flag) => {
+                if (fail) throw new Error('Request failed with status code 500');
+                sent.push({ flag });
+            }
+        };
+
+        await device.temperatureProtection.update(device.deviceData);
+        assert.strictEqual(device.temperatureProtection.requested, false);
+
+        fail = false;
+        await device.temperatureProtection.update(device.deviceData);
+        await device.temperatureProtection.update(device.deviceData);
+        assert.deepStrictEqual(sent, [{ flag: 'frostprotection' }]);
+    });
+
+    test('switch disables active emulated protection', async () => {
+        const { device, sent } = createProtectionDevice({ frostProtection: { enable: true, switch: true } });
+        await device.prepareAccessory();
+        device.roomCurrentTemp = 10;
+        await device.temperatureProtection.update(device.deviceData);
+
+        await device.services.protections.frost.getCharacteristic(Characteristic.On)._setHandler(false);
+
+        assert.strictEqual(device.temperatureProtection.isActive(), false);
+        assert.strictEqual(sent.length, 2);
+        assert.strictEqual(sent[1].device.Power, offDeviceData.Device.Power);
+    });
+});
+
+console.log('Running TemperatureProtection tests...\n');
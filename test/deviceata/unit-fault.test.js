@@ -0,0 +1,122 @@
+/**
+ * Tests for UnitFault - error code decoding, fault history and paused control
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { UnitFault } from '../../src/deviceata/unit-fault.js';
+import { Characteristic } from '../mocks/homebridge-api.js';
+import { createDevice } from './create-device.js';
+import { sampleAccount, heatingDeviceData } from '../fixtures/device-data.js';
+
+describe('Unit faults', () => {
+    // Heating unit reporting the given fault values
+    const withDevice = (values) => ({ ...heatingDeviceData, Device: { ...heatingDeviceData.Device, ...values } });
+
+    function characteristic(state, type) {
+        return state.characteristics.find(c => c.type === type).value;
+    }
+
+    test('healthy unit reports no fault', () => {
+        const device = createDevice({ deviceData: withDevice({ ErrorCode: 8000 }) }).device;
+
+        assert.strictEqual(device.accessoryState.fault.active, false);
+        assert.strictEqual(characteristic(device.accessoryState, Characteristic.StatusFault), 0);
+        assert.strictEqual(characteristic(device.accessoryState, Characteristic.StatusActive), true);
+    });
+
+    test('decodes error code into readable message', () => {
+        const device = createDevice({ deviceData: withDevice({ HasError: true, ErrorCode: 2502 }) }).device;
+
+        assert.strictEqual(device.accessoryState.fault.message, 'Drain Pump Fault (2502)');
+        assert.strictEqual(characteristic(device.accessoryState, Characteristic.StatusFault), 1);
+    });
+
+    test('lost communication clears StatusActive', () => {
+        const offline = createDevice({ deviceData: withDevice({ Offline: true }) }).device;
+        const disconnected = createDevice({ deviceData: withDevice({ IsConnected: false }) }).device;
+
+        assert.strictEqual(characteristic(offline.accessoryState, Characteristic.StatusActive), false);
+        assert.strictEqual(disconnected.accessoryState.fault.message, 'Unit not connected to MELCloud');
+    });
+
+    test('logs fault changes with history', () => {
+        const device = createDevice({ deviceData: withDevice({ HasError: true, ErrorCode: 5101 }) }).device;
+        const warnings = [];
+        const infos = [];
+        device.on('warn', warning => warnings.push(warning));
+        device.on('info', info => infos.push(info));
+
+        assert.strictEqual(device.unitFault.update(device.accessoryState.fault, 1000), true);
+        assert.strictEqual(device.unitFault.update(device.accessoryState.fault, 2000), true);
+        assert.strictEqual(device.unitFault.update(UnitFault.parse(heatingDeviceData), 3000), false);
+
+        assert.strictEqual(warnings.length, 1);
+        assert.strictEqual(infos.filter(info => info.startsWith('Unit fault cleared')).length, 1);
+        assert.strictEqual(device.unitFault.current, null);
+        assert.deepStrictEqual(device.unitFault.history.map(entry => [entry.time, entry.cleared]), [[3000, true], [1000, false]]);
+    });
+
+    test('keeps the last 20 fault changes', () => {
+        const device = createDevice({ deviceData: withDevice({}) }).device;
+
+        for (let i = 0; i < 15; i++) {
+            device.unitFault.update({ active: true, message: `Fault ${i}` }, i);
+        }
+
+        assert.strictEqual(device.unitFault.history.length, 20);
+        assert.strictEqual(device.unitFault.history[0].message, 'Fault 14');
+    });
+
+    test('publishes fault history over RESTful and MQTT', () => {
+        const device = createDevice({ deviceData: withDevice({ HasError: true, ErrorCode: 2502 }) }).device;
+        const published = [];
+        device.melCloudAta = {
+            restFulEnabled: true,
+            mqttEnabled: true,
+            emit: (channel, topic, data) => published.push({ channel, topic, data })
+        };
+
+        device.unitFault.update(device.accessoryState.fault, Date.UTC(2026, 10, 3, 12));
+
+        assert.deepStrictEqual(published.map(entry => [entry.channel, entry.topic]), [['restFul', 'faults'], ['mqtt', 'Faults']]);
+        assert.deepStrictEqual(published[0].data, [{ time: '2026-11-03T12:00:00.000Z', message: 'Drain Pump Fault (2502)', cleared: false }]);
+    });
+
+    test('restores fault history after a restart', async () => {
+        const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'fault-test-'));
+        try {
+            const device = createDevice({ deviceData: withDevice({ HasError: true, ErrorCode: 2502 }) }).device;
+            device.api.user.storagePath = () => tempDir;
+            await device.unitFault.init();
+            device.unitFault.update(device.accessoryState.fault, 1000);
+            await device.unitFault.save();
+
+            const restarted = createDevice({ deviceData: withDevice({}) }).device;
+            restarted.api.user.storagePath = () => tempDir;
+            await restarted.unitFault.init();
+
+            assert.strictEqual(path.basename(restarted.unitFault.file), `${sampleAccount.name}_${restarted.deviceId}_Faults.json`);
+            assert.deepStrictEqual(restarted.unitFault.history, [{ time: 1000, message: 'Drain Pump Fault (2502)', cleared: false }]);
+        } finally {
+            await fs.rm(tempDir, { recursive: true, force: true });
+        }
+    });
+
+    test('sends no compensation while the unit reports a fault', async () => {
+        const { device, sent } = createDevice({ deviceData: withDevice({ HasError: true, ErrorCode: 2502 }), record: (accountType, displayType, data) => structuredClone(data) });
+        device.unitFault.update(device.accessoryState.fault);
+
+        device.roomCurrentTemp = 19;
+        device.userTargetTemperature = 22;
+        for (let i = 0; i < 10; i++) device.offsetEstimator.update(device.deviceData, 19);
+        await device.externalSensor.updateTemperatureOffset();
+
+        assert.ok(Math.abs(device.temperatureOffset) > 0.3);
+        assert.strictEqual(sent.length, 0);
+    });
+});
+
+console.log('Running UnitFault tests...\n');
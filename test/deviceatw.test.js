@@ -0,0 +1,247 @@
+/**
+ * Tests for DeviceAtw - heat pump state parsing, services and commands
+ */
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import DeviceAtw from '../src/deviceatw/index.js';
+import MelCloud from '../src/melcloud.js';
+import MelCloudAtw from '../src/melcloudatw.js';
+import { ApiUrls, HeatPump } from '../src/constants.js';
+import { createMockApi, Characteristic, HAPStatus } from './mocks/homebridge-api.js';
+import { MelCloudMock } from './mocks/melcloudata-mock.js';
+import { MelCloudEmulator } from './emulator/melcloud-emulator.js';
+import {
+    heatPumpDeviceData,
+    sampleAccount,
+    sampleHeatPumpConfig,
+    sampleAccountInfo,
+    sampleMelcloudDevicesList
+} from './fixtures/device-data.js';
+
+// Helper to create device instance with recorded commands
+function createDevice(deviceConfig = sampleHeatPumpConfig, deviceData = heatPumpDeviceData) {
+    const device = new DeviceAtw(
+        createMockApi(),
+        sampleAccount,
+        deviceConfig,
+        '/tmp/temps',
+        sampleAccountInfo,
+        '/tmp/account',
+        new MelCloudMock(),
+        sampleMelcloudDevicesList
+    );
+
+    const sent = [];
+    device.melCloudAtw = {
+        mergeFlags: MelCloudAtw.prototype.mergeFlags,
+        send: async (data, flag) => {
+            sent.push({ device: { ...data.Device }, flag });
+            return true;
+        }
+    };
+    device.deviceData = structuredClone(deviceData);
+    device.accessoryState = device.stateParser.parse(device.deviceData);
+
+    return { device, sent };
+}
+
+function withDevice(values) {
+    return { ...heatPumpDeviceData, Device: { ...heatPumpDeviceData.Device, ...values } };
+}
+
+describe('DeviceAtw', () => {
+    describe('State parsing', () => {
+        test('heating zone produces heat states', () => {
+            const { device } = createDevice();
+            const state = device.accessoryState;
+
+            assert.strictEqual(state.zones.length, 1);
+            assert.strictEqual(state.zones[0].currentState, 1);
+            assert.strictEqual(state.zones[0].targetState, 1);
+            assert.strictEqual(state.roomCurrentTemp, 20.5);
+            assert.strictEqual(state.targetHeaterCoolerState, 1);
+            assert.strictEqual(state.tank.heating, false);
+        });
+
+        test('cooling zone maps to cool season for predictive control', () => {
+            const { device } = createDevice(sampleHeatPumpConfig, withDevice({ CanCool: true, OperationModeZone1: 3 }));
+
+            assert.strictEqual(device.accessoryState.zones[0].targetState, 2);
+            assert.strictEqual(device.accessoryState.targetHeaterCoolerState, 2);
+        });
+
+        test('power off and idle zone report off', () => {
+            const off = createDevice(sampleHeatPumpConfig, withDevice({ Power: false })).device.accessoryState;
+            const idle = createDevice(sampleHeatPumpConfig, withDevice({ IdleZone1: true })).device.accessoryState;
+
+            assert.strictEqual(off.zones[0].targetState, 0);
+            assert.strictEqual(idle.zones[0].currentState, 0);
+            assert.strictEqual(idle.zones[0].targetState, 1);
+        });
+
+        test('hot water mode marks tank as heating', () => {
+            const { device } = createDevice(sampleHeatPumpConfig, withDevice({ OperationMode: 1 }));
+
+            assert.strictEqual(device.accessoryState.tank.heating, true);
+        });
+    });
+
+    describe('Services', () => {
+        test('creates zone, hot water and temperature sensor services', async () => {
+            const { device } = createDevice();
+
+            await device.prepareAccessory();
+
+            assert.deepStrictEqual(Object.keys(device.services).sort(), ['flow', 'hotWater', 'hotWaterBoost', 'information', 'outdoor', 'return', 'zone1']);
+            assert.deepStrictEqual(device.services.zone1.getCharacteristic(Characteristic.TargetHeatingCoolingState)._props.validValues, [0, 1]);
+            assert.strictEqual(device.services.hotWater.getCharacteristic(Characteristic.TargetTemperature)._props.maxValue, 60);
+        });
+
+        test('adds second zone and cooling when supported', async () => {
+            const { device } = createDevice(sampleHeatPumpConfig, withDevice({ HasZone2: true, CanCool: true }));
+
+            await device.prepareAccessory();
+
+            assert.ok(device.services.zone2);
+            assert.deepStrictEqual(device.services.zone1.getCharacteristic(Characteristic.TargetHeatingCoolingState)._props.validValues, [0, 1, 2]);
+        });
+
+        test('updates services from parsed state', async () => {
+            const { device } = createDevice();
+            await device.prepareAccessory();
+
+            device.accessoryState = device.stateParser.parse(withDevice({ FlowTemperature: 35, TankWaterTemperature: 49 }));
+            device.stateUpdater.update();
+
+            assert.strictEqual(device.services.flow.getCharacteristic(Characteristic.CurrentTemperature)._value, 35);
+            assert.strictEqual(device.services.hotWater.getCharacteristic(Characteristic.CurrentTemperature)._value, 49);
+        });
+    });
+
+    describe('Offline from cache', () => {
+        test('creates a thermostat accessory', async () => {
+            const { device } = createDevice();
+
+            const accessory = await device.prepareAccessory();
+
+            assert.strictEqual(accessory.category, device.Categories.THERMOSTAT);
+            assert.deepStrictEqual(accessory.context, { accountName: sampleAccount.name, deviceId: device.deviceId });
+        });
+
+        test('reports communication failure on zone 1 while offline', async () => {
+            const { device } = createDevice();
+            await device.prepareAccessory();
+            const state = device.services.zone1.getCharacteristic(Characteristic.CurrentHeatingCoolingState);
+
+            device.setOffline(true);
+
+            assert.strictEqual(state._value.hapStatus, HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+            assert.throws(() => device.assertOnline(), error => error.hapStatus === HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+        });
+    });
+
+    describe('Commands', () => {
+        let device;
+        let sent;
+
+        beforeEach(async () => {
+            ({ device, sent } = createDevice());
+            await device.prepareAccessory();
+        });
+
+        test('zone off powers heat pump down', async () => {
+            await device.services.zone1.getCharacteristic(Characteristic.TargetHeatingCoolingState)._setHandler(0);
+
+            assert.strictEqual(sent[0].flag, HeatPump.EffectiveFlags.Power);
+            assert.strictEqual(sent[0].device.Power, false);
+        });
+
+        test('zone heat sets power and thermostat mode', async () => {
+            await device.services.zone1.getCharacteristic(Characteristic.TargetHeatingCoolingState)._setHandler(1);
+
+            assert.strictEqual(sent[0].flag, HeatPump.EffectiveFlags.Power + HeatPump.EffectiveFlags.OperationModeZone1);
+            assert.strictEqual(sent[0].device.OperationModeZone1, 0);
+        });
+
+        test('zone temperature and hot water boost use heat pump flags', async () => {
+            await device.services.zone1.getCharacteristic(Characteristic.TargetTemperature)._setHandler(22);
+            await device.services.hotWaterBoost.getCharacteristic(Characteristic.On)._setHandler(true);
+
+            assert.strictEqual(sent[0].flag, HeatPump.EffectiveFlags.SetTemperatureZone1);
+            assert.strictEqual(sent[0].device.SetTemperatureZone1, 22);
+            assert.strictEqual(sent[1].flag, HeatPump.EffectiveFlags.ForcedHotWaterMode);
+            assert.strictEqual(sent[1].device.ForcedHotWaterMode, true);
+        });
+    });
+
+    describe('Predictive control', () => {
+        test('creates controller only when enabled', () => {
+            assert.strictEqual(createDevice().device.predictiveController, null);
+            assert.ok(createDevice({ ...sampleHeatPumpConfig, predictive: true }).device.predictiveController);
+        });
+
+        test('heat action drives zone 1 thermostat', async () => {
+            const { device, sent } = createDevice({ ...sampleHeatPumpConfig, predictive: true });
+
+            await device.actionExecutor.executeAction({ action: { type: 'setMode', mode: 'heat', setpoint: 22.5 } });
+
+            const { Power, OperationModeZone1, SetTemperatureZone1 } = HeatPump.EffectiveFlags;
+            assert.strictEqual(sent[0].flag, Power + OperationModeZone1 + SetTemperatureZone1);
+            assert.strictEqual(sent[0].device.SetTemperatureZone1, 22.5);
+        });
+
+        test('skips cool action on heat-only unit', async () => {
+            const { device, sent } = createDevice({ ...sampleHeatPumpConfig, predictive: true });
+
+            await device.actionExecutor.executeAction({ action: { type: 'setMode', mode: 'cool', setpoint: 24 } });
+
+            assert.strictEqual(sent.length, 0);
+        });
+    });
+
+    describe('MelCloudAtw', () => {
+        const originalBase = ApiUrls.Base;
+        let emulator;
+        let tempDir;
+        let melcloud;
+
+        before(async () => {
+            emulator = new MelCloudEmulator();
+            ApiUrls.Base = await emulator.start();
+            tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'melcloudatw-test-'));
+            melcloud = new MelCloud(sampleAccount, path.join(tempDir, 'Account'), path.join(tempDir, 'Buildings'));
+            await melcloud.connect();
+        });
+
+        after(async () => {
+            ApiUrls.Base = originalBase;
+            await emulator.stop();
+            await fs.rm(tempDir, { recursive: true, force: true });
+        });
+
+        test('merges zone and hot water commands without truncating flags', async () => {
+            const atw = new MelCloudAtw(sampleAccount, { id: '67890' }, path.join(tempDir, 'Account'), melcloud);
+            atw.commandDebounce = 20;
+            const deviceData = structuredClone(heatPumpDeviceData);
+            const { SetTemperatureZone1, ForcedHotWaterMode } = HeatPump.EffectiveFlags;
+
+            deviceData.Device.SetTemperatureZone1 = 22;
+            const first = atw.send(deviceData, SetTemperatureZone1);
+            deviceData.Device.ForcedHotWaterMode = true;
+            const second = atw.send(deviceData, ForcedHotWaterMode);
+            await Promise.all([first, second]);
+            atw.destroy();
+
+            const requests = emulator.requests.filter(r => r.url === ApiUrls.Post.Atw);
+            assert.strictEqual(requests.length, 1);
+            assert.strictEqual(requests[0].body.EffectiveFlags, SetTemperatureZone1 + ForcedHotWaterMode);
+            assert.strictEqual(requests[0].body.SetTemperatureZone1, 22);
+            assert.strictEqual(requests[0].body.ForcedHotWaterMode, true);
+        });
+    });
+});
+
+console.log('Running DeviceAtw tests...\n');
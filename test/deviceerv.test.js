@@ -0,0 +1,275 @@
+/**
+ * Tests for DeviceErv - ventilation state parsing, services, commands and night cooling
+ */
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import DeviceErv from '../src/deviceerv/index.js';
+import DeviceAta from '../src/deviceata/index.js';
+import MelCloud from '../src/melcloud.js';
+import MelCloudErv from '../src/melclouderv.js';
+import { PredictiveController } from '../src/deviceata/predictive/index.js';
+import { SeasonMode } from '../src/deviceata/predictive/constants.js';
+import { ApiUrls, Ventilation } from '../src/constants.js';
+import { createMockApi, Characteristic } from './mocks/homebridge-api.js';
+import { MelCloudMock } from './mocks/melcloudata-mock.js';
+import { MelCloudEmulator } from './emulator/melcloud-emulator.js';
+import {
+    ventilationDeviceData,
+    sampleAccount,
+    sampleVentilationConfig,
+    sampleDeviceConfig,
+    sampleAccountInfo,
+    sampleMelcloudDevicesList
+} from './fixtures/device-data.js';
+
+// Helper to create device instance with recorded commands
+function createDevice(deviceConfig = sampleVentilationConfig, deviceData = ventilationDeviceData) {
+    const device = new DeviceErv(
+        createMockApi(),
+        sampleAccount,
+        deviceConfig,
+        '/tmp/temps',
+        sampleAccountInfo,
+        '/tmp/account',
+        new MelCloudMock(),
+        sampleMelcloudDevicesList
+    );
+
+    const sent = [];
+    device.melCloudErv = {
+        destroy: () => {},
+        send: async (data, flag) => {
+            sent.push({ device: { ...data.Device }, flag });
+            return true;
+        }
+    };
+    device.deviceData = structuredClone(deviceData);
+    device.accessoryState = device.stateParser.parse(device.deviceData);
+
+    return { device, sent };
+}
+
+function withDevice(values) {
+    return { ...ventilationDeviceData, Device: { ...ventilationDeviceData.Device, ...values } };
+}
+
+describe('DeviceErv', () => {
+    describe('State parsing', () => {
+        test('manual fan speed and lossnay mode', () => {
+            const { device } = createDevice();
+            const state = device.accessoryState;
+
+            assert.strictEqual(state.power, true);
+            assert.strictEqual(state.fanLevel, 2);
+            assert.strictEqual(state.automaticFanSpeed, false);
+            assert.strictEqual(state.bypass, false);
+            assert.strictEqual(state.supplyTemp, 22);
+            assert.strictEqual(state.extractTemp, 24.5);
+        });
+
+        test('automatic fan speed shows actual level', () => {
+            const { device } = createDevice(sampleVentilationConfig, withDevice({ SetFanSpeed: 0, ActualSupplyFanSpeed: 3 }));
+
+            assert.strictEqual(device.accessoryState.automaticFanSpeed, true);
+            assert.strictEqual(device.accessoryState.fanLevel, 3);
+        });
+    });
+
+    describe('Services', () => {
+        test('creates fan, bypass and temperature sensor services', async () => {
+            const { device } = createDevice();
+
+            await device.prepareAccessory();
+
+            assert.deepStrictEqual(Object.keys(device.services).sort(), ['bypass', 'extract', 'information', 'main', 'outdoor', 'supply']);
+            assert.strictEqual(device.services.main.getCharacteristic(Characteristic.RotationSpeed)._props.maxValue, 4);
+        });
+
+        test('skips bypass when unit has no bypass damper', async () => {
+            const { device } = createDevice(sampleVentilationConfig, withDevice({ HasBypassVentilationMode: false }));
+
+            await device.prepareAccessory();
+
+            assert.strictEqual(device.services.bypass, undefined);
+        });
+    });
+
+    describe('Commands', () => {
+        let device;
+        let sent;
+
+        beforeEach(async () => {
+            ({ device, sent } = createDevice());
+            await device.prepareAccessory();
+        });
+
+        test('rotation speed sets fan speed', async () => {
+            await device.services.main.getCharacteristic(Characteristic.RotationSpeed)._setHandler(4);
+
+            assert.strictEqual(sent[0].flag, Ventilation.EffectiveFlags.SetFanSpeed);
+            assert.strictEqual(sent[0].device.SetFanSpeed, 4);
+        });
+
+        test('automatic target state sets fan speed 0', async () => {
+            await device.services.main.getCharacteristic(Characteristic.TargetFanState)._setHandler(1);
+
+            assert.strictEqual(sent[0].device.SetFanSpeed, 0);
+        });
+
+        test('bypass switch sets ventilation mode', async () => {
+            await device.services.bypass.getCharacteristic(Characteristic.On)._setHandler(true);
+
+            assert.strictEqual(sent[0].flag, Ventilation.EffectiveFlags.VentilationMode);
+            assert.strictEqual(sent[0].device.VentilationMode, 1);
+        });
+    });
+
+    describe('Night cooling', () => {
+        const { VentilationMode, SetFanSpeed } = Ventilation.EffectiveFlags;
+
+        test('creates coordinator only when enabled', () => {
+            assert.strictEqual(createDevice({ ...sampleVentilationConfig, nightCooling: false }).device.nightCooling, null);
+            assert.ok(createDevice().device.nightCooling);
+        });
+
+        test('bypass and boost while requested, settings restored after', async () => {
+            const { device, sent } = createDevice();
+
+            await device.nightCooling.handleRequest({ source: '1', bypass: true, boost: true, reason: 'night cooling' });
+            assert.strictEqual(sent[0].flag, VentilationMode | SetFanSpeed);
+            assert.strictEqual(sent[0].device.VentilationMode, 1);
+            assert.strictEqual(sent[0].device.SetFanSpeed, 4);
+
+            await device.nightCooling.handleRequest({ source: '1', bypass: false, boost: false, reason: 'night cooling ended' });
+            assert.strictEqual(sent[1].device.VentilationMode, 0);
+            assert.strictEqual(sent[1].device.SetFanSpeed, 2);
+        });
+
+        test('keeps bypass while any source still requests it', async () => {
+            const { device, sent } = createDevice();
+
+            await device.nightCooling.handleRequest({ source: '1', bypass: true, boost: false, reason: 'night cooling' });
+            await device.nightCooling.handleRequest({ source: '2', bypass: true, boost: false, reason: 'night cooling' });
+            await device.nightCooling.handleRequest({ source: '1', bypass: false, boost: false, reason: 'night cooling ended' });
+
+            assert.strictEqual(sent.length, 1);
+            assert.strictEqual(device.deviceData.Device.VentilationMode, 1);
+        });
+
+        test('leaves unit switched off by the user alone', async () => {
+            const { device, sent } = createDevice(sampleVentilationConfig, withDevice({ Power: false }));
+
+            await device.nightCooling.handleRequest({ source: '1', bypass: true, boost: true, reason: 'night cooling' });
+
+            assert.strictEqual(sent.length, 0);
+        });
+
+        test('follows requests emitted on the account client', async () => {
+            const { device, sent } = createDevice();
+            device.melcloud.on('ventilation', device.ventilationListener);
+
+            device.melcloud.emit('ventilation', { source: '1', bypass: true, boost: false, reason: 'night cooling' });
+            await new Promise(resolve => setImmediate(resolve));
+            await device.stop();
+
+            assert.strictEqual(sent[0].device.VentilationMode, 1);
+            assert.strictEqual(device.melcloud.listenerCount('ventilation'), 0);
+        });
+
+        test('picks up requests sent before it started', async () => {
+            const melcloud = new MelCloudMock();
+            const ata = new DeviceAta(createMockApi(), sampleAccount, sampleDeviceConfig, '/tmp/temps', sampleAccountInfo, '/tmp/account', melcloud, sampleMelcloudDevicesList);
+            ata.predictiveController.ventilationRequest = { bypass: true, boost: false };
+
+            // Unit off while the request arrives, applied on a later device update
+            const { device, sent } = createDevice(sampleVentilationConfig, withDevice({ Power: false }));
+            device.melcloud = melcloud;
+            device.followNightCooling();
+            await new Promise(resolve => setImmediate(resolve));
+            assert.strictEqual(sent.length, 0);
+
+            device.deviceData.Device.Power = true;
+            await device.nightCooling.apply();
+            assert.strictEqual(sent[0].device.VentilationMode, 1);
+
+            await ata.stop();
+            await device.stop();
+            assert.strictEqual(melcloud.listenerCount('ventilationSync'), 0);
+        });
+    });
+
+    describe('PredictiveController ventilation request', () => {
+        function createController(nightCooling) {
+            const controller = new PredictiveController({ targetTemperature: 23, location: {}, logInfo: false, logDebug: false, emit: () => {} });
+            controller.weatherClient.getForecastTemperatures = () => [18];
+            controller.setpointCalculator.isNightCoolingTime = () => nightCooling;
+            const events = [];
+            controller.on('ventilation', request => events.push(request));
+            return { controller, events };
+        }
+
+        test('requests bypass and boost when room is well above target', () => {
+            const { controller, events } = createController(true);
+
+            controller.updateVentilationRequest(25, 23, SeasonMode.SUMMER);
+            controller.updateVentilationRequest(25, 23, SeasonMode.SUMMER);
+
+            assert.strictEqual(events.length, 1);
+            assert.deepStrictEqual(events[0], { bypass: true, boost: true, reason: 'night cooling' });
+        });
+
+        test('no request outside summer', () => {
+            const { controller, events } = createController(true);
+
+            controller.updateVentilationRequest(25, 23, SeasonMode.WINTER);
+
+            assert.strictEqual(events.length, 0);
+        });
+    });
+
+    describe('MelCloudErv', () => {
+        const originalBase = ApiUrls.Base;
+        let emulator;
+        let tempDir;
+        let melcloud;
+
+        before(async () => {
+            emulator = new MelCloudEmulator();
+            ApiUrls.Base = await emulator.start();
+            tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'melclouderv-test-'));
+            melcloud = new MelCloud(sampleAccount, path.join(tempDir, 'Account'), path.join(tempDir, 'Buildings'));
+            await melcloud.connect();
+        });
+
+        after(async () => {
+            ApiUrls.Base = originalBase;
+            await emulator.stop();
+            await fs.rm(tempDir, { recursive: true, force: true });
+        });
+
+        test('posts merged fan speed and ventilation mode', async () => {
+            const erv = new MelCloudErv(sampleAccount, { id: '24680' }, path.join(tempDir, 'Account'), melcloud);
+            erv.commandDebounce = 20;
+            const deviceData = structuredClone(ventilationDeviceData);
+            const { VentilationMode, SetFanSpeed } = Ventilation.EffectiveFlags;
+
+            deviceData.Device.SetFanSpeed = 3;
+            const first = erv.send(deviceData, SetFanSpeed);
+            deviceData.Device.VentilationMode = 1;
+            const second = erv.send(deviceData, VentilationMode);
+            await Promise.all([first, second]);
+            erv.destroy();
+
+            const requests = emulator.requests.filter(r => r.url === ApiUrls.Post.Erv);
+            assert.strictEqual(requests.length, 1);
+            assert.strictEqual(requests[0].body.EffectiveFlags, VentilationMode | SetFanSpeed);
+            assert.strictEqual(requests[0].body.SetFanSpeed, 3);
+            assert.strictEqual(requests[0].body.VentilationMode, 1);
+        });
+    });
+});
+
+console.log('Running DeviceErv tests...\n');
@@ -0,0 +1,183 @@
+/**
+ * End-to-end tests of MelCloud and MelCloudAta HTTP code paths against the local MELCloud emulator
+ */
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import MelCloud from '../src/melcloud.js';
+import MelCloudAta from '../src/melcloudata.js';
+import { ApiUrls, AirConditioner } from '../src/constants.js';
+import { MelCloudEmulator } from './emulator/melcloud-emulator.js';
+import { sampleAccount } from './fixtures/device-data.js';
+
+const units = [
+    { id: 2001, name: 'Floor Area AC', placement: 'floorArea', state: { Power: true, OperationMode: 1, SetTemperature: 22, RoomTemperature: 19 } },
+    { id: 2002, name: 'Floor AC', placement: 'floor' },
+    { id: 2003, name: 'Area AC', placement: 'area' },
+    { id: 2004, name: 'Building AC', placement: 'building', state: { Power: false, RoomTemperature: 21 } }
+];
+
+describe('MelCloudEmulator', () => {
+    const originalBase = ApiUrls.Base;
+    let emulator;
+    let tempDir;
+
+    before(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'emulator-test-'));
+    });
+
+    after(async () => {
+        ApiUrls.Base = originalBase;
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    beforeEach(async () => {
+        if (emulator) await emulator.stop();
+        emulator = new MelCloudEmulator({ user: sampleAccount.user, password: sampleAccount.passwd, units, outdoorTemperature: 0 });
+        ApiUrls.Base = await emulator.start();
+        await fs.rm(path.join(tempDir, 'Account'), { force: true });
+    });
+
+    after(async () => {
+        await emulator.stop();
+    });
+
+    async function connect() {
+        const melcloud = new MelCloud(sampleAccount, path.join(tempDir, 'Account'), path.join(tempDir, 'Buildings'));
+        const accountInfo = await melcloud.connect();
+        assert.strictEqual(accountInfo.State, true);
+        return melcloud;
+    }
+
+    function loginCount() {
+        return emulator.requests.filter(r => r.url === ApiUrls.Post.ClientLogin).length;
+    }
+
+    describe('Account', () => {
+        test('rejects wrong credentials', async () => {
+            const melcloud = new MelCloud({ ...sampleAccount, passwd: 'wrong' }, path.join(tempDir, 'Account'), path.join(tempDir, 'Buildings'));
+
+            const accountInfo = await melcloud.connect();
+
+            assert.strictEqual(accountInfo.State, false);
+        });
+
+        test('lists units from building, floors and areas', async () => {
+            const melcloud = await connect();
+
+            const devicesList = await melcloud.checkDevicesList();
+
+            assert.deepStrictEqual(devicesList.Devices.map(device => device.DeviceID).sort(), ['2001', '2002', '2003', '2004']);
+            assert.strictEqual(devicesList.Devices.find(device => device.DeviceID === '2001').Device.Units.length, 2);
+        });
+
+        test('logs in again when the session expires', async () => {
+            const melcloud = await connect();
+            emulator.expireSessions();
+
+            const devicesList = await melcloud.checkDevicesList();
+
+            assert.strictEqual(devicesList.State, true);
+            assert.strictEqual(loginCount(), 2);
+        });
+
+        test('replays request after an injected 401', async () => {
+            const melcloud = await connect();
+            emulator.injectFault({ type: 'unauthorized', path: ApiUrls.Get.ListDevices });
+
+            const devicesList = await melcloud.checkDevicesList();
+
+            assert.strictEqual(devicesList.State, true);
+            assert.strictEqual(loginCount(), 2);
+        });
+
+        test('surfaces server errors and timeouts', async () => {
+            const melcloud = await connect();
+            melcloud.client.defaults.timeout = 200;
+
+            emulator.injectFault({ type: 'serverError', path: ApiUrls.Get.ListDevices });
+            await assert.rejects(melcloud.checkDevicesList(), /status code 500/);
+
+            emulator.injectFault({ type: 'timeout', path: ApiUrls.Get.ListDevices });
+            await assert.rejects(melcloud.checkDevicesList(), /timeout/);
+
+            const devicesList = await melcloud.checkDevicesList();
+            assert.strictEqual(devicesList.State, true);
+        });
+    });
+
+    describe('Units', () => {
+        test('heating unit warms the room, idle unit cools down', () => {
+            emulator.tick(60);
+
+            const heating = emulator.getUnit(2001).device;
+            const idle = emulator.getUnit(2004).device;
+            assert.ok(heating.RoomTemperature >= 21.5 && heating.RoomTemperature <= 22);
+            assert.ok(idle.RoomTemperature < 21);
+        });
+
+        test('SetAta command reaches the unit on the next tick', async () => {
+            const melcloud = await connect();
+            const ata = new MelCloudAta(sampleAccount, { id: '2004' }, path.join(tempDir, 'Temps'), path.join(tempDir, 'Account'), melcloud);
+            ata.commandDebounce = 20;
+            const devicesList = await melcloud.checkDevicesList();
+            const deviceData = structuredClone(devicesList.Devices.find(device => device.DeviceID === '2004'));
+
+            deviceData.Device.Power = true;
+            deviceData.Device.SetTemperature = 23;
+            await ata.send('melcloud', 1, deviceData, AirConditioner.EffectiveFlags.PowerSetTemperature);
+            assert.strictEqual(emulator.getUnit(2004).device.HasPendingCommand, true);
+
+            emulator.tick();
+            ata.destroy();
+
+            const device = emulator.getUnit(2004).device;
+            assert.strictEqual(device.Power, true);
+            assert.strictEqual(device.SetTemperature, 23);
+            assert.strictEqual(device.HasPendingCommand, false);
+        });
+
+        test('targeted refresh applies pending commands and reads the unit', async () => {
+            const melcloud = await connect();
+            melcloud.deviceRefreshEnabled = true;
+            melcloud.refreshDelay = 0;
+            emulator.getUnit(2001).pendingCommands.push({ payload: { EffectiveFlags: AirConditioner.EffectiveFlags.SetTemperature, SetTemperature: 20 }, ticks: 0 });
+
+            const deviceState = await melcloud.refreshDevice('2001', 1);
+
+            assert.strictEqual(deviceState.SetTemperature, 20);
+            assert.strictEqual(deviceState.HasPendingCommand, false);
+        });
+
+        test('offline unit keeps commands pending', () => {
+            emulator.setOffline(2001);
+            emulator.getUnit(2001).pendingCommands.push({ payload: { EffectiveFlags: AirConditioner.EffectiveFlags.Power, Power: false }, ticks: 0 });
+            emulator.getUnit(2001).device.HasPendingCommand = true;
+
+            emulator.tick(30);
+
+            const device = emulator.listDevices()[0].Structure.Floors[0].Areas[0].Devices[0].Device;
+            assert.strictEqual(device.Offline, true);
+            assert.strictEqual(device.Power, true);
+            assert.strictEqual(device.HasPendingCommand, true);
+            assert.strictEqual(device.RoomTemperature, 19);
+        });
+
+        test('energy report books consumption of running units', async () => {
+            const melcloud = await connect();
+            emulator.tick(60);
+
+            const today = new Date(Date.now() - new Date().getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+            const heating = await melcloud.getEnergyReport('2001', `${today}T00:00:00`, `${today}T23:59:59`);
+            const idle = await melcloud.getEnergyReport('2004', `${today}T00:00:00`, `${today}T23:59:59`);
+
+            assert.strictEqual(heating.Labels.length, 24);
+            assert.ok(heating.TotalHeatingConsumed > 1 && heating.TotalHeatingConsumed <= 1.2);
+            assert.strictEqual(idle.TotalHeatingConsumed, 0);
+        });
+    });
+});
+
+console.log('Running MelCloudEmulator tests...\n');
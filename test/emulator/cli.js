@@ -0,0 +1,32 @@
+/**
+ * Run the MELCloud emulator for local development
+ *
+ * Usage: npm run emulator -- [--port 8090] [--tick 1000] [--outdoor 5]
+ * Then start Homebridge with MELCLOUD_API_BASE set to the printed URL.
+ */
+import { parseArgs } from 'util';
+import { MelCloudEmulator } from './melcloud-emulator.js';
+
+const { values } = parseArgs({
+    options: {
+        port: { type: 'string', default: '8090' },
+        tick: { type: 'string', default: '1000' },
+        outdoor: { type: 'string', default: '5' }
+    }
+});
+
+const emulator = new MelCloudEmulator({
+    tickInterval: Number(values.tick),
+    outdoorTemperature: Number(values.outdoor)
+})
+    .on('request', (method, url) => console.log(`${method} ${url}`))
+    .on('command', (deviceId, payload) => console.log(`Unit ${deviceId} applied flags ${payload.EffectiveFlags}`));
+
+const baseUrl = await emulator.start(Number(values.port));
+console.log(`MELCloud emulator listening on ${baseUrl}`);
+console.log(`Start Homebridge with MELCLOUD_API_BASE=${baseUrl}`);
+
+process.on('SIGINT', async () => {
+    await emulator.stop();
+    process.exit(0);
+});
@@ -0,0 +1,412 @@
+/**
+ * Local MELCloud API emulator for offline development and integration tests
+ *
+ * Implements the classic MELCloud endpoints used by MelCloud and MelCloudAta
+ * (ClientLogin, GetUserDetails, ListDevices, SetAta, RequestRefresh, Device/Get,
+ * EnergyCost/Report, HolidayMode/Update), simulates room temperature and consumption
+ * of each air-to-air unit and lets tests inject faults:
+ * expired sessions (401), server errors, slow or never answered requests, commands
+ * the unit drops and offline units. SetAtw and SetErv are accepted but not simulated.
+ */
+import http from 'http';
+import EventEmitter from 'events';
+
+// SetAta effective flags the emulated units apply
+const Flags = {
+    Power: 1,
+    OperationMode: 2,
+    SetTemperature: 4,
+    SetFanSpeed: 8,
+    VaneVertical: 16,
+    VaneHorizontal: 256
+};
+
+// Operation modes that drive the room temperature
+const HeatModes = [1, 8]; // Heat, Auto
+const CoolModes = [2, 3, 8]; // Dry, Cool, Auto
+
+// Thermal model, per simulated minute
+const Thermal = {
+    LOSS_RATE: 0.0002,  // Share of the indoor/outdoor difference lost (passive house envelope)
+    HEAT_RATE: 0.05,    // °C gained while heating
+    COOL_RATE: 0.05     // °C removed while cooling
+};
+
+// Electrical power in kW, consumption is booked to the current hour
+const Consumption = {
+    ACTIVE_KW: 1.2,     // Compressor running
+    FAN_KW: 0.03        // Unit on, set temperature reached
+};
+const EnergyCategories = { 1: 'Heating', 2: 'Dry', 3: 'Cooling', 7: 'Fan', 8: 'Auto' };
+
+const DefaultUnits = [
+    { id: 1001, name: 'Living Room AC', placement: 'floorArea', state: { Power: true, OperationMode: 1, SetTemperature: 22, RoomTemperature: 20 } },
+    { id: 1002, name: 'Bedroom AC', placement: 'building', state: { Power: false, OperationMode: 3, SetTemperature: 24, RoomTemperature: 21 } }
+];
+
+export class MelCloudEmulator extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {string} [options.user] - Accepted login email, any login is accepted when not set
+     * @param {string} [options.password] - Accepted login password
+     * @param {Array} [options.units] - Units as { id, name, placement, state }, placement is building, area, floor or floorArea
+     * @param {number} [options.outdoorTemperature] - Outdoor temperature in °C
+     * @param {number} [options.commandDelay] - Ticks before a sent command reaches the unit
+     * @param {number} [options.tickInterval] - Real ms between simulated ticks, 0 ticks only on tick()
+     * @param {number} [options.minutesPerTick] - Simulated minutes per tick
+     */
+    constructor(options = {}) {
+        super();
+        this.user = options.user ?? null;
+        this.password = options.password ?? null;
+        this.outdoorTemperature = options.outdoorTemperature ?? 5;
+        this.commandDelay = options.commandDelay ?? 1;
+        this.tickInterval = options.tickInterval ?? 0;
+        this.minutesPerTick = options.minutesPerTick ?? 1;
+
+        this.buildingId = 1;
+        this.units = (options.units ?? DefaultUnits).map(unit => this.createUnit(unit));
+
+        this.server = null;
+        this.baseUrl = null;
+        this.tickTimer = null;
+        this.keyCounter = 0;
+        this.validKeys = new Set();
+        this.faults = [];
+        this.heldResponses = new Set();
+        this.requests = [];
+    }
+
+    createUnit({ id, name, placement = 'building', state = {} }) {
+        const device = {
+            DeviceID: id,
+            DeviceName: name,
+            DeviceType: 0,
+            Power: false,
+            OperationMode: 1,
+            SetTemperature: 21,
+            RoomTemperature: 21,
+            OutdoorTemperature: this.outdoorTemperature,
+            FanSpeed: 0,
+            SetFanSpeed: 0,
+            ActualFanSpeed: 0,
+            AutomaticFanSpeed: true,
+            NumberOfFanSpeeds: 5,
+            VaneVerticalDirection: 0,
+            VaneHorizontalDirection: 0,
+            InStandbyMode: false,
+            HasOutdoorTemperature: true,
+            HasAutomaticFanSpeed: true,
+            ModelSupportsFanSpeed: true,
+            ModelSupportsAuto: true,
+            ModelSupportsHeat: true,
+            ModelSupportsDry: true,
+            ModelSupportsStandbyMode: true,
+            AirDirectionFunction: true,
+            SwingFunction: true,
+            ModelSupportsWideVane: true,
+            TemperatureIncrement: true,
+            DefaultHeatingSetTemperature: 21,
+            DefaultCoolingSetTemperature: 24,
+            MinTempHeat: 10,
+            MaxTempHeat: 31,
+            MinTempCoolDry: 16,
+            MaxTempCoolDry: 31,
+            ProhibitSetTemperature: false,
+            ProhibitOperationMode: false,
+            ProhibitPower: false,
+            Offline: false,
+            HasError: false,
+            HasPendingCommand: false,
+            FirmwareAppVersion: '33.0.0',
+            Units: [
+                { ID: id * 10, IsIndoor: true, SerialNumber: `EMU${id}I`, Model: 'MSZ-LN25VG' },
+                { ID: id * 10 + 1, IsIndoor: false, SerialNumber: `EMU${id}O`, Model: 'MUZ-LN25VG' }
+            ],
+            ...state
+        };
+
+        return {
+            id: String(id),
+            name,
+            placement,
+            device,
+            roomTemperature: device.RoomTemperature, // Unrounded simulated value
+            energy: {}, // 'YYYY-MM-DD' → { Heating: [24 hourly kWh], ... }
+            pendingCommands: []
+        };
+    }
+
+    /**
+     * Start listening, random free port by default
+     * @returns {Promise<string>} Base URL to use as ApiUrls.Base
+     */
+    async start(port = 0, host = '127.0.0.1') {
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        await new Promise(resolve => this.server.listen(port, host, resolve));
+        this.baseUrl = `http://${host}:${this.server.address().port}`;
+
+        if (this.tickInterval > 0) {
+            this.tickTimer = setInterval(() => this.tick(), this.tickInterval);
+            this.tickTimer.unref();
+        }
+
+        return this.baseUrl;
+    }
+
+    async stop() {
+        clearInterval(this.tickTimer);
+        this.tickTimer = null;
+
+        //requests held by timeout faults would keep the server open
+        for (const res of this.heldResponses) res.destroy();
+        this.heldResponses.clear();
+
+        this.server.closeAllConnections();
+        await new Promise(resolve => this.server.close(resolve));
+    }
+
+    getUnit(deviceId) {
+        return this.units.find(unit => unit.id === String(deviceId));
+    }
+
+    /**
+     * Invalidate all issued context keys, next requests are answered with 401
+     */
+    expireSessions() {
+        this.validKeys.clear();
+    }
+
+    /**
+     * Inject a fault for matching requests
+     * @param {Object} fault
+     * @param {string} fault.type - unauthorized (401), serverError (500), timeout (never answered),
+     * delay (answered after fault.delay ms) or dropped (SetAta accepted, never reaches the unit)
+     * @param {string} [fault.path] - Pathname to match, all requests when not set
+     * @param {number} [fault.count] - Requests affected, Infinity until clearFaults()
+     * @param {number} [fault.delay] - Response delay in ms of delay faults
+     */
+    injectFault({ type, path = null, count = 1, delay = 0 }) {
+        this.faults.push({ type, path, count, delay });
+    }
+
+    clearFaults() {
+        this.faults = [];
+    }
+
+    /**
+     * Take a unit off line, it keeps its last report and does not apply commands
+     */
+    setOffline(deviceId, offline = true) {
+        const unit = this.getUnit(deviceId);
+        if (!unit) throw new Error(`Unknown unit: ${deviceId}`);
+        unit.device.Offline = offline;
+    }
+
+    /**
+     * Advance the simulation, sent commands reach units and room temperatures move
+     * @param {number} minutes - Simulated minutes
+     */
+    tick(minutes = this.minutesPerTick) {
+        for (const unit of this.units) {
+            if (unit.device.Offline) continue;
+
+            for (const command of unit.pendingCommands) command.ticks++;
+            this.applyPending(unit, command => command.ticks >= this.commandDelay);
+            this.simulate(unit, minutes);
+        }
+        this.emit('tick', minutes);
+    }
+
+    simulate(unit, minutes) {
+        const device = unit.device;
+
+        for (let minute = 0; minute < minutes; minute++) {
+            let temperature = unit.roomTemperature;
+            temperature += (this.outdoorTemperature - temperature) * Thermal.LOSS_RATE;
+
+            let active = false;
+            if (device.Power) {
+                if (HeatModes.includes(device.OperationMode) && temperature < device.SetTemperature) {
+                    temperature = Math.min(device.SetTemperature, temperature + Thermal.HEAT_RATE);
+                    active = true;
+                } else if (CoolModes.includes(device.OperationMode) && temperature > device.SetTemperature) {
+                    temperature = Math.max(device.SetTemperature, temperature - Thermal.COOL_RATE);
+                    active = true;
+                }
+                this.consume(unit, (active ? Consumption.ACTIVE_KW : Consumption.FAN_KW) / 60);
+            }
+            unit.roomTemperature = temperature;
+        }
+
+        //units report half degree steps
+        device.RoomTemperature = Math.round(unit.roomTemperature * 2) / 2;
+        device.OutdoorTemperature = this.outdoorTemperature;
+        device.ActualFanSpeed = device.Power ? (device.FanSpeed || 3) : 0;
+        device.LastCommunication = new Date().toISOString();
+    }
+
+    consume(unit, kwh, now = new Date()) {
+        const category = EnergyCategories[unit.device.OperationMode];
+        if (!category) return;
+
+        const date = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+        const day = unit.energy[date] ??= {};
+        day[category] ??= new Array(24).fill(0);
+        day[category][now.getHours()] += kwh;
+    }
+
+    /**
+     * EnergyCost/Report for a single day, hourly values in kWh
+     */
+    energyReport(unit, fromDate) {
+        const round = (value) => Math.round(value * 1000) / 1000;
+        const day = unit.energy[String(fromDate).slice(0, 10)] ?? {};
+        const report = { Labels: [...Array(24).keys()], LabelType: 1 };
+
+        for (const category of Object.values(EnergyCategories)) {
+            const hours = day[category] ?? new Array(24).fill(0);
+            report[category] = hours.map(round);
+            report[`Total${category}Consumed`] = round(hours.reduce((total, value) => total + value, 0));
+        }
+        return report;
+    }
+
+    applyPending(unit, predicate = () => true) {
+        const ready = unit.pendingCommands.filter(predicate);
+        unit.pendingCommands = unit.pendingCommands.filter(command => !ready.includes(command));
+
+        for (const { payload } of ready) {
+            const device = unit.device;
+            const flags = payload.EffectiveFlags;
+            if (flags & Flags.Power) device.Power = payload.Power;
+            if (flags & Flags.OperationMode) device.OperationMode = payload.OperationMode;
+            if (flags & Flags.SetTemperature) device.SetTemperature = payload.SetTemperature;
+            if (flags & Flags.SetFanSpeed) device.FanSpeed = device.SetFanSpeed = payload.SetFanSpeed;
+            if (flags & Flags.VaneVertical) device.VaneVerticalDirection = payload.VaneVertical;
+            if (flags & Flags.VaneHorizontal) device.VaneHorizontalDirection = payload.VaneHorizontal;
+            this.emit('command', unit.id, payload);
+        }
+        unit.device.HasPendingCommand = unit.pendingCommands.length > 0;
+    }
+
+    /**
+     * Buildings as returned by ListDevices, units spread over floors and areas
+     */
+    listDevices() {
+        const entry = (unit) => ({
+            DeviceID: Number(unit.id),
+            DeviceName: unit.name,
+            BuildingID: this.buildingId,
+            Type: 0,
+            SerialNumber: `EMU${unit.id}`,
+            Device: structuredClone(unit.device)
+        });
+        const placed = (placement) => this.units.filter(unit => unit.placement === placement).map(entry);
+
+        return [{
+            ID: this.buildingId,
+            BuildingName: 'Emulated Home',
+            Structure: {
+                Floors: [{ ID: 1, Name: 'Ground Floor', Devices: placed('floor'), Areas: [{ ID: 1, Name: 'Living', Devices: placed('floorArea') }] }],
+                Areas: [{ ID: 2, Name: 'Garden', Devices: placed('area') }],
+                Devices: placed('building'),
+                Clients: []
+            }
+        }];
+    }
+
+    takeFault(pathname) {
+        const fault = this.faults.find(fault => fault.count > 0 && (!fault.path || fault.path === pathname));
+        if (!fault) return null;
+
+        fault.count--;
+        this.faults = this.faults.filter(fault => fault.count > 0);
+        return fault;
+    }
+
+    handle(req, res) {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', async () => {
+            const url = new URL(req.url, 'http://localhost');
+            const contextKey = req.headers['x-mitscontextkey'];
+            const data = body ? JSON.parse(body) : null;
+            this.requests.push({ method: req.method, url: req.url, contextKey, body: data });
+            this.emit('request', req.method, req.url);
+
+            const fault = this.takeFault(url.pathname);
+            switch (fault?.type) {
+                case 'timeout':
+                    this.heldResponses.add(res);
+                    res.on('close', () => this.heldResponses.delete(res));
+                    return;
+                case 'serverError':
+                    return this.json(res, 500, { Message: 'An error has occurred.' });
+                case 'unauthorized':
+                    return this.json(res, 401, { Message: 'Authorization has been denied for this request.' });
+                case 'delay':
+                    await new Promise(resolve => setTimeout(resolve, fault.delay));
+                    break;
+            }
+
+            if (url.pathname === '/Login/ClientLogin') return this.login(res, data);
+            if (!this.validKeys.has(contextKey)) {
+                return this.json(res, 401, { Message: 'Authorization has been denied for this request.' });
+            }
+
+            const unit = this.getUnit(url.searchParams.get('id') ?? data?.DeviceID ?? data?.DeviceId);
+            switch (url.pathname) {
+                case '/User/GetUserDetails':
+                    return this.json(res, 200, { Email: this.user ?? 'emulator@localhost' });
+                case '/User/ListDevices':
+                    return this.json(res, 200, this.listDevices());
+                case '/Device/RequestRefresh':
+                    if (!unit) return this.json(res, 404, { Message: 'Device not found' });
+                    if (!unit.device.Offline) {
+                        this.applyPending(unit);
+                        this.simulate(unit, 0);
+                    }
+                    return this.json(res, 200, !unit.device.Offline);
+                case '/Device/Get':
+                    if (!unit) return this.json(res, 404, { Message: 'Device not found' });
+                    return this.json(res, 200, structuredClone(unit.device));
+                case '/Device/SetAta':
+                    if (!unit) return this.json(res, 404, { Message: 'Device not found' });
+                    if (fault?.type !== 'dropped') {
+                        unit.pendingCommands.push({ payload: data, ticks: 0 });
+                        unit.device.HasPendingCommand = true;
+                    }
+                    return this.json(res, 200, { ...unit.device, ...data, HasPendingCommand: true });
+                case '/Device/SetAtw':
+                case '/Device/SetErv':
+                    //heat pumps and ventilation units are not simulated
+                    return this.json(res, 200, { ...data, HasPendingCommand: true });
+                case '/HolidayMode/Update':
+                    return this.json(res, 200, { Success: true });
+                case '/EnergyCost/Report':
+                    if (!unit) return this.json(res, 404, { Message: 'Device not found' });
+                    return this.json(res, 200, this.energyReport(unit, data.FromDate));
+                default:
+                    return this.json(res, 404, { Message: 'Not found' });
+            }
+        });
+    }
+
+    login(res, data) {
+        const rejected = this.user && (data?.Email !== this.user || data?.Password !== this.password);
+        if (rejected) return this.json(res, 200, { ErrorId: 1, ErrorMessage: 'Invalid credentials', LoginData: null });
+
+        const key = `emulator-key-${++this.keyCounter}`;
+        this.validKeys.add(key);
+        const expiry = new Date(Date.now() + 365 * 24 * 3600000).toISOString();
+        return this.json(res, 200, { ErrorId: null, LoginData: { ContextKey: key, Expiry: expiry, UseFahrenheit: false, Name: 'Emulator' } });
+    }
+
+    json(res, status, data) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+    }
+}
+
+export default MelCloudEmulator;
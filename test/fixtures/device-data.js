@@ -91,6 +91,83 @@ export const standbyDeviceData = {
     }
 };
 
+// Sample ATW heat pump data from MELCloud API
+export const heatPumpDeviceData = {
+    Device: {
+        DeviceID: '67890',
+        DeviceName: 'Ecodan',
+        DeviceType: 1,
+        Power: true,
+        OperationMode: 2, // Heat Zones
+        OperationModeZone1: 0, // Heat Thermostat
+        OperationModeZone2: 0,
+        SetTemperatureZone1: 21,
+        SetTemperatureZone2: 20,
+        RoomTemperatureZone1: 20.5,
+        RoomTemperatureZone2: 19.5,
+        IdleZone1: false,
+        IdleZone2: true,
+        HasZone2: false,
+        HasHotWaterTank: true,
+        CanCool: false,
+        TankWaterTemperature: 46,
+        SetTankWaterTemperature: 50,
+        MaxTankTemperature: 60,
+        ForcedHotWaterMode: false,
+        EcoHotWater: false,
+        ProhibitZone1: false,
+        ProhibitZone2: false,
+        ProhibitHotWater: false,
+        FlowTemperature: 32.5,
+        ReturnTemperature: 28,
+        OutdoorTemperature: 4,
+        TemperatureIncrement: true,
+        HasPendingCommand: false
+    }
+};
+
+// Sample ATW device configuration
+export const sampleHeatPumpConfig = {
+    id: '67890',
+    name: 'Ecodan',
+    type: 1,
+    displayType: 1
+};
+
+// Sample ERV ventilation unit data from MELCloud API
+export const ventilationDeviceData = {
+    Device: {
+        DeviceID: '24680',
+        DeviceName: 'Lossnay',
+        DeviceType: 3,
+        Power: true,
+        OperationMode: 7, // Fan
+        VentilationMode: 0, // Lossnay
+        ActualVentilationMode: 0,
+        SetFanSpeed: 2,
+        ActualSupplyFanSpeed: 2,
+        ActualExtractFanSpeed: 2,
+        NumberOfFanSpeeds: 4,
+        HasAutomaticFanSpeed: true,
+        HasBypassVentilationMode: true,
+        NightPurgeMode: false,
+        RoomTemperature: 24.5,
+        SupplyTemperature: 22,
+        OutdoorTemperature: 17,
+        FilterMaintenanceRequired: false,
+        HasPendingCommand: false
+    }
+};
+
+// Sample ERV device configuration
+export const sampleVentilationConfig = {
+    id: '24680',
+    name: 'Lossnay',
+    type: 3,
+    displayType: 1,
+    nightCooling: true
+};
+
 // Sample account configuration
 export const sampleAccount = {
     name: 'TestAccount',
@@ -143,8 +220,12 @@ export default {
     autoDeviceData,
     offDeviceData,
     standbyDeviceData,
+    heatPumpDeviceData,
+    ventilationDeviceData,
     sampleAccount,
     sampleDeviceConfig,
+    sampleHeatPumpConfig,
+    sampleVentilationConfig,
     sampleAccountInfo,
     sampleMelcloudDevicesList
 };
@@ -0,0 +1,200 @@
+/**
+ * Tests for MelCloud account client against the local MELCloud emulator
+ */
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import MelCloud from '../src/melcloud.js';
+import MelCloudAta from '../src/melcloudata.js';
+import { ApiUrls } from '../src/constants.js';
+import { MelCloudEmulator } from './emulator/melcloud-emulator.js';
+import { sampleAccount } from './fixtures/device-data.js';
+
+describe('MelCloud', () => {
+    const originalBase = ApiUrls.Base;
+    let emulator;
+    let tempDir;
+
+    before(async () => {
+        emulator = new MelCloudEmulator({ user: sampleAccount.user, password: sampleAccount.passwd });
+        ApiUrls.Base = await emulator.start();
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'melcloud-test-'));
+    });
+
+    after(async () => {
+        ApiUrls.Base = originalBase;
+        await emulator.stop();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        emulator.expireSessions();
+        emulator.clearFaults();
+        emulator.requests = [];
+        emulator.password = sampleAccount.passwd;
+    });
+
+    function createMelCloud(account = sampleAccount) {
+        return new MelCloud(account, path.join(tempDir, 'Account'), path.join(tempDir, 'Buildings'));
+    }
+
+    function loginCount() {
+        return emulator.requests.filter(r => r.url === ApiUrls.Post.ClientLogin).length;
+    }
+
+    describe('Connect', () => {
+        test('logs in and lists devices', async () => {
+            const melcloud = createMelCloud();
+
+            const accountInfo = await melcloud.connect();
+            assert.strictEqual(accountInfo.State, true);
+
+            const devicesList = await melcloud.checkDevicesList();
+            assert.strictEqual(devicesList.State, true);
+            assert.strictEqual(devicesList.Devices[0].DeviceID, '1001');
+        });
+    });
+
+    describe('Session persistence', () => {
+        test('reuses saved context key across restarts', async () => {
+            const first = createMelCloud();
+            await first.connect();
+
+            const second = createMelCloud();
+            const accountInfo = await second.connect();
+
+            assert.strictEqual(accountInfo.State, true);
+            assert.match(accountInfo.Info, /session restored/);
+            assert.strictEqual(loginCount(), 1);
+            assert.strictEqual(second.contextKey, first.contextKey);
+
+            const devicesList = await second.checkDevicesList();
+            assert.strictEqual(devicesList.State, true);
+        });
+
+        test('logs in when saved context key is rejected', async () => {
+            const first = createMelCloud();
+            await first.connect();
+
+            emulator.expireSessions();
+            const second = createMelCloud();
+            const accountInfo = await second.connect();
+
+            assert.strictEqual(accountInfo.State, true);
+            assert.strictEqual(loginCount(), 2);
+            assert.notStrictEqual(second.contextKey, first.contextKey);
+        });
+
+        test('skips validation of expired saved context key', async () => {
+            const first = createMelCloud();
+            await first.connect();
+
+            const accountFile = path.join(tempDir, 'Account');
+            const saved = JSON.parse(await fs.readFile(accountFile, 'utf8'));
+            saved.Account.LoginData.Expiry = new Date(Date.now() - 60000).toISOString();
+            await fs.writeFile(accountFile, JSON.stringify(saved));
+
+            emulator.requests = [];
+            await createMelCloud().connect();
+
+            assert.strictEqual(loginCount(), 1);
+            assert.ok(!emulator.requests.some(r => r.url === ApiUrls.Get.UserDetails));
+        });
+
+        test('ignores saved session of a different user', async () => {
+            await createMelCloud().connect();
+
+            await createMelCloud({ ...sampleAccount, user: 'other@example.com' }).connect();
+
+            assert.strictEqual(loginCount(), 2);
+        });
+    });
+
+    describe('Cache', () => {
+        test('reads last saved account and devices list', async () => {
+            const melcloud = createMelCloud();
+            await melcloud.connect();
+            await melcloud.checkDevicesList();
+
+            const cache = await createMelCloud().readCache();
+
+            assert.strictEqual(cache.devicesList.Devices[0].DeviceID, '1001');
+            assert.match(cache.devicesList.Info, /from cache/);
+            assert.strictEqual(cache.accountInfo.User, sampleAccount.user);
+        });
+
+        test('returns null without saved devices list', async () => {
+            const melcloud = new MelCloud(sampleAccount, path.join(tempDir, 'MissingAccount'), path.join(tempDir, 'MissingBuildings'));
+
+            assert.strictEqual(await melcloud.readCache(), null);
+        });
+    });
+
+    describe('Re-authentication', () => {
+        test('logs in again and replays request when context key expires', async () => {
+            const melcloud = createMelCloud();
+            await melcloud.connect();
+            const firstKey = melcloud.contextKey;
+
+            emulator.expireSessions();
+            const devicesList = await melcloud.checkDevicesList();
+
+            assert.strictEqual(devicesList.State, true);
+            assert.strictEqual(loginCount(), 2);
+            assert.notStrictEqual(melcloud.contextKey, firstKey);
+
+            const listRequests = emulator.requests.filter(r => r.url === ApiUrls.Get.ListDevices);
+            assert.strictEqual(listRequests.length, 2);
+            assert.strictEqual(listRequests[1].contextKey, melcloud.contextKey);
+        });
+
+        test('concurrent auth failures share a single login', async () => {
+            const melcloud = createMelCloud();
+            await melcloud.connect();
+
+            emulator.expireSessions();
+            emulator.injectFault({ type: 'delay', path: ApiUrls.Post.ClientLogin, delay: 50 });
+            const results = await Promise.all([
+                melcloud.checkDevicesList(),
+                melcloud.checkDevicesList(),
+                melcloud.checkDevicesList()
+            ]);
+
+            assert.ok(results.every(r => r.State));
+            assert.strictEqual(loginCount(), 2);
+        });
+
+        test('re-emits new client to device clients', async () => {
+            const melcloud = createMelCloud();
+            await melcloud.connect();
+            const ata = new MelCloudAta(sampleAccount, { id: '1001' }, path.join(tempDir, 'Temps'), path.join(tempDir, 'Account'), melcloud);
+            const oldClient = ata.client;
+
+            emulator.expireSessions();
+            await ata.send('melcloud', 1, {
+                Device: { DeviceID: '1001', Power: true, OperationMode: 1, SetTemperature: 22 }
+            }, 4);
+
+            assert.notStrictEqual(ata.client, oldClient);
+            assert.strictEqual(ata.client, melcloud.client);
+
+            const setRequests = emulator.requests.filter(r => r.url === ApiUrls.Post.Ata);
+            assert.strictEqual(setRequests.at(-1).contextKey, melcloud.contextKey);
+        });
+
+        test('fails without retry loop when login is rejected', async () => {
+            const melcloud = createMelCloud();
+            await melcloud.connect();
+
+            emulator.expireSessions();
+            emulator.password = 'changed';
+
+            await assert.rejects(melcloud.checkDevicesList(), /Re-authentication error/);
+            assert.strictEqual(loginCount(), 2);
+        });
+    });
+});
+
+console.log('Running MelCloud tests...\n');
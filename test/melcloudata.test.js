@@ -0,0 +1,288 @@
+/**
+ * Tests for MelCloudAta command handling against the local MELCloud emulator
+ */
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import MelCloud from '../src/melcloud.js';
+import MelCloudAta from '../src/melcloudata.js';
+import { ApiUrls, AirConditioner } from '../src/constants.js';
+import { MelCloudEmulator } from './emulator/melcloud-emulator.js';
+import { sampleAccount, heatingDeviceData } from './fixtures/device-data.js';
+
+const unit = { id: 12345, name: 'Living Room AC', state: { Power: false, OperationMode: 1, SetTemperature: 20, RoomTemperature: 21 } };
+
+describe('MelCloudAta', () => {
+    const originalBase = ApiUrls.Base;
+    let emulator;
+    let tempDir;
+    let melcloud;
+
+    before(async () => {
+        emulator = new MelCloudEmulator({ user: sampleAccount.user, password: sampleAccount.passwd, units: [unit] });
+        ApiUrls.Base = await emulator.start();
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'melcloudata-test-'));
+        melcloud = new MelCloud(sampleAccount, path.join(tempDir, 'Account'), path.join(tempDir, 'Buildings'));
+        await melcloud.connect();
+    });
+
+    after(async () => {
+        ApiUrls.Base = originalBase;
+        await emulator.stop();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        emulator.requests = [];
+        emulator.password = sampleAccount.passwd;
+        emulator.clearFaults();
+        emulator.units = [emulator.createUnit(unit)];
+        melcloud.deviceRefreshEnabled = false;
+        melcloud.refreshTimestamps = [];
+
+        //detach device clients of previous tests
+        melcloud.removeAllListeners('devicesList');
+    });
+
+    function createAta() {
+        const ata = new MelCloudAta(sampleAccount, { id: '12345' }, path.join(tempDir, 'Temps'), path.join(tempDir, 'Account'), melcloud);
+        ata.commandDebounce = 20;
+        return ata;
+    }
+
+    function setRequests() {
+        return emulator.requests.filter(r => r.url === ApiUrls.Post.Ata);
+    }
+
+    function refreshRequests() {
+        return emulator.requests.filter(r => r.url.startsWith('/Device/RequestRefresh'));
+    }
+
+    async function poll() {
+        await melcloud.checkDevicesList();
+        await new Promise(r => setTimeout(r, 50));
+    }
+
+    describe('Command queue', () => {
+        test('merges commands within debounce window into one request', async () => {
+            const ata = createAta();
+            const deviceData = structuredClone(heatingDeviceData);
+            const { Power, OperationMode, SetTemperature } = AirConditioner.EffectiveFlags;
+
+            deviceData.Device.Power = true;
+            const first = ata.send('melcloud', 1, deviceData, Power);
+            deviceData.Device.OperationMode = 1;
+            const second = ata.send('melcloud', 1, deviceData, OperationMode);
+            deviceData.Device.SetTemperature = 23;
+            const third = ata.send('melcloud', 1, deviceData, SetTemperature);
+
+            const results = await Promise.all([first, second, third]);
+
+            assert.deepStrictEqual(results, [true, true, true]);
+            assert.strictEqual(setRequests().length, 1);
+            assert.strictEqual(setRequests()[0].body.EffectiveFlags, 7);
+            assert.strictEqual(setRequests()[0].body.SetTemperature, 23);
+        });
+
+        test('sends separate requests for commands outside debounce window', async () => {
+            const ata = createAta();
+            const deviceData = structuredClone(heatingDeviceData);
+
+            await ata.send('melcloud', 1, deviceData, AirConditioner.EffectiveFlags.Power);
+            await ata.send('melcloud', 1, deviceData, AirConditioner.EffectiveFlags.SetTemperature);
+
+            assert.deepStrictEqual(setRequests().map(r => r.body.EffectiveFlags), [1, 4]);
+        });
+
+        test('marks the state emitted after a send as echo', async () => {
+            const ata = createAta();
+            const deviceData = structuredClone(heatingDeviceData);
+            const echoed = new Promise(resolve => ata.once('deviceState', (state, source) => resolve(source)));
+
+            await ata.send('melcloud', 1, deviceData, AirConditioner.EffectiveFlags.SetTemperature);
+
+            assert.strictEqual(await echoed, 'echo');
+        });
+
+        test('rejects every waiting caller when merged request fails', async () => {
+            const ata = createAta();
+            const deviceData = structuredClone(heatingDeviceData);
+
+            emulator.expireSessions();
+            emulator.password = 'changed';
+            const results = await Promise.allSettled([
+                ata.send('melcloud', 1, deviceData, AirConditioner.EffectiveFlags.Power),
+                ata.send('melcloud', 1, deviceData, AirConditioner.EffectiveFlags.SetTemperature)
+            ]);
+
+            assert.ok(results.every(r => r.status === 'rejected'));
+            assert.match(results[0].reason.message, /Send data error/);
+
+            //recover session for following tests
+            emulator.password = sampleAccount.passwd;
+            await melcloud.connect(true);
+        });
+    });
+
+    describe('Destroy', () => {
+        test('stops following account updates', async () => {
+            const ata = createAta();
+            await poll();
+            const states = [];
+            ata.on('deviceState', deviceData => states.push(deviceData));
+
+            ata.destroy();
+            emulator.getUnit(12345).device.SetTemperature = 25;
+            await poll();
+
+            assert.strictEqual(states.length, 0);
+            assert.strictEqual(melcloud.listenerCount('devicesList'), 0);
+        });
+    });
+
+    describe('Command verification', () => {
+        const flags = AirConditioner.EffectiveFlags.PowerOperationModeSetTemperature;
+
+        function heatCommand() {
+            const deviceData = structuredClone(heatingDeviceData);
+            Object.assign(deviceData.Device, { Power: true, OperationMode: 1, SetTemperature: 23 });
+            return deviceData;
+        }
+
+        test('confirms command once polled state matches', async () => {
+            const ata = createAta();
+            const failures = [];
+            ata.on('commandFailed', failure => failures.push(failure));
+
+            await ata.send('melcloud', 1, heatCommand(), flags);
+            assert.ok(ata.sentCommand);
+
+            emulator.tick();
+            await poll();
+
+            assert.strictEqual(ata.sentCommand, null);
+            assert.strictEqual(setRequests().length, 1);
+            assert.strictEqual(failures.length, 0);
+        });
+
+        test('retries dropped command and emits commandFailed after limit', async () => {
+            const ata = createAta();
+            const failures = [];
+            ata.on('commandFailed', failure => failures.push(failure));
+            emulator.injectFault({ type: 'dropped', path: ApiUrls.Post.Ata, count: Infinity });
+
+            await ata.send('melcloud', 1, heatCommand(), flags);
+            await poll();
+            await poll();
+            assert.strictEqual(failures.length, 0);
+            await poll();
+
+            assert.strictEqual(setRequests().length, 1 + ata.commandRetries);
+            assert.ok(setRequests().every(r => r.body.EffectiveFlags === flags && r.body.SetTemperature === 23));
+            assert.strictEqual(failures.length, 1);
+            assert.deepStrictEqual(failures[0].expected, { Power: true, OperationMode: 1, SetTemperature: 23 });
+            assert.deepStrictEqual(failures[0].actual, { Power: false, SetTemperature: 20 });
+            assert.strictEqual(ata.sentCommand, null);
+        });
+
+        test('does not count polls while command is still pending', async () => {
+            const ata = createAta();
+
+            //the unit has not picked the command up yet
+            await ata.send('melcloud', 1, heatCommand(), flags);
+            await poll();
+            await poll();
+
+            assert.strictEqual(setRequests().length, 1);
+            assert.strictEqual(ata.sentCommand.attempts, 0);
+        });
+
+        test('retry that applies clears pending verification', async () => {
+            const ata = createAta();
+            emulator.injectFault({ type: 'dropped', path: ApiUrls.Post.Ata });
+
+            await ata.send('melcloud', 1, heatCommand(), flags);
+            await poll();
+            emulator.tick();
+            await poll();
+
+            assert.strictEqual(setRequests().length, 2);
+            assert.strictEqual(ata.sentCommand, null);
+        });
+    });
+
+    describe('Targeted refresh', () => {
+        beforeEach(() => {
+            melcloud.deviceRefreshEnabled = true;
+            melcloud.refreshDelay = 0;
+        });
+
+        test('overlays unit report on polled device list', async () => {
+            const ata = createAta();
+            const states = [];
+            ata.on('deviceState', deviceData => states.push(deviceData));
+            //measured by the unit, reported on the next refresh
+            emulator.getUnit(12345).roomTemperature = 24.5;
+
+            await poll();
+
+            assert.strictEqual(refreshRequests().length, 1);
+            assert.ok(emulator.requests.some(r => r.url.startsWith('/Device/Get?id=12345')));
+            assert.strictEqual(states.at(-1).Device.RoomTemperature, 24.5);
+        });
+
+        test('skips refresh when disabled', async () => {
+            const ata = createAta();
+            melcloud.deviceRefreshEnabled = false;
+
+            await poll();
+
+            assert.strictEqual(refreshRequests().length, 0);
+            assert.strictEqual(ata.deviceData.Device.RoomTemperature, 21);
+        });
+
+        test('stops refreshing once hourly budget is used', async () => {
+            createAta();
+            melcloud.refreshBudget = 2;
+
+            await poll();
+            await poll();
+            await poll();
+
+            assert.strictEqual(refreshRequests().length, 2);
+            melcloud.refreshBudget = 30;
+        });
+
+        test('refreshes unit after a command', async () => {
+            const ata = createAta();
+            await poll();
+            emulator.requests = [];
+
+            await ata.send('melcloud', 1, structuredClone(ata.deviceData), AirConditioner.EffectiveFlags.Power);
+            await new Promise(r => setTimeout(r, 50));
+
+            assert.strictEqual(refreshRequests().length, 1);
+        });
+    });
+
+    describe('Holiday mode', () => {
+        test('sends classic holiday window as date parts', async () => {
+            const ata = createAta();
+            const deviceData = structuredClone(heatingDeviceData);
+            deviceData.DeviceID = '12345';
+            deviceData.HolidayMode = { Enabled: true, StartDate: '2026-12-20T08:00:00', EndDate: '2027-01-05T06:30:00' };
+
+            await ata.send('melcloud', 1, deviceData, 'holidaymode');
+
+            const request = emulator.requests.find(r => r.url === ApiUrls.Post.HolidayMode);
+            assert.strictEqual(request.body.Enabled, true);
+            assert.deepStrictEqual(request.body.StartDate, { Year: 2026, Month: 12, Day: 20, Hour: 8, Minute: 0, Second: 0 });
+            assert.deepStrictEqual(request.body.EndDate, { Year: 2027, Month: 1, Day: 5, Hour: 6, Minute: 30, Second: 0 });
+            assert.deepStrictEqual(request.body.HMTimeZones[0].Devices, [12345]);
+        });
+    });
+});
+
+console.log('Running MelCloudAta tests...\n');
@@ -0,0 +1,323 @@
+/**
+ * Tests for MelCloudHome account client
+ * - Device listing from /api/user/context
+ * - Scenes from /api/user/scenes
+ * - Cloud schedule entries
+ * - WebSocket push updates and reconnect
+ * - Re-authentication of rejected requests
+ */
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import { WebSocketServer } from 'ws';
+import MelCloudHome from '../src/melcloudhome.js';
+import { ApiUrls } from '../src/constants.js';
+import { sampleAccount } from './fixtures/device-data.js';
+
+const homeAccount = { ...sampleAccount, type: 'melcloudhome' };
+
+// Sample /api/user/context response
+const sampleContext = {
+    buildings: [
+        {
+            id: 'building-1',
+            name: 'Home',
+            airToAirUnits: [
+                {
+                    id: 'unit-1',
+                    givenDisplayName: 'Living Room AC',
+                    macAddress: 'AA:BB:CC:DD:EE:FF',
+                    rssi: -55,
+                    isConnected: true,
+                    scheduleEnabled: true,
+                    schedule: [{ id: 'schedule-1', days: [1], time: '07:00:00', enabled: true }],
+                    holidayMode: { enabled: false, startDate: null, endDate: null, active: false },
+                    frostProtection: { enabled: true, min: 13, max: 16 },
+                    overheatProtection: { enabled: false, min: 32, max: 35 },
+                    capabilities: { numberOfFanSpeeds: 5, hasHalfDegreeIncrements: true, hasAutoOperationMode: true },
+                    settings: [
+                        { name: 'Power', value: 'True' },
+                        { name: 'OperationMode', value: 'Heat' },
+                        { name: 'SetTemperature', value: '22' },
+                        { name: 'RoomTemperature', value: '21.5' }
+                    ]
+                }
+            ]
+        }
+    ],
+    guestBuildings: []
+};
+
+describe('MelCloudHome', () => {
+    describe('Device listing', () => {
+        test('maps air-to-air units to device data', () => {
+            const melcloud = new MelCloudHome(homeAccount, '/tmp/account', '/tmp/buildings');
+            const { buildings, devices } = melcloud.parseDevices(sampleContext);
+
+            assert.strictEqual(buildings.length, 1);
+            assert.strictEqual(devices.length, 1);
+
+            const device = devices[0];
+            assert.strictEqual(device.DeviceID, 'unit-1');
+            assert.strictEqual(device.Type, 0);
+            assert.strictEqual(device.DeviceName, 'Living Room AC');
+            assert.strictEqual(device.Rssi, -55);
+            assert.strictEqual(device.ScheduleEnabled, true);
+            assert.strictEqual(device.Schedule[0].Id, 'schedule-1');
+            assert.strictEqual(device.FrostProtection.Enabled, true);
+            assert.strictEqual(device.FrostProtection.Min, 13);
+        });
+
+        test('parses settings and capitalizes capabilities', () => {
+            const melcloud = new MelCloudHome(homeAccount, '/tmp/account', '/tmp/buildings');
+            const { devices } = melcloud.parseDevices(sampleContext);
+            const { Device } = devices[0];
+
+            assert.strictEqual(Device.Power, true);
+            assert.strictEqual(Device.OperationMode, 'Heat');
+            assert.strictEqual(Device.SetTemperature, 22);
+            assert.strictEqual(Device.RoomTemperature, 21.5);
+            assert.strictEqual(Device.NumberOfFanSpeeds, 5);
+            assert.strictEqual(Device.HasHalfDegreeIncrements, true);
+            assert.strictEqual(Device.IsConnected, true);
+        });
+
+        test('handles empty context', () => {
+            const melcloud = new MelCloudHome(homeAccount, '/tmp/account', '/tmp/buildings');
+            const { buildings, devices } = melcloud.parseDevices({});
+
+            assert.deepStrictEqual(buildings, []);
+            assert.deepStrictEqual(devices, []);
+        });
+
+        test('does not emit a list without devices', async () => {
+            const melcloud = new MelCloudHome(homeAccount, '/tmp/account', '/tmp/buildings');
+            melcloud.client = async () => ({ data: { ...sampleContext, buildings: [{ ...sampleContext.buildings[0], airToAirUnits: [] }] } });
+            const emitted = [];
+            melcloud.on('devicesList', devicesList => emitted.push(devicesList));
+
+            const devicesList = await melcloud.checkDevicesList();
+
+            assert.strictEqual(devicesList.State, false);
+            assert.strictEqual(devicesList.Info, 'No devices found');
+            assert.strictEqual(emitted.length, 0);
+        });
+    });
+
+    describe('Scenes', () => {
+        const sampleScenes = [{
+            id: 'scene-1',
+            name: 'Away',
+            enabled: true,
+            icon: 'AwayIcon',
+            ataSceneSettings: [{ unitId: 'unit-1', ataSettings: { power: false, operationMode: 'heat' }, previousSettings: null }]
+        }];
+
+        test('capitalizes scenes and unit settings', () => {
+            const melcloud = new MelCloudHome(homeAccount, '/tmp/account', '/tmp/buildings');
+            const [scene] = melcloud.parseScenes(sampleScenes);
+
+            assert.strictEqual(scene.Id, 'scene-1');
+            assert.strictEqual(scene.Enabled, true);
+            assert.strictEqual(scene.AtaSceneSettings[0].UnitId, 'unit-1');
+            assert.deepStrictEqual(scene.AtwSceneSettings, []);
+        });
+
+        test('lists no scenes when the request fails', async () => {
+            const melcloud = new MelCloudHome(homeAccount, '/tmp/account', '/tmp/buildings');
+            melcloud.client = async () => { throw new Error('Request failed with status code 500'); };
+
+            assert.deepStrictEqual(await melcloud.checkScenes(), []);
+        });
+
+        test('creates scene with the same settings for every unit', async () => {
+            const melcloud = new MelCloudHome(homeAccount, '/tmp/account', '/tmp/buildings');
+            const requests = [];
+            melcloud.client = async (url, options) => {
+                requests.push({ url, ...options });
+                return { data: { id: 'scene-2' } };
+            };
+
+            const scene = await melcloud.createScene({ name: 'Night', unitIds: ['unit-1', 'unit-2'], settings: { power: true, operationMode: 'cool', setTemperature: 24 } });
+
+            assert.deepStrictEqual(scene, { id: 'scene-2' });
+            assert.strictEqual(requests[0].url, ApiUrls.Home.Post.Scene);
+            assert.strictEqual(requests[0].method, 'POST');
+            const { ataSceneSettings } = requests[0].data;
+            assert.deepStrictEqual(ataSceneSettings.map(setting => setting.unitId), ['unit-1', 'unit-2']);
+            assert.strictEqual(ataSceneSettings[1].ataSettings.operationMode, 'cool');
+            assert.strictEqual(ataSceneSettings[1].ataSettings.setTemperature, 24);
+        });
+
+        test('deletes scene by id', async () => {
+            const melcloud = new MelCloudHome(homeAccount, '/tmp/account', '/tmp/buildings');
+            const requests = [];
+            melcloud.client = async (url, options) => requests.push({ url, ...options });
+
+            await melcloud.deleteScene('scene-1');
+
+            assert.deepStrictEqual(requests, [{ url: '/api/scene/scene-1', method: 'DELETE' }]);
+        });
+    });
+
+    describe('Cloud schedules', () => {
+        test('saves schedule entry with lower case keys', async () => {
+            const melcloud = new MelCloudHome(homeAccount, '/tmp/account', '/tmp/buildings');
+            const requests = [];
+            melcloud.client = async (url, options) => requests.push({ url, ...options });
+
+            await melcloud.saveSchedule('unit-1', { Id: 'schedule-2', Days: [1, 2], Time: '06:30:00', Enabled: true, Power: true, OperationMode: null, SetPoint: 22 });
+
+            assert.strictEqual(requests[0].url, '/api/cloudschedule/unit-1');
+            assert.strictEqual(requests[0].method, 'POST');
+            assert.strictEqual(requests[0].data.id, 'schedule-2');
+            assert.deepStrictEqual(requests[0].data.days, [1, 2]);
+            assert.strictEqual(requests[0].data.setPoint, 22);
+        });
+
+        test('deletes schedule entry of the unit', async () => {
+            const melcloud = new MelCloudHome(homeAccount, '/tmp/account', '/tmp/buildings');
+            const requests = [];
+            melcloud.client = async (url, options) => requests.push({ url, ...options });
+
+            await melcloud.deleteSchedule('unit-1', 'schedule-1');
+
+            assert.deepStrictEqual(requests, [{ url: '/api/cloudschedule/unit-1/schedule-1', method: 'DELETE' }]);
+        });
+
+        test('turns the schedule of the unit on and off', async () => {
+            const melcloud = new MelCloudHome(homeAccount, '/tmp/account', '/tmp/buildings');
+            const requests = [];
+            melcloud.client = async (url, options) => requests.push({ url, ...options });
+
+            await melcloud.setScheduleEnabled('unit-1', false);
+
+            assert.deepStrictEqual(requests, [{ url: '/api/cloudschedule/unit-1/enabled', method: 'PUT', data: { enabled: false } }]);
+        });
+    });
+
+    describe('Session', () => {
+        const originalBase = ApiUrls.Home.Base;
+        let server;
+        let cookies;
+
+        before(async () => {
+            //accepts the renewed session cookie only
+            server = http.createServer((request, response) => {
+                cookies.push(request.headers.cookie);
+                response.writeHead(request.headers.cookie === 'session=new' ? 200 : 401, { 'Content-Type': 'application/json' });
+                response.end(JSON.stringify({ ok: true }));
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            ApiUrls.Home.Base = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        after(async () => {
+            ApiUrls.Home.Base = originalBase;
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        test('logs in once and replays requests rejected with 401', async () => {
+            cookies = [];
+            const melcloud = new MelCloudHome(homeAccount, '/tmp/account', '/tmp/buildings');
+            melcloud.on('warn', () => { });
+
+            let logins = 0;
+            melcloud.connect = async () => {
+                logins++;
+                melcloud.headers = { ...melcloud.headers, Cookie: 'session=new' };
+                return { State: true };
+            };
+            melcloud.headers = { 'Content-Type': 'application/json', Cookie: 'session=old' };
+            melcloud.client = melcloud.createClient(melcloud.headers);
+
+            const responses = await Promise.all([
+                melcloud.client(ApiUrls.Home.Get.Scenes, { method: 'GET' }),
+                melcloud.client(ApiUrls.Home.Get.Scenes, { method: 'GET' })
+            ]);
+
+            assert.ok(responses.every(response => response.data.ok));
+            assert.strictEqual(logins, 1);
+            assert.strictEqual(cookies.filter(cookie => cookie === 'session=new').length, 2);
+        });
+    });
+
+    describe('WebSocket', () => {
+        const originalWebSocket = ApiUrls.Home.WebSocket;
+        let server;
+
+        before(async () => {
+            server = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+            await new Promise(resolve => server.on('listening', resolve));
+            ApiUrls.Home.WebSocket = `ws://127.0.0.1:${server.address().port}/?hash=`;
+        });
+
+        after(async () => {
+            ApiUrls.Home.WebSocket = originalWebSocket;
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        test('emits parsed push messages as webSocket events', async () => {
+            const melcloud = new MelCloudHome(homeAccount, '/tmp/account', '/tmp/buildings');
+            melcloud.webSocketHash = 'test-hash';
+
+            const message = [{ messageType: 'unitWifiSignalChanged', Data: { id: 'unit-1', rssi: -60 } }];
+            server.once('connection', (socket) => socket.send(JSON.stringify(message)));
+
+            const received = new Promise(resolve => melcloud.once('webSocket', resolve));
+            melcloud.connectWebSocket();
+
+            assert.deepStrictEqual(await received, message);
+            melcloud.disconnectWebSocket();
+        });
+
+        test('reconnects after the connection drops', async () => {
+            const melcloud = new MelCloudHome(homeAccount, '/tmp/account', '/tmp/buildings');
+            melcloud.webSocketHash = 'test-hash';
+            melcloud.webSocketMinReconnectDelay = 10;
+            melcloud.webSocketReconnectDelay = 10;
+
+            let connections = 0;
+            const reconnected = new Promise(resolve => {
+                const onConnection = (socket) => {
+                    connections++;
+                    if (connections === 1) return socket.terminate();
+                    server.off('connection', onConnection);
+                    resolve();
+                };
+                server.on('connection', onConnection);
+            });
+
+            melcloud.connectWebSocket();
+            await reconnected;
+
+            assert.strictEqual(connections, 2);
+            melcloud.disconnectWebSocket();
+        });
+
+        test('logs in again with backoff when the hash is missing', async () => {
+            const melcloud = new MelCloudHome(homeAccount, '/tmp/account', '/tmp/buildings');
+            melcloud.webSocketReconnectDelay = 10;
+            melcloud.on('warn', () => { });
+
+            let logins = 0;
+            melcloud.reconnect = async () => {
+                logins++;
+                if (logins === 1) throw new Error('Login failed');
+                melcloud.webSocketHash = 'test-hash';
+                melcloud.connectWebSocket();
+                return { State: true };
+            };
+
+            const connected = new Promise(resolve => server.once('connection', resolve));
+            melcloud.connectWebSocket();
+            melcloud.connectWebSocket();
+            await connected;
+
+            assert.strictEqual(logins, 2);
+            melcloud.disconnectWebSocket();
+        });
+    });
+});
+
+console.log('Running MelCloudHome tests...\n');
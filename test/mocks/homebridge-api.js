@@ -10,6 +10,9 @@ function createCharacteristicMock(name) {
         _getHandler: null,
         _setHandler: null,
         _props: {},
+        get value() {
+            return this._value;
+        },
         onGet(handler) {
             this._getHandler = handler;
             return this;
@@ -35,6 +38,7 @@ function createServiceMock(name, subtype) {
     return {
         name,
         subtype,
+        UUID: name,
         _characteristics: characteristics,
         _optionalCharacteristics: [],
         getCharacteristic(type) {
@@ -49,6 +53,14 @@ function createServiceMock(name, subtype) {
             char._value = value;
             return this;
         },
+        updateCharacteristic(type, value) {
+            this.getCharacteristic(type).updateValue(value);
+            return this;
+        },
+        setPrimaryService(primary = true) {
+            this._primary = primary;
+            return this;
+        },
         addOptionalCharacteristic(type) {
             this._optionalCharacteristics.push(type);
             return this;
@@ -56,8 +68,24 @@ function createServiceMock(name, subtype) {
     };
 }
 
+// Characteristic base class, custom characteristics extend it
+export class Characteristic {
+    constructor(displayName, UUID, props) {
+        this.displayName = displayName;
+        this.UUID = UUID;
+        this.props = props;
+    }
+
+    getDefaultValue() {
+        return this.props.minValue ?? 0;
+    }
+}
+
+export const Formats = { BOOL: 'bool', INT: 'int', FLOAT: 'float', STRING: 'string', UINT8: 'uint8', UINT16: 'uint16', UINT32: 'uint32' };
+export const Perms = { PAIRED_READ: 'pr', PAIRED_WRITE: 'pw', NOTIFY: 'ev' };
+
 // Characteristic constants
-export const Characteristic = {
+Object.assign(Characteristic, {
     // Values
     Active: { name: 'Active', ACTIVE: 1, INACTIVE: 0 },
     CurrentHeaterCoolerState: { name: 'CurrentHeaterCoolerState', INACTIVE: 0, IDLE: 1, HEATING: 2, COOLING: 3 },
@@ -73,7 +101,11 @@ export const Characteristic = {
     LockPhysicalControls: { name: 'LockPhysicalControls' },
     TemperatureDisplayUnits: { name: 'TemperatureDisplayUnits', CELSIUS: 0, FAHRENHEIT: 1 },
     On: { name: 'On' },
-    StatusFault: { name: 'StatusFault' },
+    CurrentRelativeHumidity: { name: 'CurrentRelativeHumidity' },
+    CurrentFanState: { name: 'CurrentFanState', INACTIVE: 0, IDLE: 1, BLOWING_AIR: 2 },
+    TargetFanState: { name: 'TargetFanState', MANUAL: 0, AUTO: 1 },
+    StatusFault: { name: 'StatusFault', NO_FAULT: 0, GENERAL_FAULT: 1 },
+    StatusActive: { name: 'StatusActive' },
     ContactSensorState: { name: 'ContactSensorState', CONTACT_DETECTED: 0, CONTACT_NOT_DETECTED: 1 },
     MotionDetected: { name: 'MotionDetected' },
     OccupancyDetected: { name: 'OccupancyDetected' },
@@ -82,7 +114,7 @@ export const Characteristic = {
     Model: { name: 'Model' },
     SerialNumber: { name: 'SerialNumber' },
     FirmwareRevision: { name: 'FirmwareRevision' }
-};
+});
 
 // Service types
 export const Service = {
@@ -90,15 +122,37 @@ export const Service = {
     HeaterCooler: function(name, subtype) { return createServiceMock('HeaterCooler', subtype); },
     Thermostat: function(name, subtype) { return createServiceMock('Thermostat', subtype); },
     TemperatureSensor: function(name, subtype) { return createServiceMock('TemperatureSensor', subtype); },
+    HumiditySensor: function(name, subtype) { return createServiceMock('HumiditySensor', subtype); },
     ContactSensor: function(name, subtype) { return createServiceMock('ContactSensor', subtype); },
     MotionSensor: function(name, subtype) { return createServiceMock('MotionSensor', subtype); },
     OccupancySensor: function(name, subtype) { return createServiceMock('OccupancySensor', subtype); },
-    Switch: function(name, subtype) { return createServiceMock('Switch', subtype); }
+    Switch: function(name, subtype) { return createServiceMock('Switch', subtype); },
+    Fanv2: function(name, subtype) { return createServiceMock('Fanv2', subtype); }
 };
 
+// HAP status codes
+export const HAPStatus = {
+    SUCCESS: 0,
+    SERVICE_COMMUNICATION_FAILURE: -70402
+};
+
+export class HapStatusError extends Error {
+    constructor(status) {
+        super(`HAP status ${status}`);
+        this.hapStatus = status;
+    }
+}
+
+// Service type UUIDs
+for (const [name, type] of Object.entries(Service)) {
+    type.UUID = name;
+}
+
 // Accessory Categories
 export const Categories = {
-    AIR_CONDITIONER: 21
+    AIR_CONDITIONER: 21,
+    THERMOSTAT: 9,
+    FAN: 3
 };
 
 // UUID generator
@@ -118,8 +172,11 @@ export const uuid = {
 export class PlatformAccessory {
     constructor(name, uuid, category) {
         this.name = name;
+        this.displayName = name;
         this.uuid = uuid;
+        this.UUID = uuid;
         this.category = category;
+        this.context = {};
         this._services = new Map();
 
         // Add default AccessoryInformation service
@@ -135,10 +192,18 @@ export class PlatformAccessory {
         return this._services.get(typeName);
     }
 
+    get services() {
+        return [...this._services.values()];
+    }
+
     addService(service) {
         this._services.set(service.name + (service.subtype || ''), service);
         return service;
     }
+
+    removeService(service) {
+        this._services.delete(service.name + (service.subtype || ''));
+    }
 }
 
 // Create the full mock API object
@@ -147,9 +212,13 @@ export function createMockApi() {
         platformAccessory: PlatformAccessory,
         hap: {
             Characteristic,
+            Formats,
+            Perms,
             Service,
             Categories,
-            uuid
+            uuid,
+            HAPStatus,
+            HapStatusError
         },
         user: {
             storagePath() {
@@ -162,7 +231,10 @@ export function createMockApi() {
             this._events[event] = callback;
         },
         registerPlatform() {},
-        publishExternalAccessories() {}
+        publishExternalAccessories() {},
+        registerPlatformAccessories() {},
+        updatePlatformAccessories() {},
+        unregisterPlatformAccessories() {}
     };
 }
 
@@ -0,0 +1,120 @@
+/**
+ * Tests for MqttSensor message handling, no broker needed
+ * - Zigbee2MQTT JSON payloads on one topic
+ * - ESPHome plain payloads on separate topics
+ * - Staleness tracking
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import MqttSensor from '../src/mqttsensor.js';
+
+describe('MqttSensor', () => {
+    test('reads Zigbee2MQTT payloads from one topic', () => {
+        const sensor = new MqttSensor({ temperatureTopic: 'zigbee2mqtt/Living', temperaturePath: 'temperature', humidityPath: 'humidity' });
+        const readings = [];
+        sensor.on('temperature', (temperature, humidity) => readings.push({ temperature, humidity }));
+
+        sensor.handleMessage('zigbee2mqtt/Living', Buffer.from(JSON.stringify({ battery: 97, humidity: 48.3, temperature: 21.7 })));
+
+        assert.deepStrictEqual(readings, [{ temperature: 21.7, humidity: 48.3 }]);
+        assert.strictEqual(sensor.isOnline(), true);
+    });
+
+    test('reads ESPHome plain payloads from separate topics', () => {
+        const sensor = new MqttSensor({
+            temperatureTopic: 'living/sensor/temperature/state',
+            humidityTopic: 'living/sensor/humidity/state'
+        });
+
+        // Humidity alone is held until a temperature arrives
+        assert.strictEqual(sensor.handleMessage('living/sensor/humidity/state', Buffer.from('51.0')), false);
+        assert.strictEqual(sensor.handleMessage('living/sensor/temperature/state', Buffer.from('22.4')), true);
+
+        assert.strictEqual(sensor.getTemperature(), 22.4);
+        assert.strictEqual(sensor.getHumidity(), 51);
+    });
+
+    test('follows nested field paths', () => {
+        const sensor = new MqttSensor({ temperatureTopic: 'tele/room/SENSOR', temperaturePath: 'AM2301.Temperature', humidityPath: 'AM2301.Humidity' });
+
+        sensor.handleMessage('tele/room/SENSOR', Buffer.from('{"Time":"2026-01-10T10:00:00","AM2301":{"Temperature":"20.9","Humidity":44}}'));
+
+        assert.strictEqual(sensor.getTemperature(), 20.9);
+        assert.strictEqual(sensor.getHumidity(), 44);
+    });
+
+    test('ignores payloads without a reading', () => {
+        const sensor = new MqttSensor({ temperatureTopic: 'zigbee2mqtt/Living', temperaturePath: 'temperature' });
+        let emitted = 0;
+        sensor.on('temperature', () => emitted++);
+
+        assert.strictEqual(sensor.handleMessage('zigbee2mqtt/Living', Buffer.from('{"battery":97}')), false);
+        assert.strictEqual(sensor.handleMessage('zigbee2mqtt/Living', Buffer.from('offline')), false);
+        assert.strictEqual(emitted, 0);
+        assert.strictEqual(sensor.getTemperature(), null);
+    });
+
+    test('reports unavailable once when readings go stale', async () => {
+        const sensor = new MqttSensor({ temperatureTopic: 'room/temperature', staleAfter: 600 });
+        let unavailable = 0;
+        sensor.on('unavailable', () => unavailable++);
+
+        sensor.handleMessage('room/temperature', Buffer.from('21.0'));
+        assert.deepStrictEqual(await sensor.fetchTemperature(), { temperature: 21, humidity: null });
+
+        sensor.lastUpdate = new Date(Date.now() - 601000);
+        assert.strictEqual(await sensor.fetchTemperature(), null);
+        assert.strictEqual(await sensor.fetchTemperature(), null);
+        assert.strictEqual(unavailable, 1);
+        assert.strictEqual(sensor.isOnline(), false);
+
+        // A new message brings it back
+        sensor.handleMessage('room/temperature', Buffer.from('21.2'));
+        assert.strictEqual(sensor.isOnline(), true);
+    });
+
+    test('goes stale when only humidity messages arrive', async () => {
+        const sensor = new MqttSensor({
+            temperatureTopic: 'living/sensor/temperature/state',
+            humidityTopic: 'living/sensor/humidity/state',
+            staleAfter: 600
+        });
+        let unavailable = 0;
+        sensor.on('unavailable', () => unavailable++);
+
+        sensor.handleMessage('living/sensor/temperature/state', Buffer.from('21.0'));
+        const temperatureUpdate = sensor.getLastUpdate();
+        sensor.lastUpdate = new Date(Date.now() - 601000);
+
+        // Humidity keeps arriving, the temperature reading is still old
+        assert.strictEqual(sensor.handleMessage('living/sensor/humidity/state', Buffer.from('52.0')), true);
+        assert.strictEqual(sensor.getHumidity(), 52);
+        assert.ok(sensor.getLastUpdate() < temperatureUpdate);
+
+        assert.strictEqual(await sensor.fetchTemperature(), null);
+        assert.strictEqual(unavailable, 1);
+        assert.strictEqual(sensor.isOnline(), false);
+
+        // Humidity alone does not bring it back
+        assert.strictEqual(sensor.handleMessage('living/sensor/humidity/state', Buffer.from('53.0')), false);
+        assert.strictEqual(sensor.isOnline(), false);
+        assert.strictEqual(await sensor.fetchTemperature(), null);
+        assert.strictEqual(unavailable, 1);
+    });
+
+    test('waits one stale period after connecting before the first reading', async () => {
+        const sensor = new MqttSensor({ temperatureTopic: 'room/temperature', staleAfter: 600 });
+        let unavailable = 0;
+        sensor.on('unavailable', () => unavailable++);
+
+        sensor.startedAt = new Date();
+        assert.strictEqual(await sensor.fetchTemperature(), null);
+        assert.strictEqual(unavailable, 0);
+
+        sensor.startedAt = new Date(Date.now() - 601000);
+        await sensor.fetchTemperature();
+        assert.strictEqual(unavailable, 1);
+    });
+});
+
+console.log('Running MqttSensor tests...\n');
@@ -8,7 +8,7 @@ import { test, describe, beforeEach } from 'node:test';
 import assert from 'node:assert';
 import { SetpointCalculator } from '../src/deviceata/predictive/setpoint-calculator.js';
 import { StateMachine } from '../src/deviceata/predictive/state-machine.js';
-import { States, SeasonMode, AntiOscillation, PredictiveDefaults } from '../src/deviceata/predictive/constants.js';
+import { States, SeasonMode, SensorState, AntiOscillation, PredictiveDefaults } from '../src/deviceata/predictive/constants.js';
 
 // Create a minimal device context for testing
 function createMockDevice(overrides = {}) {
@@ -498,6 +498,60 @@ describe('StateMachine', () => {
 
             assert.strictEqual(result.state, States.SENSOR_FAULT);
         });
+
+        test('issues the fail-safe once on entering SENSOR_FAULT', () => {
+            const params = {
+                currentTemp: 20,
+                targetTemp: 23,
+                predictedSetpoint: 23.7,
+                seasonMode: SeasonMode.WINTER,
+                forecast: null,
+                acPowerState: false
+            };
+            stateMachine.processUpdate(params);
+
+            const entered = stateMachine.processUpdate({ ...params, currentTemp: null, predictedSetpoint: 25 });
+            assert.deepStrictEqual(entered.action, { type: 'failSafe', setpoint: 23.7 });
+            assert.strictEqual(stateMachine.processUpdate({ ...params, currentTemp: null }).action, null);
+        });
+
+        test('holds SENSOR_DEGRADED on an estimated room temperature', () => {
+            const params = {
+                currentTemp: 19,
+                targetTemp: 23,
+                predictedSetpoint: 23,
+                seasonMode: SeasonMode.WINTER,
+                forecast: null,
+                acPowerState: true,
+                sensorState: SensorState.DEGRADED
+            };
+
+            // Setpoint only, no power or mode decision on an estimate
+            const entered = stateMachine.processUpdate(params);
+            assert.strictEqual(entered.state, States.SENSOR_DEGRADED);
+            assert.deepStrictEqual(entered.action, { type: 'coast', setpoint: 23 });
+
+            assert.strictEqual(stateMachine.processUpdate(params).action, null);
+            assert.deepStrictEqual(stateMachine.processUpdate({ ...params, predictedSetpoint: 24 }).action, { type: 'coast', setpoint: 24 });
+
+            // Fresh reading inside the deadband returns to STANDBY
+            const restored = stateMachine.processUpdate({ ...params, currentTemp: 22.5, sensorState: SensorState.OK });
+            assert.strictEqual(restored.state, States.STANDBY);
+        });
+
+        test('transitions to SENSOR_FAULT when no source is usable', () => {
+            const result = stateMachine.processUpdate({
+                currentTemp: 21,
+                targetTemp: 23,
+                predictedSetpoint: 23,
+                seasonMode: SeasonMode.WINTER,
+                forecast: null,
+                acPowerState: false,
+                sensorState: SensorState.FAULT
+            });
+
+            assert.strictEqual(result.state, States.SENSOR_FAULT);
+        });
     });
 
     describe('Anti-Oscillation Protection', () => {
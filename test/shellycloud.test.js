@@ -0,0 +1,84 @@
+/**
+ * Tests for ShellyCloud event handling, no cloud connection needed
+ * - Shelly:StatusOnChange events of the configured device
+ * - Polling while the event stream is down
+ */
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import ShellyCloud from '../src/shellycloud.js';
+
+const config = { shellyServerUri: 'shelly-58-eu.shelly.cloud', shellyAuthKey: 'key', shellyDeviceId: 'e4b063f0a1b2', shellyMode: 'events', shellyAccessToken: 'token' };
+const statusEvent = (deviceId, status) => Buffer.from(JSON.stringify({ event: 'Shelly:StatusOnChange', device: { id: deviceId, gen: 'G3' }, status, ts: 1767000000 }));
+
+describe('ShellyCloud', () => {
+    const realFetch = globalThis.fetch;
+    let requests;
+
+    beforeEach(() => {
+        requests = 0;
+        globalThis.fetch = async () => {
+            requests++;
+            return { ok: true, json: async () => ({ isok: true, data: { device_status: { 'temperature:0': { tC: 20.5 }, 'humidity:0': { rh: 41 } } } }) };
+        };
+    });
+
+    afterEach(() => {
+        globalThis.fetch = realFetch;
+    });
+
+    test('applies status changes of its device', () => {
+        const sensor = new ShellyCloud(config);
+        const readings = [];
+        sensor.on('temperature', (temperature, humidity) => readings.push({ temperature, humidity }));
+
+        assert.strictEqual(sensor.handleEvent(statusEvent('E4B063F0A1B2', { 'temperature:0': { id: 0, tC: 21.6 }, 'humidity:0': { id: 0, rh: 47.5 } })), true);
+
+        assert.deepStrictEqual(readings, [{ temperature: 21.6, humidity: 47.5 }]);
+        assert.strictEqual(sensor.isOnline(), true);
+    });
+
+    test('ignores other devices, other events and bad payloads', () => {
+        const sensor = new ShellyCloud(config);
+
+        assert.strictEqual(sensor.handleEvent(statusEvent('aabbccddeeff', { 'temperature:0': { tC: 30 } })), false);
+        assert.strictEqual(sensor.handleEvent(Buffer.from(JSON.stringify({ event: 'Shelly:Online', device: { id: 'e4b063f0a1b2' }, online: 1 }))), false);
+        assert.strictEqual(sensor.handleEvent(statusEvent('e4b063f0a1b2', { 'sys': { uptime: 10 } })), false);
+        assert.strictEqual(sensor.handleEvent(Buffer.from('not json')), false);
+        assert.strictEqual(sensor.getTemperature(), null);
+    });
+
+    test('skips polling while the stream delivers readings', async () => {
+        const sensor = new ShellyCloud(config);
+        sensor.streaming = true;
+
+        // No pushed reading yet, one poll fills the gap
+        assert.deepStrictEqual(await sensor.fetchTemperature(), { temperature: 20.5, humidity: 41 });
+        sensor.handleEvent(statusEvent('e4b063f0a1b2', { 'temperature:0': { tC: 21 } }));
+        assert.deepStrictEqual(await sensor.fetchTemperature(), { temperature: 21, humidity: null });
+        assert.strictEqual(requests, 1);
+
+        // Stream dropped, back to polling
+        sensor.streaming = false;
+        sensor.lastRequestTime = 0;
+        assert.deepStrictEqual(await sensor.fetchTemperature(), { temperature: 20.5, humidity: 41 });
+        assert.strictEqual(requests, 2);
+    });
+
+    test('keeps polling mode without events or access token', async () => {
+        assert.strictEqual(new ShellyCloud({ ...config, shellyMode: 'poll' }).connect(), false);
+        assert.strictEqual(new ShellyCloud({ ...config, shellyAccessToken: '' }).connect(), false);
+        assert.strictEqual(new ShellyCloud({ ...config, shellyMode: undefined }).mode, 'poll');
+    });
+
+    test('does not reconnect after stop', async () => {
+        const sensor = new ShellyCloud(config);
+        await sensor.stop();
+
+        sensor.scheduleReconnect();
+
+        assert.strictEqual(sensor.reconnectTimeout, null);
+        assert.strictEqual(sensor.connect(), false);
+    });
+});
+
+console.log('Running ShellyCloud tests...\n');
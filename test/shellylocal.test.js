@@ -0,0 +1,136 @@
+/**
+ * Tests for ShellyLocal sensor client against a local fake Shelly RPC server
+ * - Temperature.GetStatus / Humidity.GetStatus polling
+ * - Webhook pushes on wake-up
+ * - Sleep-mode gaps
+ */
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import ShellyLocal from '../src/shellylocal.js';
+
+describe('ShellyLocal', () => {
+    let server;
+    let host;
+    let status;
+    let asleep;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            const url = new URL(req.url, 'http://localhost');
+            const body = status[url.pathname];
+            if (asleep) return req.socket.destroy();
+            if (!body) {
+                res.writeHead(404);
+                return res.end();
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        host = `127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        asleep = false;
+        status = {
+            '/rpc/Temperature.GetStatus': { id: 0, tC: 21.4, tF: 70.5 },
+            '/rpc/Humidity.GetStatus': { id: 0, rh: 44.2 }
+        };
+    });
+
+    test('reads temperature and humidity over RPC', async () => {
+        const sensor = new ShellyLocal({ shellyHost: host });
+        const emitted = new Promise(resolve => sensor.once('temperature', (temperature, humidity) => resolve({ temperature, humidity })));
+
+        const reading = await sensor.fetchTemperature();
+
+        assert.deepStrictEqual(reading, { temperature: 21.4, humidity: 44.2 });
+        assert.deepStrictEqual(await emitted, { temperature: 21.4, humidity: 44.2 });
+        assert.strictEqual(sensor.isOnline(), true);
+    });
+
+    test('reads temperature only sensors', async () => {
+        delete status['/rpc/Humidity.GetStatus'];
+        const sensor = new ShellyLocal({ shellyHost: host });
+
+        assert.deepStrictEqual(await sensor.fetchTemperature(), { temperature: 21.4, humidity: null });
+    });
+
+    test('keeps last reading while the sensor sleeps', async () => {
+        const sensor = new ShellyLocal({ shellyHost: host, sleepPeriod: 3600 });
+        let unavailable = 0;
+        sensor.on('unavailable', () => unavailable++);
+
+        await sensor.fetchTemperature();
+        asleep = true;
+        assert.strictEqual(await sensor.fetchTemperature(), null);
+        assert.strictEqual(unavailable, 0);
+        assert.strictEqual(sensor.isOnline(), true);
+        assert.strictEqual(sensor.getTemperature(), 21.4);
+
+        // Nothing heard for longer than the sleep period
+        sensor.lastUpdate = new Date(Date.now() - 3601000);
+        await sensor.fetchTemperature();
+        assert.strictEqual(unavailable, 1);
+        assert.strictEqual(sensor.isOnline(), false);
+    });
+
+    test('reports unavailable when never reached', async () => {
+        asleep = true;
+        const sensor = new ShellyLocal({ shellyHost: host });
+        const unavailable = new Promise(resolve => sensor.once('unavailable', resolve));
+
+        await sensor.fetchTemperature();
+
+        assert.ok(await unavailable);
+    });
+
+    test('accepts webhook pushes on wake-up', async () => {
+        const sensor = new ShellyLocal({ shellyHost: '192.168.1.50', webhookPort: 0, webhookToken: 'secret', webhookAddress: '127.0.0.1' });
+        const port = await sensor.startWebhook();
+
+        try {
+            const base = `http://127.0.0.1:${port}/shelly/192.168.1.50?token=secret`;
+            assert.strictEqual((await fetch(`${base}&rh=50`)).status, 400);
+            assert.strictEqual((await fetch(`${base}&tC=19.8`)).status, 200);
+            assert.strictEqual((await fetch(`${base}&rh=52.5`)).status, 200);
+            assert.strictEqual((await fetch(`http://127.0.0.1:${port}/shelly/other?token=secret`)).status, 404);
+
+            assert.strictEqual(sensor.getTemperature(), 19.8);
+            assert.strictEqual(sensor.getHumidity(), 52.5);
+        } finally {
+            await sensor.stop();
+        }
+    });
+
+    test('rejects webhook pushes without the shared secret', async () => {
+        const sensor = new ShellyLocal({ shellyHost: '192.168.1.50', webhookPort: 0, webhookToken: 'secret' });
+        const port = await sensor.startWebhook();
+
+        try {
+            const base = `http://127.0.0.1:${port}/shelly/192.168.1.50`;
+            assert.strictEqual((await fetch(`${base}?tC=30`)).status, 403);
+            assert.strictEqual((await fetch(`${base}?token=wrong&tC=30`)).status, 403);
+            assert.strictEqual(sensor.getTemperature(), null);
+        } finally {
+            await sensor.stop();
+        }
+    });
+
+    test('does not start the webhook without a shared secret', async () => {
+        const sensor = new ShellyLocal({ shellyHost: '192.168.1.50', webhookPort: 0, logWarn: true });
+        const warnings = [];
+        sensor.on('warn', warning => warnings.push(warning));
+
+        assert.strictEqual(await sensor.startWebhook(), null);
+        assert.strictEqual(sensor.receiver, null);
+        assert.match(warnings[0], /webhookToken/);
+    });
+});
+
+console.log('Running ShellyLocal tests...\n');